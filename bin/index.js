@@ -11,6 +11,11 @@ const { version } = require('../package.json');
 import initCommand from "../lib/commands/initialize.js";
 import genCommand from "../lib/commands/generate.js";
 import setupCommand from "../lib/commands/setup.js";
+import databaseCommand from "../lib/commands/database.js";
+import exportCommand from "../lib/commands/export.js";
+import destroyCommand from "../lib/commands/destroy.js";
+import inventoryCommand from "../lib/commands/inventory.js";
+import templatesCommand from "../lib/commands/templates.js";
 
 program
   .version(`v${version}`)
@@ -20,6 +25,11 @@ program
 initCommand(program);
 genCommand(program);
 setupCommand(program);
+databaseCommand(program);
+exportCommand(program);
+destroyCommand(program);
+inventoryCommand(program);
+templatesCommand(program);
 
 // Parse the command-line arguments AFTER commands are registered
 program.parseAsync(process.argv);
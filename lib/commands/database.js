@@ -0,0 +1,76 @@
+import { Database } from "../src/sargen.js";
+import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+
+export default function databaseCommand(program) {
+  // Apply pending migrations
+  program
+    .command("db:migrate")
+    .description("Run pending database migrations")
+    .option("--env <environment>", "Environment to run against (development, test or production)")
+    .option("--name <name>", "Migration name (Prisma only)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const database = new Database();
+      database._runTask("migrate", options);
+    });
+
+  // Undo migrations
+  program
+    .command("db:rollback")
+    .description("Undo the last database migration(s)")
+    .option("--steps <n>", "Number of migrations to roll back", "1")
+    .option("--env <environment>", "Environment to run against (development, test or production)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const database = new Database();
+      database._runTask("rollback", options);
+    });
+
+  // Show migrations status
+  program
+    .command("db:status")
+    .description("Show the status of database migrations")
+    .option("--env <environment>", "Environment to run against (development, test or production)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const database = new Database();
+      database._runTask("status", options);
+    });
+
+  // Run seeders
+  program
+    .command("db:seed")
+    .description("Run database seeders")
+    .option("--env <environment>", "Environment to run against (development, test or production)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const database = new Database();
+      database._runTask("seed", options);
+    });
+
+  // Undo all migrations, migrate and seed again
+  program
+    .command("db:reset")
+    .description("Reset the database: undo all migrations, run them again and seed")
+    .option("--env <environment>", "Environment to run against (development, test or production)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const database = new Database();
+      database._runTask("reset", options);
+    });
+}
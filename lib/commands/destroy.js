@@ -0,0 +1,27 @@
+import { Destroy } from "../src/sargen.js";
+import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+
+export default function destroyCommand(program) {
+  // Remove a generated module
+  program
+    .command("destroy <type> <name>")
+    .description(
+      "Remove a generated module (files, route registration & associations), changes are listed before they are applied"
+    )
+    .option("--migration", "Generate a migration dropping the module table")
+    .option("--dry-run", "List the changes without applying them")
+    .option("-f, --force", "Skip confirmation")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action(async (type, name, options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      if (type !== "module") {
+        logger.error(`Invalid type "${type}", only modules can be destroyed (sargen destroy module <name>)`);
+        process.exit(1);
+      }
+
+      const destroyer = new Destroy();
+      await destroyer._destroyModule(name, options);
+    });
+}
@@ -0,0 +1,20 @@
+import { Export } from "../src/sargen.js";
+import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+
+export default function exportCommand(program) {
+  // Export Postman collection & environment
+  program
+    .command("export:postman")
+    .description(
+      "Export a Postman collection (also importable in Insomnia) and environment of the project routes"
+    )
+    .option("--output <dir>", "Output directory (default: project root)")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const exporter = new Export();
+      exporter._exportPostman(options);
+    });
+}
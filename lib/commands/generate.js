@@ -1,20 +1,25 @@
 import { Generate } from "../src/sargen.js";
 import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+import dryRunHelper from "../helpers/dry-run-helper.js";
 
 export default function genCommand(program) {
   // Setup database
   program
     .command("gen:db")
     .description(
-      "Set up Sequelize ORM with MySQL2 or PostgreSQL adapter. Default: MySQL2. Future support for TypeORM will be added."
+      "Set up Sequelize, TypeORM or Prisma with MySQL2 or PostgreSQL adapter (SQLite for Sequelize), or Mongoose with MongoDB. Default: Sequelize & MySQL2."
     )
-    .option("--orm <name>", "ORM to use", "sequelize")
-    .option("--adapter <name>", "Database adapter to use", "mysql")
+    .option("--orm <name>", "ORM to use (sequelize, typeorm, prisma or mongoose)", "sequelize")
+    .option("--adapter <name>", "Database adapter to use (default: mysql, mongodb for mongoose)")
     .option("--docker", "Set up database with Docker Compose configuration")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
     .option("-v, --verbose", "Enable verbose logging")
     .action((options) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
       
       const generator = new Generate();
       generator._setupDatabaseConfiguration(options);
@@ -22,10 +27,13 @@ export default function genCommand(program) {
 
   // Generate module
   program
-    .command("gen:module <module-name>")
+    .command("gen:module [module-name]")
     .option("--crud", "Generate module with CRUD operations")
     .option("--no-model", "Skip model generation (only create controller, route, service)")
-    .option("--model-attributes <attributes>", "Define model attributes (format: name:string,email:string,phone:number)")
+    .option("--model-attributes <attributes>", "Define model attributes (format: name:string,email:string(120)!unique,bio:text?,status:enum(a|b)=a)")
+    .option("--pagination <mode>", "Pagination of CRUD list endpoint (offset or cursor)", "offset")
+    .option("--from-schema <file>", "Generate modules defined in a schema file (e.g., sargen.schema.yml), only <module-name> if given")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
     .option("-v, --verbose", "Enable verbose logging")
     .description(
       "Generate a new module with controller, route, service and model"
@@ -33,19 +41,92 @@ export default function genCommand(program) {
     .action((moduleName, options) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
       
       const generator = new Generate();
-      generator._generateModule(moduleName, options);
+      if (options.fromSchema) {
+        generator._generateModulesFromSchema(options.fromSchema, moduleName, options);
+      } else if (!moduleName) {
+        logger.error("Module name is required (or use --from-schema <file>)");
+        process.exit(1);
+      } else {
+        generator._generateModule(moduleName, options);
+      }
+    });
+
+  // Add fields to an existing module
+  program
+    .command("gen:field <module-name> <attributes>")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
+    .option("-v, --verbose", "Enable verbose logging")
+    .description(
+      "Add fields to an existing module (migration, model, DTO and list endpoint), attributes use the --model-attributes format"
+    )
+    .action((moduleName, attributes, options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
+
+      const generator = new Generate();
+      generator._generateFields(moduleName, attributes);
+    });
+
+  // Generate modules from OpenAPI specification
+  program
+    .command("gen:openapi <spec-file>")
+    .option("--no-model", "Skip model generation from component schemas")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
+    .option("-v, --verbose", "Enable verbose logging")
+    .description(
+      "Generate modules (routes, controller stubs, DTOs and models) from an OpenAPI 3 specification, one module per tag or resource"
+    )
+    .action((specFile, options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
+
+      const generator = new Generate();
+      generator._generateModulesFromOpenapi(specFile, options);
+    });
+
+  // Generate API documentation
+  program
+    .command("gen:docs")
+    .option("--swagger", "Serve the documentation with Swagger UI at /api-docs")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
+    .option("-v, --verbose", "Enable verbose logging")
+    .description(
+      "Generate openapi.json from routes, DTOs and models (run again after adding modules to update it)"
+    )
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
+
+      const generator = new Generate();
+      generator._generateDocs(options);
     });
 
   // Generate middleware
   program
     .command("gen:middleware <middleware-name>")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
     .option("-v, --verbose", "Enable verbose logging")
     .description("Generate a new middleware")
     .action((middlewareName, options) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
       
       const generator = new Generate();
       generator._generateMiddleware(middlewareName);
@@ -58,10 +139,14 @@ export default function genCommand(program) {
     .option("--docker", "Generate a new util with docker compose file")
     .option("--cloud <provider>", "Cloud provider for fileupload (aws or gcp)")
     .option("--force", "Overwrite existing fileupload service file if it exists")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
     .option("-v, --verbose", "Enable verbose logging")
     .action(async (utilName, options) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
       
       // Validate cloud provider if provided
       if (options.cloud && !['aws', 'gcp'].includes(options.cloud)) {
@@ -86,10 +171,14 @@ export default function genCommand(program) {
     .option("--public", "Create public repository (default: private)")
     .option("--description <desc>", "Repository description")
     .option("--no-push", "Don't push to remote repository")
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
     .option("-v, --verbose", "Enable verbose logging")
     .action(async (options) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
       
       const generator = new Generate();
       await generator._setupGitRepository(options);
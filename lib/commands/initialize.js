@@ -1,5 +1,7 @@
 import { Builder } from "../src/sargen.js";
 import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+import dryRunHelper from "../helpers/dry-run-helper.js";
+import languageHelper from "../helpers/language-helper.js";
 
 export default function initCommand(program) {
   program
@@ -10,23 +12,64 @@ export default function initCommand(program) {
       "Project structure type (layered or modular)",
       "layered"
     )
+    .option("--lang <language>", "Language of the generated code (js or ts)", "js")
+    .option("--esm", "Generate ES modules (import/export) instead of CommonJS")
     .option("--test", "Add test API endpoint")
     .option(
       "--security [security...]",
       "Flag to setup security configuration (.i.e rateLimit)"
     )
+    .option(
+      "--preset <file|name>",
+      "Create the project from a YAML/JSON preset file or a built-in preset (rest-api-mysql, auth-service, upload-service)"
+    )
+    .option("--dry-run", "Preview the files, packages and commands without making changes")
+    .option("-y, --yes", "Skip the interactive wizard and create the project with the default options")
     .option("-v, --verbose", "Enable verbose logging")
-    .action((projectName, options) => {
+    .action(async (projectName, options, command) => {
       const logger = new Logger({ verbose: options.verbose || false });
       setGlobalLogger(logger);
+      if (options.dryRun) {
+        dryRunHelper._enable();
+      }
 
       const builder = new Builder(projectName);
+      const isSet = (name) => command.getOptionValueSource(name) === "cli";
+
       options.security = !options.security
         ? []
         : options.security === true
         ? ["rateLimit"]
         : options.security;
 
+      try {
+        options.language = languageHelper._parseLanguage(options.lang);
+      } catch (error) {
+        logger.error(error.message);
+        process.exit(1);
+      }
+
+      // Structure, language, module system, test & security given on the command line override the preset
+      if (options.preset) {
+        await builder._initializeProjectFromPreset(options.preset, {
+          ...(isSet("struct") && { structure: options.struct }),
+          ...(isSet("lang") && { language: options.language }),
+          ...(isSet("esm") && { esm: true }),
+          ...(isSet("test") && { test: true }),
+          ...(isSet("security") && { security: options.security }),
+        });
+        return;
+      }
+
+      // Interactive wizard when run in a terminal without options (--dry-run previews the plan of the wizard)
+      const hasOptions = command.options.some(
+        (option) => !["verbose", "dryRun"].includes(option.attributeName()) && isSet(option.attributeName())
+      );
+      if (!hasOptions && process.stdin.isTTY && process.stdout.isTTY) {
+        await builder._initializeProjectWithWizard();
+        return;
+      }
+
       builder._initializeProject(options);
     });
 }
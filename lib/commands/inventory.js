@@ -0,0 +1,36 @@
+import { Inventory } from "../src/sargen.js";
+import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+
+export default function inventoryCommand(program) {
+  // List generated artifacts
+  program
+    .command("list")
+    .description(
+      "List the generated modules, middlewares, utils and Docker services recorded in .sargen.json"
+    )
+    .option("--json", "Print the artifacts as JSON")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const inventory = new Inventory();
+      inventory._listArtifacts(options);
+    });
+
+  // Show details of the project or of a generated artifact
+  program
+    .command("info [name]")
+    .description(
+      "Show the project details, or the options, template version and files (unchanged, modified or missing) of a generated artifact"
+    )
+    .option("--json", "Print the details as JSON")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((name, options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const inventory = new Inventory();
+      inventory._showInfo(name, options);
+    });
+}
@@ -0,0 +1,20 @@
+import { Templates } from "../src/sargen.js";
+import { Logger, setGlobalLogger } from "../helpers/global-logger-helper.js";
+
+export default function templatesCommand(program) {
+  // Copy a built-in template to the project for customization
+  program
+    .command("templates:eject <name>")
+    .description(
+      "Copy a built-in template (or template directory) to .sargen/templates, or templatesPath of .sargen.json, to customize generated files"
+    )
+    .option("--force", "Overwrite templates already ejected")
+    .option("-v, --verbose", "Enable verbose logging")
+    .action((name, options) => {
+      const logger = new Logger({ verbose: options.verbose || false });
+      setGlobalLogger(logger);
+
+      const templates = new Templates();
+      templates._ejectTemplate(name, options);
+    });
+}
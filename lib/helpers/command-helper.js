@@ -1,5 +1,15 @@
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import { execSync, exec } from "child_process";
+import path from "path";
+import readline from "readline";
+import fileHelper from "./file-helper.js";
+
+// Commands of the recording mode (dry run), packages of the npm install commands are listed apart
+const recording = {
+  enabled: false,
+  commands: [],
+  packages: { dependencies: [], devDependencies: [] },
+};
 
 export default {
   /**
@@ -9,6 +19,12 @@ export default {
    * @returns {Promise<Object>} Object with success, stdout, stderr, code
    */
   _runCommand(command, options = {}) {
+    // Commands are listed instead of executed in recording mode
+    if (recording.enabled) {
+      this._recordCommand(command, options.cwd);
+      return Promise.resolve({ success: true, stdout: "", stderr: "", code: 0 });
+    }
+
     return new Promise((resolve, reject) => {
       // Add memory protection options
       const processOptions = {
@@ -59,6 +75,12 @@ export default {
    * @returns {void}
    */
   _runCommandSync(command, options = {}) {
+    // Commands are listed instead of executed in recording mode
+    if (recording.enabled) {
+      this._recordCommand(command, options.cwd);
+      return;
+    }
+
     try {
       // Add memory protection options
       const processOptions = {
@@ -74,4 +96,129 @@ export default {
       throw new Error(error);
     }
   },
+
+  /**
+   * Starts the recording mode: commands are recorded instead of being executed, see _getRecordedCommands
+   * @returns {void}
+   */
+  _startRecording() {
+    recording.enabled = true;
+  },
+
+  /**
+   * Gets the commands & packages recorded in recording mode
+   * @returns {Object} Commands as { command, cwd } and packages as { dependencies, devDependencies }
+   */
+  _getRecordedCommands() {
+    return { commands: recording.commands, packages: recording.packages };
+  },
+
+  /**
+   * Records a command instead of running it, npm init is simulated (package.json is written with fileHelper)
+   * so the following steps see its result
+   * @param {String} command - Command to run
+   * @param {String} [cwd] - Working directory of the command
+   * @returns {void}
+   */
+  _recordCommand(command, cwd = fileHelper._getWorkingDirectory()) {
+    const installMatch = /^npm install (-D )?(.+)$/.exec(command);
+
+    if (installMatch) {
+      recording.packages[installMatch[1] ? "devDependencies" : "dependencies"].push(...installMatch[2].split(" "));
+    } else if (command === "npm init -y") {
+      fileHelper._write(
+        path.join(cwd, "package.json"),
+        JSON.stringify(
+          {
+            name: path.basename(cwd),
+            version: "1.0.0",
+            main: "index.js",
+            scripts: { test: 'echo "Error: no test specified" && exit 1' },
+            keywords: [],
+            author: "",
+            license: "ISC",
+            description: "",
+          },
+          null,
+          2
+        )
+      );
+    } else {
+      recording.commands.push({ command, cwd });
+    }
+    logger().verbose(`Dry run, skipped command: ${command}`);
+  },
+
+  /**
+   * Asks a yes/no question on the terminal
+   * @param {String} question - Question to ask (e.g., "Continue? (y/N) ")
+   * @param {Boolean} defaultAnswer - Answer used when nothing is entered
+   * @returns {Promise<Boolean>} True when answered y or yes
+   */
+  async _confirm(question, defaultAnswer = false) {
+    const answer = await this._prompt(question);
+    return answer ? /^y(es)?$/i.test(answer) : defaultAnswer;
+  },
+
+  /**
+   * Asks a question on the terminal
+   * @param {String} question - Question to ask
+   * @param {String} defaultAnswer - Answer used when nothing is entered
+   * @returns {Promise<String>} Trimmed answer
+   */
+  _prompt(question, defaultAnswer = "") {
+    return new Promise((resolve) => {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.trim() || defaultAnswer);
+      });
+    });
+  },
+
+  /**
+   * Asks to choose one of the choices by number or name, until a valid choice is entered
+   * @param {String} question - Question to ask
+   * @param {Array} choices - Choices
+   * @param {String} defaultChoice - Choice used when nothing is entered
+   * @returns {Promise<String>} Chosen choice
+   */
+  async _select(question, choices, defaultChoice = choices[0]) {
+    const list = choices.map((choice, index) => `  ${index + 1}) ${choice}`).join("\n");
+    for (;;) {
+      const answer = await this._prompt(`${question}\n${list}\nChoice (${defaultChoice}): `, defaultChoice);
+      const choice = choices[Number(answer) - 1] || choices.find((item) => item === answer);
+      if (choice) {
+        return choice;
+      }
+      logger().warn(`Invalid choice "${answer}"`);
+    }
+  },
+
+  /**
+   * Asks to choose any of the choices by comma separated numbers or names, until valid choices are entered
+   * @param {String} question - Question to ask
+   * @param {Array} choices - Choices
+   * @returns {Promise<Array>} Chosen choices, empty when nothing is entered
+   */
+  async _multiSelect(question, choices) {
+    const list = choices.map((choice, index) => `  ${index + 1}) ${choice}`).join("\n");
+    for (;;) {
+      const answers = (await this._prompt(`${question}\n${list}\nChoices (comma separated, empty for none): `))
+        .split(",")
+        .map((answer) => answer.trim())
+        .filter(Boolean);
+      const selected = answers.map(
+        (answer) => choices[Number(answer) - 1] || choices.find((item) => item === answer)
+      );
+      if (selected.every(Boolean)) {
+        return [...new Set(selected)];
+      }
+      logger().warn(`Invalid choice "${answers[selected.indexOf(undefined)]}"`);
+    }
+  },
 };
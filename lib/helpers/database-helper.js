@@ -4,9 +4,12 @@ import path from "path";
 import sargenHelper from "../helpers/sargen-helper.js";
 import cliHelper from "../helpers/command-helper.js";
 import chalk from "chalk";
-import fs from "fs";
 import { fileURLToPath } from "url";
 import dockerHelper from "./docker-helper.js";
+import fileHelper from "./file-helper.js";
+import templateHelper from "./template-helper.js";
+import languageHelper from "./language-helper.js";
+import dotenv from "dotenv";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +28,8 @@ const DB_CONFIG = {
           modular:
             "npx sequelize-cli init --models-path common/models --migrations-path common/migrations --seeders-path common/seeders",
         },
+        dialect: "mysql",
+        port: 3306,
       },
       postgres: {
         dependencies: ["sequelize", "pg", "pg-hstore"],
@@ -34,19 +39,102 @@ const DB_CONFIG = {
           modular:
             "npx sequelize-cli init --models-path common/models --migrations-path common/migrations --seeders-path common/seeders",
         },
+        dialect: "postgres",
+        port: 5432,
       },
+      sqlite: {
+        dependencies: ["sequelize", "sqlite3"],
+        devDependencies: ["sequelize-cli"],
+        initCommandOptions: {
+          layered: "npx sequelize-cli init",
+          modular:
+            "npx sequelize-cli init --models-path common/models --migrations-path common/migrations --seeders-path common/seeders",
+        },
+        dialect: "sqlite",
+        // File based database, no server (or Docker service) required
+        serverless: true,
+      },
+    },
+    configFile: "src/config/config.js",
+    // Generated by sequelize-cli init, replaced by env driven config.js
+    legacyConfigFile: "src/config/config.json",
+  },
+  typeorm: {
+    adapters: {
+      mysql: {
+        dependencies: ["typeorm", "reflect-metadata", "mysql2"],
+        devDependencies: [],
+        type: "mysql",
+        port: 3306,
+      },
+      postgres: {
+        dependencies: ["typeorm", "reflect-metadata", "pg"],
+        devDependencies: [],
+        type: "postgres",
+        port: 5432,
+      },
+    },
+    configFile: "src/config/dataSource.js",
+    dirs: {
+      layered: ["src/config", "src/models", "src/migrations"],
+      modular: ["src/config", "src/common/migrations"],
     },
+    appBootstrap: `// Initialize database connection (TypeORM)
+const AppDataSource = require("./src/config/dataSource.js");
+AppDataSource.initialize()
+  .then(() => console.log("Database connection established"))
+  .catch((error) => console.error("Database connection failed: " + error.message));
+`,
+  },
+  prisma: {
+    // Pinned to Prisma 6, Prisma 7 requires driver adapters and a TypeScript config file
+    adapters: {
+      mysql: {
+        dependencies: ["@prisma/client@6"],
+        devDependencies: ["prisma@6"],
+        provider: "mysql",
+        protocol: "mysql",
+        port: 3306,
+      },
+      postgres: {
+        dependencies: ["@prisma/client@6"],
+        devDependencies: ["prisma@6"],
+        provider: "postgresql",
+        protocol: "postgresql",
+        port: 5432,
+      },
+    },
+    configFile: "prisma/schema.prisma",
+    // Prisma reads the connection string from this environment variable
+    urlEnv: "DATABASE_URL",
+    dirs: {
+      layered: ["prisma", "src/config"],
+      modular: ["prisma", "src/config"],
+    },
+  },
+  mongoose: {
+    adapters: {
+      mongodb: {
+        dependencies: ["mongoose"],
+        devDependencies: [],
+        protocol: "mongodb",
+        port: 27017,
+      },
+    },
+    defaultAdapter: "mongodb",
+    configFile: "src/config/mongoose.js",
+    urlEnv: "MONGODB_URI",
+    dirs: {
+      layered: ["src/config", "src/models"],
+      modular: ["src/config"],
+    },
+    appBootstrap: `// Initialize database connection (Mongoose)
+require("./src/config/mongoose.js")
+  .connect()
+  .then(() => console.log("Database connection established"))
+  .catch((error) => console.error("Database connection failed: " + error.message));
+`,
   },
-  // Add more ORMs here
-  // typeorm: {
-  //   adapters: {
-  //     mysql: {
-  //       dependencies: ["typeorm", "mysql2"],
-  //       devDependencies: ["@types/node", "typescript", "ts-node"],
-  //       initCommand: "typeorm init"
-  //     }
-  //   }
-  // }
 };
 
 export default {
@@ -94,17 +182,85 @@ export default {
    * @returns {string} The initialization command
    */
   _getInitCommand(orm, adapter, structure = "layered") {
-    return DB_CONFIG[orm].adapters[adapter].initCommandOptions[structure];
+    const initCommandOptions = DB_CONFIG[orm].adapters[adapter].initCommandOptions;
+    return initCommandOptions ? initCommandOptions[structure] : "";
   },
 
   /**
-   * Checks if config.json already exists in the project's src/config directory
+   * Checks if a database config file (config.js, dataSource.js, schema.prisma or mongoose.js) already exists in the project
    * @param {string} projectPath - Path to the project directory
-   * @returns {boolean} True if config.json exists, false otherwise
+   * @returns {boolean} True if a config file exists, false otherwise
    */
   _checkConfigExists(projectPath) {
-    const configPath = path.join(projectPath, "src", "config", "config.json");
-    return fs.existsSync(configPath);
+    return Object.values(DB_CONFIG).some((ormConfig) =>
+      [ormConfig.configFile, ormConfig.legacyConfigFile]
+        .filter(Boolean)
+        .some((configFile) => fileHelper._exists(path.join(projectPath, configFile)))
+    );
+  },
+
+  /**
+   * Writes a Sequelize migration named with a UTC timestamp like sequelize-cli (YYYYMMDDHHmmss), later than
+   * the timestamps of the existing migrations so migrations generated within a second run in order
+   * @param {string} migrationsPath - Migrations directory
+   * @param {string} migrationName - Name of the migration (e.g., create-users)
+   * @param {string} content - Migration file content
+   * @returns {string} Migration file name
+   */
+  _writeSequelizeMigration(migrationsPath, migrationName, content) {
+    if (!fileHelper._exists(migrationsPath)) {
+      fileHelper._makeDir(migrationsPath);
+    }
+
+    const toTime = (timestamp) =>
+      Date.UTC(
+        ...[0, 4, 6, 8, 10, 12].map((start, index) =>
+          Number(timestamp.slice(start, index === 0 ? 4 : start + 2)) - (index === 1 ? 1 : 0)
+        )
+      );
+    const latestTime = Math.max(
+      0,
+      ...fileHelper
+        ._readDir(migrationsPath)
+        .map((file) => /^(\d{14})-/.exec(file)?.[1])
+        .filter(Boolean)
+        .map(toTime)
+    );
+    const timestamp = new Date(Math.max(Date.now(), latestTime + 1000)).toISOString().replace(/\D/g, "").slice(0, 14);
+
+    const fileName = `${timestamp}-${migrationName}.js`;
+    fileHelper._write(path.join(migrationsPath, fileName), content);
+    return fileName;
+  },
+
+  /**
+   * Gets the list of supported ORMs
+   * @returns {Array} Array of supported ORM names
+   */
+  _getSupportedOrms() {
+    return Object.keys(DB_CONFIG);
+  },
+
+  /**
+   * Gets the adapters supported by an ORM, its default adapter first
+   * @param {string} orm - The ORM to get adapters for
+   * @returns {Array} Array of adapter names
+   */
+  _getSupportedAdapters(orm) {
+    const defaultAdapter = DB_CONFIG[orm].defaultAdapter || "mysql";
+    return Object.keys(DB_CONFIG[orm].adapters).sort(
+      (a, b) => (b === defaultAdapter) - (a === defaultAdapter)
+    );
+  },
+
+  /**
+   * Checks if an adapter is file based (no database server or Docker service needed)
+   * @param {string} orm - The ORM of the adapter
+   * @param {string} adapter - The adapter to check
+   * @returns {boolean} True for file based adapters (e.g., sqlite)
+   */
+  _isServerlessAdapter(orm, adapter) {
+    return !!DB_CONFIG[orm].adapters[adapter]?.serverless;
   },
 
   /**
@@ -135,8 +291,9 @@ export default {
     try {
       // Check for orm and adapter
       const orm = options.orm || "sequelize";
-      const adapter = options.adapter || "mysql";
-      const useDocker = options.docker || false;
+      const adapter =
+        options.adapter || DB_CONFIG[orm]?.defaultAdapter || "mysql";
+      let useDocker = options.docker || false;
 
       logger().info(`Setting up database...: ${orm} & ${adapter}`);
 
@@ -145,10 +302,10 @@ export default {
         throw new Error("Project path is required to setup database");
       }
 
-      // Check if config.json already exists in src/config
+      // Check if a database config already exists
       if (this._checkConfigExists(options.projectPath)) {
         logger().error("Database configuration already exists:");
-        logger().error("- Found existing config.json in src/config directory");
+        logger().error("- Found existing database config file (src/config or prisma directory)");
         process.exit(1);
       }
 
@@ -156,6 +313,12 @@ export default {
       this._validateOrm(orm);
       this._validateAdapter(orm, adapter);
 
+      // File based databases don't need a Docker service
+      if (useDocker && DB_CONFIG[orm].adapters[adapter].serverless) {
+        logger().warn(`⚠️  Docker is not required for '${adapter}' adapter. Skipping Docker setup...`);
+        useDocker = false;
+      }
+
       // Get dependencies for the selected ORM and adapter
       const { dependencies, devDependencies } = this._getDependencies(
         orm,
@@ -176,26 +339,72 @@ export default {
         srcDir = options.projectPath;
       }
 
-      // Run and setup ORM using command helper
-      const initCommand = this._getInitCommand(
-        orm,
-        adapter,
-        options.structure || "layered"
-      );
-      cliHelper._runCommandSync(initCommand, { cwd: srcDir });
+      if (orm === "typeorm") {
+        // TypeORM has no CLI scaffolding for JavaScript projects, create files directly
+        this._setupTypeorm(
+          options.projectPath,
+          adapter,
+          options.structure || "layered"
+        );
+      } else if (orm === "prisma") {
+        this._setupPrisma(options.projectPath, adapter);
+      } else if (orm === "mongoose") {
+        this._setupMongoose(
+          options.projectPath,
+          adapter,
+          options.structure || "layered"
+        );
+      } else {
+        // Run and setup ORM using command helper
+        const initCommand = this._getInitCommand(
+          orm,
+          adapter,
+          options.structure || "layered"
+        );
+        cliHelper._runCommandSync(initCommand, { cwd: srcDir });
 
-      // Create custom config.json with correct dialect
-      this._createCustomConfig(srcDir, adapter);
+        // Replace generated config.json & models/index.js with env driven config.js & models/index.js
+        this._createCustomConfig(
+          options.projectPath,
+          srcDir,
+          adapter,
+          options.structure || "layered"
+        );
+
+        // SQLite database files are stored in database/ directory at project root
+        if (adapter === "sqlite") {
+          fileHelper._addDirsAndFiles(options.projectPath, [
+            { type: "dir", name: ["database"] },
+          ]);
+        }
+      }
+
+      // ORM config, migrations & seeders (and Sequelize models) are loaded by the ORM CLIs, they stay CommonJS in ES module projects
+      if (languageHelper._isEsm(options.projectPath)) {
+        const baseDir = options.structure === "modular" ? path.join(srcDir, "common") : srcDir;
+        [
+          path.join(srcDir, "config"),
+          ...["migrations", "seeders", ...(orm === "sequelize" ? ["models"] : [])].map((dir) => path.join(baseDir, dir)),
+        ]
+          .filter((dir) => fileHelper._exists(dir) && languageHelper._markCommonJsDirectory(dir))
+          .forEach((dir) => logger().verbose(`Marked ${path.relative(options.projectPath, dir)} as CommonJS`));
+      }
 
       // Setup Docker configuration if requested
+      let credentials = {};
       if (useDocker) {
-        this._setupDockerDatabase(
+        credentials = this._setupDockerDatabase(
           options.projectPath,
           adapter,
           options.structure || "layered"
         );
       }
 
+      // Write connection settings (and Docker credentials) to environment files
+      templateHelper._updateEnvFiles(options.projectPath, (nodeEnv) =>
+        this._getEnvAttributes(orm, adapter, nodeEnv, credentials)
+      );
+
       // Update sargen metadata
       sargenHelper._updateSargenMetadata({
         dbConf: {
@@ -212,10 +421,10 @@ export default {
         logger().info("📋 Next steps:");
         logger().info("   (Make sure Docker engine is running)");
         logger().info(
-          "   1. Initial credentials are available in docker-compose file"
+          "   1. Generated credentials are written to docker-compose file and .env files"
         );
         logger().info(
-          "   2. Update them and/or add creds to envs and db config files as needed"
+          "   2. Docker creates database_development only, create test/production databases as needed"
         );
         logger().info(
           "   3. Initiate database: docker-compose -f docker/docker-compose.yml up -d"
@@ -228,46 +437,370 @@ export default {
   },
 
   /**
-   * Creates a custom config.json with the correct dialect based on the adapter
+   * Replaces the sequelize-cli generated config.json with an env driven config.js and models/index.js
+   * with one reading it (and the models of the modules in the modular structure),
+   * adds .sequelizerc to run sequelize-cli from project root
+   * @param {string} projectPath - Path to the project
    * @param {string} srcDir - Source directory path
-   * @param {string} adapter - Database adapter (mysql or postgres)
+   * @param {string} adapter - Database adapter (mysql, postgres or sqlite)
+   * @param {string} structure - Project structure (layered or modular)
    */
-  _createCustomConfig(srcDir, adapter) {
+  _createCustomConfig(projectPath, srcDir, adapter, structure) {
     try {
-      const configPath = path.join(srcDir, "config", "config.json");
+      const adapterConfig = DB_CONFIG.sequelize.adapters[adapter];
+      const configDir = path.join(srcDir, "config");
+      const modelsDir =
+        structure === "modular"
+          ? path.join(srcDir, "common", "models")
+          : path.join(srcDir, "models");
+
+      // Paths relative to project root (posix style for generated code)
+      const toRelative = (target) =>
+        path.relative(projectPath, target).split(path.sep).join("/") || ".";
+
+      fileHelper._addDirsAndFiles(projectPath, [
+        {
+          type: "file",
+          name: toRelative(path.join(configDir, "config.js")),
+          template: "database/config.js",
+          templateData: {
+            dialect: adapterConfig.dialect,
+            port: adapterConfig.port,
+            rootPath: path
+              .relative(configDir, projectPath)
+              .split(path.sep)
+              .join("/"),
+          },
+        },
+        {
+          type: "file",
+          name: ".sequelizerc",
+          template: "database/sequelizerc",
+          templateData: {
+            configPath: toRelative(path.join(configDir, "config.js")),
+            modelsPath: toRelative(modelsDir),
+            migrationsPath: toRelative(path.join(path.dirname(modelsDir), "migrations")),
+            seedersPath: toRelative(path.join(path.dirname(modelsDir), "seeders")),
+          },
+        },
+        {
+          type: "file",
+          name: toRelative(path.join(modelsDir, "index.js")),
+          template: "database/models.js",
+          templateData: {
+            configPath: path
+              .relative(modelsDir, path.join(configDir, "config.js"))
+              .split(path.sep)
+              .join("/"),
+            typescript: languageHelper._isTypescript(projectPath),
+            modular: structure === "modular",
+          },
+          force: true,
+        },
+      ]);
 
-      // Determine dialect and port based on adapter
-      const dialect = adapter === "postgres" ? "postgres" : "mysql";
-      const port = adapter === "postgres" ? 5432 : 3306;
+      // Remove generated config.json
+      const jsonConfigPath = path.join(configDir, "config.json");
+      if (fileHelper._exists(jsonConfigPath)) {
+        fileHelper._remove(jsonConfigPath);
+      }
 
-      // Read the template
-      const templatePath = path.join(
-        __dirname,
-        "../templates/database/config.json"
+      logger().verbose(
+        `Created env driven config.js with ${adapterConfig.dialect} dialect`
       );
-      const template = fs.readFileSync(templatePath, "utf8");
+    } catch (error) {
+      logger().warn(`Could not create custom config.js: ${error.message}`);
+    }
+  },
 
-      // Render template with dialect and port
-      let renderedConfig = template.replace(/<%= dialect %>/g, dialect);
-      renderedConfig = renderedConfig.replace(/<%= port %>/g, port);
+  /**
+   * Gets the database environment variables for the given ORM, adapter and NODE_ENV
+   * @param {string} orm - The ORM in use
+   * @param {string} adapter - Database adapter
+   * @param {string} nodeEnv - Environment name (development, test or production)
+   * @param {Object} [credentials={}] - Database credentials (username and password)
+   * @returns {Object} Environment variables
+   */
+  _getEnvAttributes(orm, adapter, nodeEnv, credentials = {}) {
+    const ormConfig = DB_CONFIG[orm];
+    const adapterConfig = ormConfig.adapters[adapter];
+    const database = `database_${nodeEnv}`;
+
+    // SQLite stores each environment in its own file, tests included: migrations run by the CLI
+    // in another process would not reach the tables of an in-memory database
+    if (adapterConfig.serverless) {
+      return { DB_STORAGE: `database/${database}.sqlite` };
+    }
 
-      // Write the custom config
-      fs.writeFileSync(configPath, renderedConfig);
+    const username =
+      credentials.username || (orm === "mongoose" ? "" : "root");
+    const password = credentials.password || "";
+
+    // Connection string based ORMs (Prisma, Mongoose)
+    if (ormConfig.urlEnv) {
+      const auth = username
+        ? `${encodeURIComponent(username)}${
+            password ? `:${encodeURIComponent(password)}` : ""
+          }@`
+        : "";
+      // MongoDB root users are created in the admin database
+      const query = orm === "mongoose" && password ? "?authSource=admin" : "";
+
+      return {
+        [ormConfig.urlEnv]: `"${adapterConfig.protocol}://${auth}127.0.0.1:${adapterConfig.port}/${database}${query}"`,
+      };
+    }
 
-      logger().verbose(
-        `Created custom config.json with ${dialect} dialect and port ${port}`
-      );
-    } catch (error) {
-      logger().warn(`Could not create custom config.json: ${error.message}`);
+    // Values are quoted, generated passwords can contain "#"
+    return {
+      DB_HOST: "127.0.0.1",
+      DB_PORT: adapterConfig.port,
+      DB_USER: username,
+      DB_PASSWORD: `"${password}"`,
+      DB_NAME: database,
+    };
+  },
+
+  /**
+   * Gets the ORM tooling commands (and working directory) for a database task
+   * @param {string} task - Database task (migrate, rollback, status, seed or reset)
+   * @param {Object} options - Task options
+   * @param {string} options.orm - The ORM in use
+   * @param {string} options.projectPath - Path to the project
+   * @param {string} options.structure - Project structure (layered or modular)
+   * @param {string} options.nodeEnv - Environment to run the task against
+   * @param {number} [options.steps=1] - Number of migrations to roll back
+   * @param {string} [options.name] - Migration name (Prisma)
+   * @returns {Object} Commands to run in order and their working directory
+   * @throws {Error} If the task is not supported for the ORM
+   */
+  _getTaskCommands(task, options) {
+    const { orm, projectPath, structure, nodeEnv } = options;
+    const steps = options.steps || 1;
+    const repeat = (command) => Array(steps).fill(command);
+
+    if (orm === "sequelize") {
+      // .sequelizerc (project root) holds config and paths, older projects run from src/
+      const hasRcFile = fileHelper._exists(path.join(projectPath, ".sequelizerc"));
+      const pathFlags =
+        !hasRcFile && structure === "modular"
+          ? " --models-path common/models --migrations-path common/migrations --seeders-path common/seeders"
+          : "";
+      const cli = (command) => `npx sequelize-cli ${command}${pathFlags}`;
+      const commands = {
+        migrate: [cli("db:migrate")],
+        rollback: repeat(cli("db:migrate:undo")),
+        status: [cli("db:migrate:status")],
+        seed: [cli("db:seed:all")],
+        reset: [cli("db:migrate:undo:all"), cli("db:migrate"), cli("db:seed:all")],
+      };
+
+      return {
+        commands: commands[task],
+        cwd: hasRcFile ? projectPath : path.join(projectPath, "src"),
+      };
+    }
+
+    if (orm === "typeorm") {
+      // Entities of TypeScript projects are loaded with tsx
+      const typeorm = languageHelper._isTypescript(projectPath)
+        ? "npx tsx node_modules/typeorm/cli.js"
+        : "npx typeorm";
+      const cli = (command) =>
+        `${typeorm} ${command} -d ${DB_CONFIG.typeorm.configFile}`;
+      const commands = {
+        migrate: [cli("migration:run")],
+        rollback: repeat(cli("migration:revert")),
+        status: [cli("migration:show")],
+        reset: [cli("schema:drop"), cli("migration:run")],
+      };
+
+      if (!commands[task]) {
+        throw new Error(`'db:${task}' is not supported for TypeORM, add seed scripts to the project instead`);
+      }
+      return { commands: commands[task], cwd: projectPath };
     }
+
+    if (orm === "prisma") {
+      // migrate dev creates and applies migrations, deploy only applies them (test/production)
+      const migrate =
+        nodeEnv === "development"
+          ? `npx prisma migrate dev${options.name ? ` --name ${options.name}` : ""}`
+          : "npx prisma migrate deploy";
+      const commands = {
+        migrate: [migrate],
+        status: ["npx prisma migrate status"],
+        seed: ["npx prisma db seed"],
+        reset: ["npx prisma migrate reset --force"],
+      };
+
+      if (!commands[task]) {
+        throw new Error(`'db:${task}' is not supported for Prisma, migrations can't be rolled back (use 'sargen db:reset' instead)`);
+      }
+      return { commands: commands[task], cwd: projectPath };
+    }
+
+    throw new Error(`'db:${task}' is not supported for ${orm || "projects without an ORM"}, no migrations are used`);
   },
 
   /**
-   * Sets up Docker database configuration
+   * Runs a database task (migrations, rollback, status, seed or reset) using the ORM tooling
+   * @param {string} task - Database task (migrate, rollback, status, seed or reset)
+   * @param {Object} options - Task options (see _getTaskCommands)
+   * @throws {Error} If the task is not supported or a command fails
+   */
+  _runDatabaseTask(task, options) {
+    const { commands, cwd } = this._getTaskCommands(task, options);
+
+    // Connection settings of the selected environment, existing variables take precedence
+    const envFileName =
+      options.nodeEnv === "development" ? ".env" : `.env.${options.nodeEnv}`;
+    const envFilePath = path.join(options.projectPath, envFileName);
+    const envVariables = fileHelper._exists(envFilePath)
+      ? dotenv.parse(fileHelper._read(envFilePath))
+      : {};
+
+    logger().info(`Running db:${task} (${options.nodeEnv})...`);
+    for (const command of commands) {
+      logger().verbose(`Executing: ${command}`);
+      cliHelper._runCommandSync(command, {
+        cwd,
+        stdio: "inherit",
+        timeout: 0,
+        env: {
+          ...envVariables,
+          ...process.env,
+          NODE_ENV: options.nodeEnv,
+        },
+      });
+    }
+    logger().success(`db:${task} completed successfully`);
+  },
+
+  /**
+   * Sets up TypeORM directories, DataSource config and app.js bootstrap
+   * @param {string} projectPath - Path to the project
+   * @param {string} adapter - Database adapter (mysql or postgres)
+   * @param {string} structure - Project structure (layered or modular)
+   */
+  _setupTypeorm(projectPath, adapter, structure) {
+    const ormConfig = DB_CONFIG.typeorm;
+    const adapterConfig = ormConfig.adapters[adapter];
+
+    fileHelper._addDirsAndFiles(projectPath, [
+      {
+        type: "dir",
+        name: ormConfig.dirs[structure],
+      },
+      {
+        type: "file",
+        name: ormConfig.configFile,
+        template: "database/dataSource.js",
+        templateData: {
+          type: adapterConfig.type,
+          port: adapterConfig.port,
+          entitiesPath: `${
+            structure === "layered" ? "../models" : "../modules/*/models"
+          }/*Model.${languageHelper._isTypescript(projectPath) ? "{js,ts}" : "js"}`,
+          migrationsPath:
+            structure === "layered"
+              ? "../migrations/*.js"
+              : "../common/migrations/*.js",
+        },
+      },
+    ]);
+
+    this._addAppBootstrap(projectPath, ormConfig.appBootstrap);
+  },
+
+  /**
+   * Sets up Prisma schema and client module
    * @param {string} projectPath - Path to the project
    * @param {string} adapter - Database adapter (mysql or postgres)
+   */
+  _setupPrisma(projectPath, adapter) {
+    const ormConfig = DB_CONFIG.prisma;
+    const adapterConfig = ormConfig.adapters[adapter];
+
+    fileHelper._addDirsAndFiles(projectPath, [
+      {
+        type: "dir",
+        name: ormConfig.dirs.layered,
+      },
+      {
+        type: "file",
+        name: ormConfig.configFile,
+        template: "database/schema.prisma",
+        templateData: {
+          provider: adapterConfig.provider,
+        },
+      },
+      {
+        type: "file",
+        name: "src/config/prisma.js",
+        template: "database/prisma.js",
+      },
+    ]);
+  },
+
+  /**
+   * Sets up Mongoose connection module and app.js bootstrap
+   * @param {string} projectPath - Path to the project
+   * @param {string} adapter - Database adapter (mongodb)
    * @param {string} structure - Project structure (layered or modular)
    */
+  _setupMongoose(projectPath, adapter, structure) {
+    const ormConfig = DB_CONFIG.mongoose;
+    const adapterConfig = ormConfig.adapters[adapter];
+
+    fileHelper._addDirsAndFiles(projectPath, [
+      {
+        type: "dir",
+        name: ormConfig.dirs[structure],
+      },
+      {
+        type: "file",
+        name: ormConfig.configFile,
+        template: "database/mongoose.js",
+        templateData: {
+          url: `${adapterConfig.protocol}://127.0.0.1:${adapterConfig.port}`,
+        },
+      },
+    ]);
+
+    this._addAppBootstrap(projectPath, ormConfig.appBootstrap);
+  },
+
+  /**
+   * Adds database connection bootstrap code to app.js before the server starts
+   * @param {string} projectPath - Path to the project
+   * @param {string} content - Bootstrap code to add
+   */
+  _addAppBootstrap(projectPath, content) {
+    const appPath = languageHelper._getSourceFile(projectPath, path.join(projectPath, "app.js"));
+    if (
+      !fileHelper._exists(appPath) ||
+      !fileHelper._read(appPath, "utf8").includes("// Start server")
+    ) {
+      logger().warn("Unable to locate server start in app.js, add database connection bootstrap manually:");
+      logger().warn(content);
+      return;
+    }
+
+    fileHelper._appendContent(appPath, {
+      content,
+      appendAt: "before",
+      appendLine: "// Start server",
+    });
+  },
+
+  /**
+   * Sets up Docker database configuration
+   * @param {string} projectPath - Path to the project
+   * @param {string} adapter - Database adapter (mysql, postgres or mongodb)
+   * @param {string} structure - Project structure (layered or modular)
+   * @returns {Object} Generated database credentials (username and password)
+   */
   _setupDockerDatabase(projectPath, adapter, structure) {
     try {
       logger().info("Setting up Docker database configuration...");
@@ -277,7 +810,7 @@ export default {
       const rootPassword = this._generateRandomPassword(16);
 
       // Add database service to Docker Compose
-      dockerHelper._addDatabaseService(
+      const credentials = dockerHelper._addDatabaseService(
         projectPath,
         adapter,
         dbPassword,
@@ -285,6 +818,7 @@ export default {
       );
 
       logger().success("Docker database configuration completed");
+      return credentials;
     } catch (error) {
       logger().error(`Error setting up Docker database: ${error.message}`);
       throw error;
@@ -298,9 +832,9 @@ export default {
   _fetchDbConf() {
     try {
       let dbConf = {};
-      // Check if sequelize or typeorm is installed as dependencies
-      const packageJsonPath = path.join(process.cwd(), "package.json");
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      // Check if sequelize, typeorm, mongoose or prisma is installed as dependencies
+      const packageJsonPath = path.join(fileHelper._getWorkingDirectory(), "package.json");
+      const packageJson = JSON.parse(fileHelper._read(packageJsonPath, "utf8"));
 
       if (packageJson.dependencies["sequelize"]) {
         dbConf.orm = "sequelize";
@@ -308,6 +842,8 @@ export default {
           dbConf.adapter = "mysql";
         } else if (packageJson.dependencies["pg"]) {
           dbConf.adapter = "postgres";
+        } else if (packageJson.dependencies["sqlite3"]) {
+          dbConf.adapter = "sqlite";
         }
       } else if (packageJson.dependencies["typeorm"]) {
         dbConf.orm = "typeorm";
@@ -316,6 +852,21 @@ export default {
         } else if (packageJson.dependencies["pg"]) {
           dbConf.adapter = "postgres";
         }
+      } else if (packageJson.dependencies["mongoose"]) {
+        dbConf.orm = "mongoose";
+        dbConf.adapter = "mongodb";
+      } else if (packageJson.dependencies["@prisma/client"]) {
+        dbConf.orm = "prisma";
+        // Prisma adapter is defined by the datasource provider in schema.prisma
+        const schemaPath = path.join(fileHelper._getWorkingDirectory(), DB_CONFIG.prisma.configFile);
+        if (fileHelper._exists(schemaPath)) {
+          const schema = fileHelper._read(schemaPath, "utf8");
+          if (/provider\s*=\s*"mysql"/.test(schema)) {
+            dbConf.adapter = "mysql";
+          } else if (/provider\s*=\s*"postgresql"/.test(schema)) {
+            dbConf.adapter = "postgres";
+          }
+        }
       }
 
       return dbConf;
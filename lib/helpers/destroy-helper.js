@@ -0,0 +1,296 @@
+import path from "path";
+import languageHelper from "./language-helper.js";
+import fileHelper from "./file-helper.js";
+
+/**
+ * Destroy helper
+ * This helper plans the removal of a generated module, every change is listed before it is applied
+ */
+const destroyHelper = {
+  /**
+   * Gets the changes removing a module: its files, route registration, associations and Prisma model
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @param {Array} recordedFiles - Files of the module recorded in .sargen.json
+   * @returns {Object} Changes as { action, file, detail, apply } and files still referencing the module
+   */
+  _getModuleChanges(projectPath, structure, orm, moduleName, recordedFiles = []) {
+    const changes = this._getModuleFiles(projectPath, structure, moduleName, recordedFiles).map((file) => ({
+      action: "remove",
+      file,
+      apply: () => fileHelper._remove(path.join(projectPath, file), { recursive: true, force: true }),
+    }));
+
+    // Route registration added to the routes index by gen:module
+    const routeIndexPath = languageHelper._getSourceFile(
+      projectPath,
+      structure === "layered" ? "src/routes/index.js" : "src/common/routes/index.js"
+    );
+    const routeLinePattern = new RegExp(
+      `^[^\\n]*require\\("\\.\\./(routes|modules/${moduleName}/routes)/${moduleName}Route\\.js"\\)[^\\n]*\\n`,
+      "m"
+    );
+    // ES module route indexes import the route file and register it by its import name
+    const routeImportPattern = new RegExp(
+      `^import (\\w+) from "\\.\\./(routes|modules/${moduleName}/routes)/${moduleName}Route\\.js";?[ \\t]*\\n`,
+      "m"
+    );
+    this._addUpdate(changes, projectPath, routeIndexPath, "route", (content) => {
+      const routeImport = content.match(routeImportPattern);
+      if (!routeImport) {
+        return content.replace(routeLinePattern, "");
+      }
+      return content
+        .replace(routeImportPattern, "")
+        .replace(new RegExp(`^[ \\t]*router\\.use\\([^\\n]*\\b${routeImport[1]}\\)[^\\n]*\\n`, "m"), "");
+    });
+
+    // Associations added to related Sequelize models by gen:module
+    const associationPattern = new RegExp(
+      `^[ \\t]*this\\.\\w+\\(models\\.${moduleName}\\b[^\\n]*\\n`,
+      "gm"
+    );
+    const otherModels = this._getModelFiles(projectPath, structure).filter(
+      (file) => path.basename(file).replace(/\.ts$/, ".js") !== `${moduleName}Model.js`
+    );
+    otherModels.forEach((file) =>
+      this._addUpdate(changes, projectPath, file, "association", (content) =>
+        content.replace(associationPattern, "")
+      )
+    );
+
+    // Prisma model, its enums and the opposite relation fields of other models
+    if (orm === "prisma") {
+      this._addUpdate(changes, projectPath, "prisma/schema.prisma", "model", (content) =>
+        content
+          .replace(new RegExp(`^model\\s+${moduleName}\\s*\\{[\\s\\S]*?^\\}\\n*`, "m"), "")
+          .replace(new RegExp(`^enum\\s+${moduleName}_\\w+\\s*\\{[\\s\\S]*?^\\}\\n*`, "gm"), "")
+          .replace(new RegExp(`^[ \\t]+${moduleName}[ \\t]+${moduleName}\\[\\][ \\t]*\\n`, "gm"), "")
+      );
+    }
+
+    return {
+      changes,
+      references: this._getReferences(projectPath, orm, otherModels, moduleName),
+    };
+  },
+
+  /**
+   * Gets the generated files of a module which exist, modular modules are removed as a directory
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} moduleName - Name of the module
+   * @param {Array} recordedFiles - Files of the module recorded in .sargen.json
+   * @returns {Array} Files relative to the project
+   */
+  _getModuleFiles(projectPath, structure, moduleName, recordedFiles = []) {
+    const files = (
+      structure === "layered"
+        ? [
+            `src/controllers/${moduleName}Controller.js`,
+            `src/routes/${moduleName}Route.js`,
+            `src/services/${moduleName}Service.js`,
+            `src/models/${moduleName}Model.js`,
+            `src/dto/${moduleName}.dto.js`,
+          ]
+        : [
+            `src/modules/${moduleName}`,
+            `src/common/models/${moduleName}Model.js`,
+            `src/common/dto/${moduleName}.dto.js`,
+          ]
+    ).map((file) => languageHelper._getSourceFile(projectPath, file));
+
+    // Recorded files outside of the conventional locations (e.g., moved DTO directory), migrations are kept since
+    // the drop migration re-runs them on rollback
+    recordedFiles
+      .filter((file) => !file.split("/").includes("migrations"))
+      .filter((file) => !files.some((removed) => file === removed || file.startsWith(`${removed}/`)))
+      .forEach((file) => files.push(file));
+
+    return files.filter((file) => fileHelper._exists(path.join(projectPath, file)));
+  },
+
+  /**
+   * Gets the model files of a project
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @returns {Array} Model files relative to the project
+   */
+  _getModelFiles(projectPath, structure) {
+    const listModels = (dir) =>
+      fileHelper._exists(path.join(projectPath, dir))
+        ? fileHelper
+            ._readDir(path.join(projectPath, dir))
+            .filter((file) => /Model\.[jt]s$/.test(file))
+            .map((file) => `${dir}/${file}`)
+        : [];
+
+    if (structure === "layered") {
+      return listModels("src/models");
+    }
+
+    const modulesPath = path.join(projectPath, "src", "modules");
+    const moduleNames = fileHelper._exists(modulesPath) ? fileHelper._readDir(modulesPath) : [];
+    return [
+      ...moduleNames.flatMap((name) => listModels(`src/modules/${name}/models`)),
+      ...listModels("src/common/models"),
+    ];
+  },
+
+  /**
+   * Adds an update of a file to the changes when the file exists and its content changes
+   * @param {Array} changes - Planned changes
+   * @param {string} projectPath - Project base path
+   * @param {string} file - File relative to the project
+   * @param {string} detail - What is removed from the file
+   * @param {Function} update - Returns the updated content of the file
+   */
+  _addUpdate(changes, projectPath, file, detail, update) {
+    const filePath = path.join(projectPath, file);
+    if (!fileHelper._exists(filePath)) {
+      return;
+    }
+
+    const content = fileHelper._read(filePath, "utf8");
+    const updatedContent = update(content);
+    if (updatedContent !== content) {
+      changes.push({
+        action: "update",
+        file,
+        detail,
+        apply: () => fileHelper._write(filePath, updatedContent),
+      });
+    }
+  },
+
+  /**
+   * Gets the files which still reference a module after its removal (foreign keys & relations)
+   * @param {string} projectPath - Project base path
+   * @param {string} orm - ORM in use
+   * @param {Array} modelFiles - Model files of the other modules
+   * @param {string} moduleName - Name of the module
+   * @returns {Array} Files relative to the project
+   */
+  _getReferences(projectPath, orm, modelFiles, moduleName) {
+    if (orm === "prisma") {
+      const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+      const schema = fileHelper._exists(schemaPath) ? fileHelper._read(schemaPath, "utf8") : "";
+      const otherModels = schema
+        .replace(new RegExp(`^model\\s+${moduleName}\\s*\\{[\\s\\S]*?^\\}`, "m"), "")
+        .replace(new RegExp(`^[ \\t]+${moduleName}[ \\t]+${moduleName}\\[\\][ \\t]*$`, "gm"), "");
+      return new RegExp(`^[ \\t]+\\w+[ \\t]+${moduleName}(\\?|\\[\\])?[ \\t]`, "m").test(otherModels)
+        ? ["prisma/schema.prisma"]
+        : [];
+    }
+
+    const referencePattern = new RegExp(`(model|target|ref): ["']${moduleName}["']`);
+    return modelFiles.filter((file) =>
+      referencePattern.test(fileHelper._read(path.join(projectPath, file), "utf8"))
+    );
+  },
+
+  /**
+   * Gets the junction tables of the many-to-many associations of a module (through of belongsToMany),
+   * declared by its model and by the related models
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} moduleName - Name of the module
+   * @returns {Array} Junction table names
+   */
+  _getJunctionTables(projectPath, structure, moduleName) {
+    const tables = this._getModelFiles(projectPath, structure).flatMap((file) => {
+      const ownModel = path.basename(file).replace(/\.ts$/, ".js") === `${moduleName}Model.js`;
+      const associationPattern = new RegExp(
+        `this\\.belongsToMany\\(models\\.${ownModel ? "\\w+" : moduleName}\\b[^\\n]*\\bthrough: ["'](\\w+)["']`,
+        "g"
+      );
+      return [...fileHelper._read(path.join(projectPath, file), "utf8").matchAll(associationPattern)].map(
+        ([, table]) => table
+      );
+    });
+    return [...new Set(tables)];
+  },
+
+  /**
+   * Gets the migrations which created and altered the table of a module (and created its junction tables), oldest first
+   * @param {string} migrationsPath - Migrations directory
+   * @param {string} moduleName - Name of the module
+   * @param {Array} [junctionTables] - Junction tables of the module (see _getJunctionTables)
+   * @returns {Array} Migration file names
+   */
+  _getTableMigrations(migrationsPath, moduleName, junctionTables = []) {
+    if (!fileHelper._exists(migrationsPath)) {
+      return [];
+    }
+
+    return fileHelper
+      ._readDir(migrationsPath)
+      .filter(
+        (file) =>
+          file.endsWith(`-create-${moduleName}.js`) ||
+          file.endsWith(`-to-${moduleName}.js`) ||
+          junctionTables.some((table) => file.endsWith(`-create-${table}.js`))
+      )
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
+  },
+
+  /**
+   * Generates Sequelize migration file content dropping the table of a module, its junction tables are dropped first
+   * @param {string} moduleName - Name of the module
+   * @param {Array} migrations - Migrations which created the tables, re-run on rollback
+   * @param {Array} [junctionTables] - Junction tables referencing the table (see _getJunctionTables)
+   * @returns {string} Migration file content
+   */
+  _getDropMigrationContent(moduleName, migrations, junctionTables = []) {
+    return `'use strict';
+
+// Rolling back re-runs the migrations which created the tables
+const migrations = [${migrations.map((migration) => `\n  "${migration}",`).join("")}${migrations.length > 0 ? "\n" : ""}];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {${junctionTables.map((table) => `\n    await queryInterface.dropTable('${table}');`).join("")}
+    await queryInterface.dropTable('${moduleName}');
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const migration of migrations) {
+      await require(\`./\${migration}\`).up(queryInterface, Sequelize);
+    }
+  }
+};`;
+  },
+
+  /**
+   * Generates TypeORM migration file content dropping the table of a module
+   * @param {string} moduleName - Name of the module
+   * @param {string} className - Migration class name (ends with timestamp)
+   * @param {Array} migrations - Migrations which created the table, re-run on rollback
+   * @returns {string} Migration file content
+   */
+  _getTypeormDropMigrationContent(moduleName, className, migrations) {
+    return `"use strict";
+
+// Rolling back re-runs the migrations which created the table
+const migrations = [${migrations.map((migration) => `\n  "${migration}",`).join("")}${migrations.length > 0 ? "\n" : ""}];
+
+module.exports = class ${className} {
+  name = "${className}";
+
+  async up(queryRunner) {
+    await queryRunner.dropTable("${moduleName}", true);
+  }
+
+  async down(queryRunner) {
+    for (const migration of migrations) {
+      const Migration = require(\`./\${migration}\`);
+      await new Migration().up(queryRunner);
+    }
+  }
+};
+`;
+  },
+};
+
+export default destroyHelper;
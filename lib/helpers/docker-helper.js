@@ -1,8 +1,18 @@
-import fs from "fs";
 import path from "path";
 import yaml from "js-yaml";
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import fileHelper from "./file-helper.js";
+import sargenHelper from "./sargen-helper.js";
+
+// Database users created by the Docker database services
+const DB_USERS = {
+  mysql: "mysql_user",
+  postgres: "postgres_user",
+  mongodb: "mongo_user",
+};
+
+// Docker Compose file shared by the recorded Docker services
+const COMPOSE_FILE = path.join("docker", "docker-compose.yml");
 
 /**
  * Docker helper for managing centralized Docker Compose setup
@@ -47,7 +57,7 @@ const dockerHelper = {
    */
   _dockerSetupExists(projectPath) {
     const dockerComposePath = path.join(projectPath, "docker", "docker-compose.yml");
-    return fs.existsSync(dockerComposePath);
+    return fileHelper._exists(dockerComposePath);
   },
 
   /**
@@ -58,10 +68,10 @@ const dockerHelper = {
   _readDockerCompose(projectPath) {
     try {
       const dockerComposePath = path.join(projectPath, "docker", "docker-compose.yml");
-      if (!fs.existsSync(dockerComposePath)) {
+      if (!fileHelper._exists(dockerComposePath)) {
         return null;
       }
-      const content = fs.readFileSync(dockerComposePath, "utf8");
+      const content = fileHelper._read(dockerComposePath, "utf8");
       return yaml.load(content);
     } catch (error) {
       logger().error(`Failed to read Docker Compose file: ${error.message}`);
@@ -77,8 +87,17 @@ const dockerHelper = {
    */
   _writeDockerCompose(dockerComposePath, composeConfig) {
     try {
+      // Services recorded with an unchanged compose file are recorded again after it is rewritten
+      const projectPath = path.dirname(path.dirname(dockerComposePath));
+      const unchangedServices = this._getRecordedServices(projectPath).filter((name) =>
+        sargenHelper._getUnchangedArtifactFiles(projectPath, "docker", name).includes(COMPOSE_FILE)
+      );
+
       const content = yaml.dump(composeConfig, { indent: 2 });
-      fs.writeFileSync(dockerComposePath, content);
+      fileHelper._write(dockerComposePath, content);
+      unchangedServices.forEach((name) =>
+        sargenHelper._updateArtifactFiles(projectPath, "docker", name, [COMPOSE_FILE])
+      );
       logger().verbose("Docker Compose file updated");
     } catch (error) {
       logger().error(`Failed to write Docker Compose file: ${error.message}`);
@@ -197,7 +216,8 @@ const dockerHelper = {
       this._writeDockerCompose(dockerComposePath, mergedCompose);
 
       // Create monitoring service directories and files
-      this._createMonitoringServiceFiles(projectPath, projectName);
+      const monitoringFiles = this._createMonitoringServiceFiles(projectPath, projectName);
+      this._recordServices(projectPath, monitoringServices.services, monitoringFiles);
 
       logger().success("Monitoring services added to Docker setup");
     } catch (error) {
@@ -210,7 +230,7 @@ const dockerHelper = {
    * Create monitoring service files using fileHelper
    * @param {string} projectPath - Path of the project
    * @param {string} projectName - Name of the project
-   * @returns {void}
+   * @returns {Array} Created files, relative to the project
    */
   _createMonitoringServiceFiles(projectPath, projectName) {
     try {
@@ -367,7 +387,7 @@ analytics:
       ];
 
       // Use fileHelper to create all directories and files
-      fileHelper._addDirsAndFiles(projectPath, monitoringStructure);
+      return fileHelper._addDirsAndFiles(projectPath, monitoringStructure);
 
     } catch (error) {
       logger().error(`Failed to create monitoring service files: ${error.message}`);
@@ -375,6 +395,37 @@ analytics:
     }
   },
 
+  /**
+   * Records Docker services in .sargen.json, files of a service are the compose file and the ones in its docker/services directory
+   * @param {string} projectPath - Path of the project
+   * @param {Object} services - Docker Compose services by name
+   * @param {Array} files - Created service files, relative to the project
+   * @returns {void}
+   */
+  _recordServices(projectPath, services, files = []) {
+    Object.entries(services).forEach(([name, service]) =>
+      sargenHelper._recordArtifact(projectPath, "docker", name, {
+        options: { image: service.image, ports: service.ports },
+        files: [
+          COMPOSE_FILE,
+          ...files.filter((file) => file.includes(`/${name}/`)),
+        ],
+      })
+    );
+  },
+
+  /**
+   * Gets the names of the Docker services recorded in .sargen.json
+   * @param {string} projectPath - Path of the project
+   * @returns {Array} - Names of the recorded services
+   */
+  _getRecordedServices(projectPath) {
+    const metadataPath = path.join(projectPath, ".sargen.json");
+    return fileHelper._exists(metadataPath)
+      ? Object.keys(JSON.parse(fileHelper._read(metadataPath, "utf-8")).docker || {})
+      : [];
+  },
+
   /**
    * Update package.json with Docker setup completion info
    * @param {string} projectPath - Path of the project
@@ -383,12 +434,12 @@ analytics:
   _updatePackageJsonScripts(projectPath) {
     try {
       const packageJsonPath = path.join(projectPath, "package.json");
-      if (!fs.existsSync(packageJsonPath)) {
+      if (!fileHelper._exists(packageJsonPath)) {
         logger().warn("package.json not found, skipping Docker scripts update");
         return;
       }
 
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const packageJson = JSON.parse(fileHelper._read(packageJsonPath, "utf8"));
       
       if (!packageJson.scripts) {
         packageJson.scripts = {};
@@ -399,7 +450,7 @@ analytics:
         logger().verbose("Docker setup complete - start services manually with docker-compose commands");
       }
 
-      fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+      fileHelper._write(packageJsonPath, JSON.stringify(packageJson, null, 2));
       logger().verbose("Package.json updated with Docker setup info");
     } catch (error) {
       logger().error(`Failed to update package.json scripts: ${error.message}`);
@@ -410,10 +461,10 @@ analytics:
   /**
    * Add database service to Docker Compose
    * @param {string} projectPath - Path of the project
-   * @param {string} adapter - Database adapter (mysql or postgres)
+   * @param {string} adapter - Database adapter (mysql, postgres or mongodb)
    * @param {string} dbPassword - Database password
    * @param {string} rootPassword - Root password
-   * @returns {void}
+   * @returns {Object} Database user credentials (username and password)
    */
   _addDatabaseService(projectPath, adapter, dbPassword, rootPassword) {
     try {
@@ -424,8 +475,8 @@ analytics:
       
       // Read existing docker-compose.yml
       let dockerCompose = {};
-      if (fs.existsSync(dockerComposePath)) {
-        const yamlContent = fs.readFileSync(dockerComposePath, 'utf8');
+      if (fileHelper._exists(dockerComposePath)) {
+        const yamlContent = fileHelper._read(dockerComposePath, 'utf8');
         dockerCompose = yaml.load(yamlContent) || {};
       }
 
@@ -440,7 +491,7 @@ analytics:
           environment: {
             MYSQL_ROOT_PASSWORD: rootPassword,
             MYSQL_DATABASE: "database_development",
-            MYSQL_USER: "mysql_user",
+            MYSQL_USER: DB_USERS.mysql,
             MYSQL_PASSWORD: dbPassword
           },
           ports: ["3306:3306"],
@@ -461,7 +512,7 @@ analytics:
           restart: "unless-stopped",
           environment: {
             POSTGRES_DB: "database_development",
-            POSTGRES_USER: "postgres_user",
+            POSTGRES_USER: DB_USERS.postgres,
             POSTGRES_PASSWORD: dbPassword
           },
           ports: ["5432:5432"],
@@ -470,7 +521,29 @@ analytics:
           ],
           networks: ["sargen-network"],
           healthcheck: {
-            test: ["CMD-SHELL", "pg_isready -U postgres_user -d database_development"],
+            test: ["CMD-SHELL", `pg_isready -U ${DB_USERS.postgres} -d database_development`],
+            interval: "10s",
+            timeout: "5s",
+            retries: 5
+          }
+        };
+      } else if (adapter === 'mongodb') {
+        dockerCompose.services.mongo = {
+          image: "mongo:7",
+          container_name: `${path.basename(projectPath)}-mongo`,
+          restart: "unless-stopped",
+          environment: {
+            MONGO_INITDB_ROOT_USERNAME: DB_USERS.mongodb,
+            MONGO_INITDB_ROOT_PASSWORD: dbPassword,
+            MONGO_INITDB_DATABASE: "database_development"
+          },
+          ports: ["27017:27017"],
+          volumes: [
+            "./data/mongo:/data/db"
+          ],
+          networks: ["sargen-network"],
+          healthcheck: {
+            test: ["CMD", "mongosh", "--quiet", "--eval", "db.adminCommand('ping')"],
             interval: "10s",
             timeout: "5s",
             retries: 5
@@ -486,8 +559,15 @@ analytics:
 
       // Write updated docker-compose.yml
       this._writeDockerCompose(dockerComposePath, dockerCompose);
+      const serviceName = adapter === "mongodb" ? "mongo" : adapter;
+      this._recordServices(projectPath, { [serviceName]: dockerCompose.services[serviceName] });
       
       logger().verbose(`${adapter} service added to Docker Compose`);
+
+      return {
+        username: DB_USERS[adapter],
+        password: dbPassword,
+      };
     } catch (error) {
       logger().error(`Failed to add ${adapter} service: ${error.message}`);
       throw error;
@@ -512,8 +592,8 @@ analytics:
       
       // Read existing docker-compose.yml
       let dockerCompose = {};
-      if (fs.existsSync(dockerComposePath)) {
-        const yamlContent = fs.readFileSync(dockerComposePath, 'utf8');
+      if (fileHelper._exists(dockerComposePath)) {
+        const yamlContent = fileHelper._read(dockerComposePath, 'utf8');
         dockerCompose = yaml.load(yamlContent) || {};
       }
 
@@ -538,6 +618,7 @@ analytics:
 
       // Write updated docker-compose.yml
       this._writeDockerCompose(dockerComposePath, dockerCompose);
+      this._recordServices(projectPath, { redis: dockerCompose.services.redis });
       
       logger().verbose("Redis service added to Docker Compose");
     } catch (error) {
@@ -0,0 +1,763 @@
+import path from "path";
+import { getGlobalLogger as logger } from "./global-logger-helper.js";
+import fileHelper from "./file-helper.js";
+import moduleHelper from "./module-helper.js";
+import languageHelper from "./language-helper.js";
+
+// HTTP methods documented from route files
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Keys edited by hand in openapi.json, kept when the spec is regenerated
+const DOC_KEYS = ["title", "summary", "description", "tags", "example", "examples", "servers"];
+
+// Model column types (Sequelize, TypeORM, Mongoose & Prisma) mapped to JSON Schema
+const COLUMN_SCHEMAS = {
+  STRING: { type: "string" },
+  TEXT: { type: "string" },
+  UUID: { type: "string", format: "uuid" },
+  INTEGER: { type: "integer" },
+  BIGINT: { type: "integer", format: "int64" },
+  FLOAT: { type: "number" },
+  DOUBLE: { type: "number" },
+  DECIMAL: { type: "number" },
+  BOOLEAN: { type: "boolean" },
+  DATE: { type: "string", format: "date-time" },
+  DATEONLY: { type: "string", format: "date" },
+  JSON: { type: "object" },
+  varchar: { type: "string" },
+  text: { type: "string" },
+  uuid: { type: "string", format: "uuid" },
+  int: { type: "integer" },
+  bigint: { type: "integer", format: "int64" },
+  float: { type: "number" },
+  decimal: { type: "number" },
+  boolean: { type: "boolean" },
+  timestamp: { type: "string", format: "date-time" },
+  json: { type: "object" },
+  String: { type: "string" },
+  Number: { type: "number" },
+  Boolean: { type: "boolean" },
+  Date: { type: "string", format: "date-time" },
+  "mongoose.Schema.Types.ObjectId": { type: "string" },
+  "mongoose.Schema.Types.Mixed": { type: "object" },
+  Int: { type: "integer" },
+  BigInt: { type: "integer", format: "int64" },
+  Float: { type: "number" },
+  Decimal: { type: "number" },
+  DateTime: { type: "string", format: "date-time" },
+  Json: { type: "object" },
+};
+
+// Query parameters of generated CRUD list endpoints
+const LIST_PARAMETERS = {
+  findWithPagination: ["page", "limit", "sort", "q", "fields"],
+  findWithCursor: ["limit", "cursor", "count", "q", "fields"],
+};
+
+/**
+ * Docs helper
+ * This helper builds the OpenAPI document of a project from its route files, DTOs and models
+ */
+const docsHelper = {
+  /**
+   * Generates openapi.json of the project, operations edited by hand keep their summary, description and tags
+   * @param {string} projectPath - Path of the project
+   * @param {string} projectName - Name of the project (API title)
+   * @param {string} structure - Project structure (layered/modular)
+   * @param {string} orm - ORM in use, models are documented as component schemas
+   * @returns {Object} Counts of { operations, added, removed } operations
+   */
+  _generateDocs(projectPath, projectName, structure, orm) {
+    const specPath = path.join(projectPath, "openapi.json");
+    const spec = this._buildSpec(projectPath, projectName, structure, orm);
+
+    // Merge with the existing document so hand written docs survive regeneration
+    const existingSpec = fileHelper._exists(specPath) ? JSON.parse(fileHelper._read(specPath, "utf8")) : null;
+    const counts = this._countOperations(spec, existingSpec);
+    const mergedSpec = existingSpec ? this._mergeSpec(spec, existingSpec) : spec;
+
+    fileHelper._write(specPath, `${JSON.stringify(mergedSpec, null, 2)}\n`);
+    return counts;
+  },
+
+  /**
+   * Removes the tag and component schemas (model & DTOs) of a module from openapi.json,
+   * regeneration keeps them otherwise as they can't be told apart from hand written ones
+   * @param {string} projectPath - Path of the project
+   * @param {string} moduleName - Name of the module
+   */
+  _removeModule(projectPath, moduleName) {
+    const specPath = path.join(projectPath, "openapi.json");
+    const spec = JSON.parse(fileHelper._read(specPath, "utf8"));
+
+    spec.tags = (spec.tags || []).filter((tag) => tag.name !== moduleName);
+    Object.keys(spec.components?.schemas || {})
+      .filter((name) => name === moduleName || (name.startsWith(`${moduleName}_`) && name.endsWith("_schema")))
+      .forEach((name) => delete spec.components.schemas[name]);
+
+    fileHelper._write(specPath, `${JSON.stringify(spec, null, 2)}\n`);
+  },
+
+  /**
+   * Builds the OpenAPI document of the project from its route files, DTOs and models
+   * @param {string} projectPath - Path of the project
+   * @param {string} projectName - Name of the project (API title)
+   * @param {string} structure - Project structure (layered/modular)
+   * @param {string} orm - ORM in use, models are documented as component schemas
+   * @returns {Object} OpenAPI document
+   */
+  _buildSpec(projectPath, projectName, structure, orm) {
+    const dtoSchemas = this._loadDtoSchemas(projectPath);
+    const spec = {
+      openapi: "3.0.3",
+      info: {
+        title: projectName,
+        version: this._getProjectVersion(projectPath),
+      },
+      servers: [{ url: "/api/v1" }],
+      tags: [],
+      paths: {},
+      components: { schemas: {} },
+    };
+
+    const operationIds = new Set();
+    this._getRouteFiles(projectPath, structure).forEach((routeFile) => {
+      const routes = this._parseRouteFile(routeFile.filePath, routeFile.mountPath);
+      if (routes.length === 0) {
+        return;
+      }
+
+      const modelSchema = this._getModelSchema(projectPath, structure, orm, routeFile.moduleName);
+      if (modelSchema) {
+        spec.components.schemas[routeFile.moduleName] = modelSchema;
+      }
+      spec.tags.push({ name: routeFile.moduleName });
+
+      const listMethod = this._getListMethod(projectPath, structure, routeFile.moduleName);
+      routes.forEach((route) => {
+        if (route.dtoName && dtoSchemas[route.dtoName]) {
+          spec.components.schemas[route.dtoName] = this._getDtoJsonSchema(dtoSchemas[route.dtoName]);
+        } else if (route.dtoName) {
+          logger().warn(`⚠️  ${route.method.toUpperCase()} ${route.path}: DTO schema '${route.dtoName}' not found`);
+        }
+        // Update requests of modules without DTO take any of the model attributes
+        if (modelSchema && !dtoSchemas[route.dtoName] && route.handler === `update${this._capitalize(routeFile.moduleName)}`) {
+          spec.components.schemas[`${routeFile.moduleName}_update_body`] = this._getUpdateBodySchema(modelSchema);
+        }
+
+        spec.paths[route.path] = spec.paths[route.path] || {};
+        spec.paths[route.path][route.method] = this._getOperation(route, routeFile.moduleName, {
+          hasModel: Boolean(modelSchema),
+          hasDto: Boolean(dtoSchemas[route.dtoName]),
+          listMethod,
+          operationIds,
+        });
+      });
+    });
+
+    return spec;
+  },
+
+  /**
+   * Gets the version of the project from package.json
+   * @param {string} projectPath - Path of the project
+   * @returns {string} Version (1.0.0 when package.json has none)
+   */
+  _getProjectVersion(projectPath) {
+    const packageJsonPath = path.join(projectPath, "package.json");
+    if (!fileHelper._exists(packageJsonPath)) {
+      return "1.0.0";
+    }
+    return JSON.parse(fileHelper._read(packageJsonPath, "utf8")).version || "1.0.0";
+  },
+
+  /**
+   * Gets route files with their mount path, registered in src/routes/index.js (layered)
+   * or loaded from src/modules/<module>/routes (modular)
+   * @param {string} projectPath - Path of the project
+   * @param {string} structure - Project structure (layered/modular)
+   * @returns {Array} Route files as { moduleName, mountPath, filePath }
+   */
+  _getRouteFiles(projectPath, structure) {
+    if (structure === "modular") {
+      const modulesPath = path.join(projectPath, "src", "modules");
+      if (!fileHelper._exists(modulesPath)) {
+        return [];
+      }
+
+      return fileHelper
+        ._readDir(modulesPath)
+        .map((moduleName) => ({
+          moduleName,
+          mountPath: `/${moduleName}`,
+          filePath: languageHelper._getSourceFile(
+            projectPath,
+            path.join(modulesPath, moduleName, "routes", `${moduleName}Route.js`)
+          ),
+        }))
+        .filter((routeFile) => fileHelper._exists(routeFile.filePath));
+    }
+
+    const routeIndexPath = languageHelper._getSourceFile(projectPath, path.join(projectPath, "src", "routes", "index.js"));
+    if (!fileHelper._exists(routeIndexPath)) {
+      return [];
+    }
+
+    const routeIndex = fileHelper._read(routeIndexPath, "utf8");
+    // Routers registered by name are imported (ES modules) or required before
+    const importPaths = new Map(
+      [
+        ...routeIndex.matchAll(/^import\s+(\w+)\s+from\s+["'`]([^"'`]+)["'`]/gm),
+        ...routeIndex.matchAll(/^const\s+(\w+)\s*=\s*require\(\s*["'`]([^"'`]+)["'`]\s*\)/gm),
+      ].map(([, name, importPath]) => [name, importPath])
+    );
+    const registrations = routeIndex.matchAll(
+      /^\s*router\.use\(\s*["'`]([^"'`]+)["'`]\s*,\s*(?:require\(\s*["'`]([^"'`]+)["'`]\s*\)|(\w+))\s*\)/gm
+    );
+
+    return [...registrations]
+      .map(([, mountPath, requirePath, name]) => [mountPath, requirePath || importPaths.get(name)])
+      .filter(([, requirePath]) => requirePath)
+      .map(([mountPath, requirePath]) => {
+        const filePath = path.resolve(path.dirname(routeIndexPath), requirePath);
+        const sourceFile = languageHelper._getSourceFile(projectPath, filePath.replace(/\.[jt]s$/, "") + ".js");
+        return {
+          moduleName: path.basename(filePath).replace(/Route(\.[jt]s)?$|\.[jt]s$/g, ""),
+          mountPath,
+          filePath: fileHelper._exists(filePath) ? filePath : sourceFile,
+        };
+      })
+      .filter((routeFile) => fileHelper._exists(routeFile.filePath));
+  },
+
+  /**
+   * Parses routes of a route file, i.e. router.post("/", validationService.validate("users_create_schema"), usersController.createUsers)
+   * @param {string} filePath - Path of the route file
+   * @param {string} mountPath - Path the router is mounted at (e.g., /users)
+   * @returns {Array} Routes as { method, path, handler, dtoName }, paths in OpenAPI format (/users/{id})
+   */
+  _parseRouteFile(filePath, mountPath) {
+    const content = fileHelper._read(filePath, "utf8");
+    const routes = content.matchAll(
+      new RegExp(`router\\.(${HTTP_METHODS.join("|")})\\(\\s*["'\`]([^"'\`]*)["'\`]\\s*,([\\s\\S]*?)\\);`, "g")
+    );
+
+    return [...routes].map(([, method, routePath, args]) => {
+      const fullPath = `${mountPath}/${routePath}`
+        .replace(/\/+/g, "/")
+        .replace(/(.)\/$/, "$1")
+        .replace(/:([a-zA-Z0-9_]+)\??/g, "{$1}");
+
+      return {
+        method,
+        path: fullPath,
+        handler: args.trim().match(/\.?([a-zA-Z0-9_$]+)\s*$/)?.[1] || `${method}${mountPath}`,
+        dtoName: args.match(/validate\(\s*["'`]([^"'`]+)["'`]/)?.[1] || "",
+      };
+    });
+  },
+
+  /**
+   * Loads validator DTO schemas of src/dto, src/common/dto and src/modules/<module>/dto
+   * @param {string} projectPath - Path of the project
+   * @returns {Object} Schemas by name (e.g., { users_create_schema: { ... } })
+   */
+  _loadDtoSchemas(projectPath) {
+    const modulesPath = path.join(projectPath, "src", "modules");
+    const dtoDirs = [
+      path.join(projectPath, "src", "dto"),
+      path.join(projectPath, "src", "common", "dto"),
+      ...(fileHelper._exists(modulesPath)
+        ? fileHelper._readDir(modulesPath).map((moduleName) => path.join(modulesPath, moduleName, "dto"))
+        : []),
+    ];
+
+    return dtoDirs
+      .filter((dtoDir) => fileHelper._exists(dtoDir))
+      .flatMap((dtoDir) =>
+        fileHelper
+          ._readDir(dtoDir)
+          .filter((file) => /\.dto\.[jt]s$/.test(file) && !file.endsWith(".d.ts"))
+          .map((file) => path.join(dtoDir, file))
+      )
+      .reduce((schemas, dtoFile) => {
+        try {
+          return { ...schemas, ...languageHelper._requireProjectFile(projectPath, dtoFile) };
+        } catch (error) {
+          logger().warn(`⚠️  Unable to load ${path.relative(projectPath, dtoFile)}: ${error.message}`);
+          return schemas;
+        }
+      }, {});
+  },
+
+  /**
+   * Converts a fastest-validator schema to JSON Schema
+   * @param {Object} dtoSchema - fastest-validator schema ($$ keys are skipped)
+   * @returns {Object} JSON Schema of the request body
+   */
+  _getDtoJsonSchema(dtoSchema) {
+    const required = [];
+    const properties = Object.entries(dtoSchema)
+      .filter(([name]) => !name.startsWith("$$"))
+      .reduce((schemaProperties, [name, rule]) => {
+        const property = this._getRuleJsonSchema(rule);
+        if (!property.optional) {
+          required.push(name);
+        }
+        delete property.optional;
+        return { ...schemaProperties, [name]: property };
+      }, {});
+
+    return {
+      type: "object",
+      properties,
+      ...(required.length > 0 && { required }),
+    };
+  },
+
+  /**
+   * Converts a fastest-validator rule to a JSON Schema property
+   * @param {Object|string|Array} rule - Rule object, shorthand (e.g., "string|min:3|optional") or rules array
+   * @returns {Object} JSON Schema property, optional is set for optional rules
+   */
+  _getRuleJsonSchema(rule) {
+    if (Array.isArray(rule)) {
+      return this._getRuleJsonSchema(rule[0]);
+    }
+
+    if (typeof rule === "string") {
+      const [type, ...flags] = rule.split("|");
+      rule = flags.reduce(
+        (ruleObject, flag) => {
+          const [key, value] = flag.split(":");
+          return { ...ruleObject, [key]: value === undefined ? true : Number(value) };
+        },
+        { type }
+      );
+    }
+
+    let property;
+    switch (rule.type) {
+      case "string":
+        property = { type: "string" };
+        if (rule.min !== undefined) property.minLength = rule.min;
+        if (rule.max !== undefined) property.maxLength = rule.max;
+        if (rule.length !== undefined) property.minLength = property.maxLength = rule.length;
+        if (rule.pattern) property.pattern = String(rule.pattern.source || rule.pattern);
+        break;
+      case "email":
+        property = { type: "string", format: "email" };
+        break;
+      case "url":
+        property = { type: "string", format: "uri" };
+        break;
+      case "uuid":
+        property = { type: "string", format: "uuid" };
+        break;
+      case "date":
+        property = { type: "string", format: "date-time" };
+        break;
+      case "number":
+        property = { type: rule.integer ? "integer" : "number" };
+        if (rule.min !== undefined) property.minimum = rule.min;
+        if (rule.max !== undefined) property.maximum = rule.max;
+        if (rule.positive) property.minimum = rule.integer ? 1 : 0;
+        break;
+      case "boolean":
+        property = { type: "boolean" };
+        break;
+      case "enum":
+        property = { type: "string", enum: rule.values || [] };
+        break;
+      case "array":
+        property = { type: "array", items: rule.items ? this._getRuleJsonSchema(rule.items) : {} };
+        delete property.items.optional;
+        break;
+      case "object":
+        property = rule.props ? this._getDtoJsonSchema(rule.props) : { type: "object" };
+        break;
+      default:
+        property = {};
+    }
+
+    if (rule.nullable) property.nullable = true;
+    if (rule.default !== undefined) property.default = rule.default;
+    if (rule.optional) property.optional = true;
+    return property;
+  },
+
+  /**
+   * Gets the JSON Schema of a module model from its model file (Prisma: prisma/schema.prisma)
+   * @param {string} projectPath - Path of the project
+   * @param {string} structure - Project structure (layered/modular)
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @returns {Object|null} JSON Schema, null when the module has no model
+   */
+  _getModelSchema(projectPath, structure, orm, moduleName) {
+    const columns = orm === "prisma"
+      ? this._parsePrismaModel(projectPath, moduleName)
+      : this._parseModelFile(moduleHelper._getModelFilePath(projectPath, structure, moduleName), orm);
+
+    if (!columns) {
+      return null;
+    }
+
+    const idProperty = orm === "mongoose" ? { _id: { type: "string", readOnly: true } } : { id: { type: "integer", readOnly: true } };
+    const required = columns.filter((column) => column.required).map((column) => column.name);
+    return {
+      type: "object",
+      properties: {
+        ...idProperty,
+        ...columns.reduce((properties, column) => ({ ...properties, [column.name]: column.schema }), {}),
+        createdAt: { type: "string", format: "date-time", readOnly: true },
+        updatedAt: { type: "string", format: "date-time", readOnly: true },
+      },
+      ...(required.length > 0 && { required }),
+    };
+  },
+
+  /**
+   * Gets the request body schema of updates from a model schema: writable properties, none required
+   * @param {Object} modelSchema - JSON Schema of the model (see _getModelSchema)
+   * @returns {Object} JSON Schema of the request body
+   */
+  _getUpdateBodySchema(modelSchema) {
+    return {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.entries(modelSchema.properties).filter(([, property]) => !property.readOnly)
+      ),
+    };
+  },
+
+  /**
+   * Capitalizes the first letter of a module name (e.g., users -> Users)
+   * @param {string} moduleName - Name of the module
+   * @returns {string} Capitalized module name
+   */
+  _capitalize(moduleName) {
+    return moduleName.charAt(0).toUpperCase() + moduleName.slice(1);
+  },
+
+  /**
+   * Parses columns of a generated Sequelize, TypeORM or Mongoose model file
+   * @param {string} modelPath - Path of the model file
+   * @param {string} orm - ORM in use
+   * @returns {Array|null} Columns as { name, required, schema }, null when there is no model file
+   */
+  _parseModelFile(modelPath, orm) {
+    if (!modelPath) {
+      return null;
+    }
+
+    const content = fileHelper._read(modelPath, "utf8");
+    const columnPattern =
+      orm === "sequelize"
+        ? /^\s*(\w+): \{\s*type: DataTypes\.(\w+)(?:\(([^)]*)\))?,([\s\S]*?)\n\s*\}/gm
+        : /^\s*(\w+): \{\s*type: "?([\w.]+)"?,([\s\S]*?)\n\s*\}/gm;
+
+    return [...content.matchAll(columnPattern)]
+      .map((match) => {
+        const [, name, type] = match;
+        const args = orm === "sequelize" ? match[3] : "";
+        const options = orm === "sequelize" ? match[4] : match[3];
+        if (
+          ["id", "_id", "createdAt", "updatedAt"].includes(name) ||
+          (!COLUMN_SCHEMAS[type] && !["ENUM", "enum"].includes(type))
+        ) {
+          return null;
+        }
+
+        const schema = { ...(COLUMN_SCHEMAS[type] || { type: "string" }) };
+        const enumValues = type === "ENUM" ? args : options.match(/enum: \[([^\]]*)\]/)?.[1];
+        if (enumValues) {
+          schema.enum = enumValues.split(",").map((value) => value.trim().replace(/^['"]|['"]$/g, ""));
+        }
+        const length = type === "STRING" ? args : options.match(/(?:length|maxlength): (\d+)/)?.[1];
+        if (length) {
+          schema.maxLength = Number(length);
+        }
+
+        const nullable = orm === "mongoose"
+          ? /required: false/.test(options)
+          : /(?:allowNull|nullable): true/.test(options);
+        if (nullable) {
+          schema.nullable = true;
+        }
+
+        const defaultValue = options.match(/(?:defaultValue|default): ([^\n]+?),?$/m)?.[1];
+        if (defaultValue) {
+          try {
+            schema.default = JSON.parse(defaultValue);
+          } catch (error) {
+            // Defaults which are not JSON (e.g., Sequelize.NOW) are not documented
+          }
+        }
+
+        return { name, required: !nullable && schema.default === undefined, schema };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Parses fields of a module model in prisma/schema.prisma
+   * @param {string} projectPath - Path of the project
+   * @param {string} moduleName - Name of the module
+   * @returns {Array|null} Columns as { name, required, schema }, null when the model is not defined
+   */
+  _parsePrismaModel(projectPath, moduleName) {
+    const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+    if (!fileHelper._exists(schemaPath)) {
+      return null;
+    }
+
+    const content = fileHelper._read(schemaPath, "utf8");
+    const model = content.match(new RegExp(`^model ${moduleName} \\{([\\s\\S]*?)^\\}`, "m"));
+    if (!model) {
+      return null;
+    }
+
+    return model[1]
+      .split("\n")
+      .map((line) => line.trim().match(/^(\w+)\s+(\w+)(\?)?(.*)$/))
+      .filter((match) => match && !["id", "createdAt", "updatedAt"].includes(match[1]))
+      .map(([, name, type, optional, attributes]) => {
+        const enumValues = content.match(new RegExp(`^enum ${type} \\{([\\s\\S]*?)^\\}`, "m"))?.[1];
+        if (!COLUMN_SCHEMAS[type] && !enumValues) {
+          // Relation fields reference other models
+          return null;
+        }
+
+        const schema = enumValues
+          ? { type: "string", enum: enumValues.split("\n").map((value) => value.trim()).filter(Boolean) }
+          : { ...COLUMN_SCHEMAS[type] };
+        const length = attributes.match(/@db\.VarChar\((\d+)\)/)?.[1];
+        if (length) {
+          schema.maxLength = Number(length);
+        }
+        if (optional) {
+          schema.nullable = true;
+        }
+
+        return { name, required: !optional && !attributes.includes("@default"), schema };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Gets the pagination method of a generated CRUD list endpoint from the module service
+   * @param {string} projectPath - Path of the project
+   * @param {string} structure - Project structure (layered/modular)
+   * @param {string} moduleName - Name of the module
+   * @returns {string} findWithPagination, findWithCursor or empty string
+   */
+  _getListMethod(projectPath, structure, moduleName) {
+    const servicePath = languageHelper._getSourceFile(
+      projectPath,
+      structure === "layered"
+        ? path.join(projectPath, "src", "services", `${moduleName}Service.js`)
+        : path.join(projectPath, "src", "modules", moduleName, "services", `${moduleName}Service.js`)
+    );
+    if (!fileHelper._exists(servicePath)) {
+      return "";
+    }
+
+    const service = fileHelper._read(servicePath, "utf8");
+    return Object.keys(LIST_PARAMETERS).find((method) => service.includes(`paginationService.${method}`)) || "";
+  },
+
+  /**
+   * Builds the OpenAPI operation of a route
+   * @param {Object} route - Route as { method, path, handler, dtoName }
+   * @param {string} moduleName - Name of the module (tag)
+   * @param {Object} options - { hasModel, hasDto, listMethod, operationIds }
+   * @returns {Object} OpenAPI operation
+   */
+  _getOperation(route, moduleName, { hasModel, hasDto, listMethod, operationIds }) {
+    const moduleNameCapitalized = this._capitalize(moduleName);
+    const pathParams = [...route.path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => name);
+    const isList = route.method === "get" && route.handler === `get${moduleNameCapitalized}` && listMethod;
+    const isCrud = [`get${moduleNameCapitalized}`, `get${moduleNameCapitalized}ById`, `create${moduleNameCapitalized}`, `update${moduleNameCapitalized}`].includes(route.handler);
+
+    let operationId = route.handler;
+    for (let index = 2; operationIds.has(operationId); index++) {
+      operationId = `${route.handler}${index}`;
+    }
+    operationIds.add(operationId);
+
+    const parameters = [
+      ...pathParams.map((name) => ({ name, in: "path", required: true, schema: { type: "string" } })),
+      ...(isList ? LIST_PARAMETERS[listMethod] : []).map((name) => ({
+        name,
+        in: "query",
+        schema: ["page", "limit"].includes(name) ? { type: "integer" } : { type: "string" },
+      })),
+    ];
+
+    const modelRef = { $ref: `#/components/schemas/${moduleName}` };
+    // Without DTO, CRUD create takes the model (read only properties are not sent) and update any of its attributes
+    const bodySchema = hasDto
+      ? { $ref: `#/components/schemas/${route.dtoName}` }
+      : hasModel && route.handler === `create${moduleNameCapitalized}`
+      ? modelRef
+      : hasModel && route.handler === `update${moduleNameCapitalized}`
+      ? { $ref: `#/components/schemas/${moduleName}_update_body` }
+      : null;
+    const data = isList ? { type: "object", properties: { items: { type: "array", items: modelRef } } } : modelRef;
+    const successStatus = route.method === "post" ? "201" : "200";
+    const responses = {
+      [successStatus]: {
+        description: "Successful response",
+        ...(hasModel && isCrud && {
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: { success: { type: "boolean" }, message: { type: "string" }, data },
+              },
+            },
+          },
+        }),
+      },
+      ...((hasDto || isList) && { 400: { description: "Invalid request" } }),
+      ...(pathParams.length > 0 && { 404: { description: "Not found" } }),
+    };
+
+    return {
+      tags: [moduleName],
+      summary: route.handler.replace(/([A-Z])/g, " $1").replace(/^./, (char) => char.toUpperCase()),
+      operationId,
+      ...(parameters.length > 0 && { parameters }),
+      ...(bodySchema && {
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: bodySchema } },
+        },
+      }),
+      responses,
+    };
+  },
+
+  /**
+   * Counts operations of the generated document added to and removed from the existing one
+   * @param {Object} spec - Generated OpenAPI document
+   * @param {Object|null} existingSpec - Existing openapi.json
+   * @returns {Object} Counts of { operations, added, removed } operations
+   */
+  _countOperations(spec, existingSpec) {
+    const getOperations = (document) =>
+      Object.entries(document?.paths || {}).flatMap(([apiPath, pathItem]) =>
+        Object.keys(pathItem)
+          .filter((method) => HTTP_METHODS.includes(method))
+          .map((method) => `${method} ${apiPath}`)
+      );
+
+    const operations = getOperations(spec);
+    const existingOperations = getOperations(existingSpec);
+    return {
+      operations: operations.length,
+      added: operations.filter((operation) => !existingOperations.includes(operation)).length,
+      removed: existingOperations.filter((operation) => !operations.includes(operation)).length,
+    };
+  },
+
+  /**
+   * Merges the generated document into the existing one, generated values win except hand edited
+   * summaries, descriptions, tags and examples; operations of removed routes are dropped
+   * @param {Object} spec - Generated OpenAPI document
+   * @param {Object} existingSpec - Existing openapi.json
+   * @returns {Object} Merged OpenAPI document
+   */
+  _mergeSpec(spec, existingSpec) {
+    const paths = Object.entries(spec.paths).reduce((mergedPaths, [apiPath, pathItem]) => {
+      const existingPathItem = { ...(existingSpec.paths?.[apiPath] || {}) };
+      HTTP_METHODS.filter((method) => !pathItem[method]).forEach((method) => delete existingPathItem[method]);
+      return { ...mergedPaths, [apiPath]: this._mergeSpecNode(pathItem, existingPathItem) };
+    }, {});
+
+    return {
+      ...this._mergeSpecNode(spec, existingSpec),
+      tags: this._mergeSpecNode(spec.tags, existingSpec.tags),
+      paths,
+    };
+  },
+
+  /**
+   * Merges a generated node of the document into the existing node
+   * @param {*} generated - Generated value
+   * @param {*} existing - Existing value
+   * @param {string} parentKey - Key of the node, names of "properties" are not treated as doc keys
+   * @returns {*} Merged value
+   */
+  _mergeSpecNode(generated, existing, parentKey = "") {
+    if (Array.isArray(generated) && Array.isArray(existing) && generated.every((item) => item?.name)) {
+      // Named arrays (tags, parameters) are merged by name
+      return [
+        ...generated.map((item) =>
+          this._mergeSpecNode(item, existing.find((existingItem) => existingItem?.name === item.name))
+        ),
+        ...(parentKey === "parameters" ? [] : existing.filter((item) => !generated.some((generatedItem) => generatedItem.name === item?.name))),
+      ];
+    }
+
+    if (!this._isPlainObject(generated) || !this._isPlainObject(existing)) {
+      return generated;
+    }
+
+    return Object.entries(generated).reduce(
+      (merged, [key, value]) => ({
+        ...merged,
+        [key]:
+          parentKey !== "properties" && DOC_KEYS.includes(key) && existing[key] !== undefined
+            ? existing[key]
+            : this._mergeSpecNode(value, existing[key], key),
+      }),
+      { ...existing }
+    );
+  },
+
+  /**
+   * Checks if a value is a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  _isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  },
+
+  /**
+   * Mounts Swagger UI of openapi.json at /api-docs in app.js
+   * @param {string} projectPath - Path of the project
+   * @returns {boolean} True when app.js was updated
+   */
+  _addSwaggerUi(projectPath) {
+    const appPath = languageHelper._getSourceFile(projectPath, path.join(projectPath, "app.js"));
+    const content = [
+      "// API documentation (Swagger UI)",
+      'const swaggerUi = require("swagger-ui-express");',
+      'app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(require("./openapi.json")));',
+      "",
+    ].join("\n");
+
+    if (fileHelper._exists(appPath) && fileHelper._read(appPath, "utf8").includes("swagger-ui-express")) {
+      logger().verbose("Swagger UI is already mounted in app.js");
+      return false;
+    }
+
+    if (!fileHelper._exists(appPath) || !fileHelper._read(appPath, "utf8").includes("// Base route")) {
+      logger().warn("Unable to locate base route in app.js, mount Swagger UI manually:");
+      logger().warn(content);
+      return false;
+    }
+
+    fileHelper._appendContent(appPath, {
+      content,
+      appendAt: "before",
+      appendLine: "// Base route",
+    });
+    return true;
+  },
+};
+
+export default docsHelper;
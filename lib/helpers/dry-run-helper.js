@@ -0,0 +1,101 @@
+import path from "path";
+import chalk from "chalk";
+import { createTwoFilesPatch } from "diff";
+import fileHelper from "./file-helper.js";
+import cliHelper from "./command-helper.js";
+import { getGlobalLogger as logger } from "./global-logger-helper.js";
+
+// Lines of unchanged content shown around the changes of a diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Dry run helper
+ * Writes of a command are recorded by fileHelper (and read back by later steps), commands are recorded by cliHelper,
+ * the files which would be created, modified or removed are printed with diffs when the command ends
+ */
+const dryRunHelper = {
+  /**
+   * Enables dry run mode for the rest of the process
+   * @returns {void}
+   */
+  _enable() {
+    if (fileHelper._isRecording()) {
+      return;
+    }
+    fileHelper._startRecording();
+    cliHelper._startRecording();
+
+    process.once("exit", () => this._printSummary());
+    logger().setDryRun(true);
+    logger().info("Dry run: changes are previewed, nothing is written to disk");
+  },
+
+  /**
+   * Builds a unified diff of two contents
+   * @param {string} file - File name shown in the diff header
+   * @param {string} before - Current content
+   * @param {string} after - New content
+   * @returns {Array} Diff lines
+   */
+  _getUnifiedDiff(file, before, after) {
+    return createTwoFilesPatch(`a/${file}`, `b/${file}`, before, after, undefined, undefined, {
+      context: DIFF_CONTEXT,
+    })
+      .split("\n")
+      .filter((line) => line && !line.startsWith("===="));
+  },
+
+  /**
+   * Prints the files which would be created, modified (with diffs) or removed,
+   * the packages which would be installed and the commands which would run
+   * @returns {void}
+   */
+  _printSummary() {
+    const changes = fileHelper._getRecordedChanges();
+    const { commands, packages } = cliHelper._getRecordedCommands();
+    const { dependencies, devDependencies } = packages;
+    const relative = (file) => path.relative(process.cwd(), file) || file;
+
+    if (changes.length === 0 && commands.length === 0 && dependencies.length === 0 && devDependencies.length === 0) {
+      logger().info("Dry run, no changes would be made.");
+      return;
+    }
+
+    logger().info("Dry run, no changes made. The command would:");
+    changes.forEach(({ action, file }) => logger().info(`   ${action.padEnd(6)} ${relative(file)}`));
+
+    changes
+      .filter(({ action, before, after }) => action === "modify" && !before.includes(0) && !after.includes(0))
+      .forEach(({ file, before, after }) => {
+        console.log("");
+        this._getUnifiedDiff(relative(file), before.toString("utf8"), after.toString("utf8")).forEach((line) => {
+          const color = line.startsWith("@@")
+            ? chalk.cyan
+            : line.startsWith("+")
+              ? chalk.green
+              : line.startsWith("-")
+                ? chalk.red
+                : (text) => text;
+          console.log(color(line));
+        });
+      });
+    if (changes.some(({ action }) => action === "modify")) {
+      console.log("");
+    }
+
+    if (dependencies.length > 0) {
+      logger().info(`Install packages: ${dependencies.join(", ")}`);
+    }
+    if (devDependencies.length > 0) {
+      logger().info(`Install dev packages: ${devDependencies.join(", ")}`);
+    }
+    if (commands.length > 0) {
+      logger().info("Run commands (files they create are not listed):");
+      commands.forEach(({ command, cwd }) =>
+        logger().info(`   ${command}${path.resolve(cwd) !== process.cwd() ? ` (in ${relative(cwd)})` : ""}`)
+      );
+    }
+  },
+};
+
+export default dryRunHelper;
@@ -0,0 +1,405 @@
+import path from "path";
+import { getGlobalLogger as logger } from "./global-logger-helper.js";
+import templateHelper from "./template-helper.js";
+import middlewareHelper from "./middleware-helper.js";
+import moduleHelper from "./module-helper.js";
+import languageHelper from "./language-helper.js";
+import fileHelper from "./file-helper.js";
+
+/**
+ * Field helper
+ * This helper adds attributes to the model, DTO and service files of an existing module,
+ * files which no longer match the generated layout are reported instead of rewritten
+ */
+const fieldHelper = {
+  /**
+   * Gets the attributes of new fields which already exist in the model of a module
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {Array|null} Existing attributes, null when the module has no model
+   */
+  _getExistingFields(projectPath, structure, orm, moduleName, modelAttributes) {
+    if (orm === "prisma") {
+      const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+      const modelBlock = fileHelper._exists(schemaPath)
+        ? this._getPrismaModelBlock(fileHelper._read(schemaPath, "utf8"), moduleName)
+        : null;
+      return modelBlock
+        ? modelAttributes.filter((attr) => new RegExp(`^\\s+${attr.name}\\s`, "m").test(modelBlock))
+        : null;
+    }
+
+    const modelPath = moduleHelper._getModelFilePath(projectPath, structure, moduleName);
+    if (!modelPath) {
+      return null;
+    }
+
+    const content = fileHelper._read(modelPath, "utf8");
+    return modelAttributes.filter((attr) => new RegExp(`^\\s*${attr.name}: \\{`, "m").test(content));
+  },
+
+  /**
+   * Finds the model block of prisma/schema.prisma
+   * @param {string} schema - Content of prisma/schema.prisma
+   * @param {string} moduleName - Name of the module
+   * @returns {string|null} Model block, null when not found
+   */
+  _getPrismaModelBlock(schema, moduleName) {
+    const match = new RegExp(`^model\\s+${moduleName}\\s*\\{[\\s\\S]*?^\\}`, "m").exec(schema);
+    return match ? match[0] : null;
+  },
+
+  /**
+   * Extracts the "name: { ... }" block of an object property (or the exported object/interface of
+   * TypeScript DTOs), braces are matched
+   * @param {string} content - File content
+   * @param {string} name - Property name
+   * @returns {string} Block with its leading indentation, empty string when not found
+   */
+  _extractBlock(content, name) {
+    const match = new RegExp(`^[ \\t]*(?:export (?:const|interface) )?${name}(?::| =)? \\{`, "m").exec(content);
+    if (!match) {
+      return "";
+    }
+
+    let depth = 0;
+    for (let index = match.index + match[0].length - 1; index < content.length; index++) {
+      if (content[index] === "{") {
+        depth++;
+      } else if (content[index] === "}" && --depth === 0) {
+        return content.slice(match.index, index + 1);
+      }
+    }
+    return "";
+  },
+
+  /**
+   * Renders the model template of the ORM with the new fields only
+   * @param {string} projectPath - Project base path
+   * @param {string} orm - ORM in use (sequelize, typeorm or mongoose)
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {string} Rendered model file
+   */
+  _renderModel(projectPath, orm, moduleName, modelAttributes) {
+    const templatePath = templateHelper._getTemplatePath(moduleHelper._fetchModuleTemplate("model", orm), projectPath);
+    return templateHelper._renderTemplate(fileHelper._read(templatePath, "utf8"), {
+      moduleName,
+      modelAttributes,
+      ormDataTypes: moduleHelper._ormDataTypeMapping[orm] || {},
+      associations: [],
+    });
+  },
+
+  /**
+   * Inserts entries at the end of an object literal, a comma is added after the previous entry if missing
+   * @param {string} content - File content
+   * @param {number} position - Position of the line closing the object
+   * @param {Array} entries - Entries to insert (with indentation, without trailing comma)
+   * @param {boolean} trailingComma - Whether the last entry gets a trailing comma
+   * @returns {string} Updated content
+   */
+  _insertEntries(content, position, entries, trailingComma) {
+    const before = content
+      .slice(0, position)
+      .trimEnd()
+      .replace(/\n[ \t]*\/\/ No custom attributes defined$/, "")
+      .trimEnd();
+    const lastCode = before.replace(/(\n[ \t]*\/\/[^\n]*)+$/, "").trimEnd();
+    const separator = /[{,]$/.test(lastCode) ? "" : ",";
+
+    return `${before}${separator}\n${entries.join(",\n")}${trailingComma ? "," : ""}${content.slice(position)}`;
+  },
+
+  /**
+   * Adds the new fields to the model file of a module (Sequelize, TypeORM or Mongoose)
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {boolean} Whether the model file was updated
+   */
+  _patchModel(projectPath, structure, orm, moduleName, modelAttributes) {
+    if (orm === "prisma") {
+      return this._patchPrismaModel(projectPath, moduleName, modelAttributes);
+    }
+
+    const modelPath = moduleHelper._getModelFilePath(projectPath, structure, moduleName);
+    const rendered = this._renderModel(projectPath, orm, moduleName, modelAttributes);
+    const blocks = modelAttributes.map((attr) => this._extractBlock(rendered, attr.name));
+    let content = fileHelper._read(modelPath, "utf8");
+
+    // End of the attributes object, followed by the model options
+    const anchors = {
+      sequelize: /\n[ \t]*\},\n[ \t]*\{\n[ \t]*sequelize,/,
+      typeorm: /\n[ \t]*createdAt: \{\n[ \t]*type: "timestamp",\n[ \t]*createDate: true,/,
+      mongoose: /\n[ \t]*\},\n[ \t]*\{\n[ \t]*timestamps: true,/,
+    };
+    // Exactly one attributes object of live code is patched, commented out code is skipped
+    const anchor = this._findLiveMatch(content, anchors[orm]);
+    if (!anchor) {
+      this._warnNotPatched(projectPath, modelPath, "model attributes", blocks.join(",\n"));
+      return false;
+    }
+
+    if (orm === "typeorm") {
+      content = `${content
+        .slice(0, anchor.index)
+        .trimEnd()
+        .replace(/\n[ \t]*\/\/ No custom attributes defined$/, "")
+        .trimEnd()}\n${blocks
+        .map((block) => `${block},`)
+        .join("\n")}${content.slice(anchor.index)}`;
+    } else {
+      content = this._insertEntries(content, anchor.index, blocks, orm === "mongoose");
+    }
+
+    // Mongoose indexes are field options, Sequelize & TypeORM indexes and TypeORM relations are model options
+    const indexed = modelAttributes.filter((attr) => attr.index);
+    const relations = modelAttributes.filter((attr) => attr.isForeignKey && /_id$/.test(attr.name));
+    const renderedRelations = rendered.slice(rendered.indexOf("relations: {"));
+    const modelOptions = [
+      orm === "sequelize" && {
+        name: "indexes",
+        pattern: /(\n[ \t]*indexes: \[)/,
+        entries: indexed.map((attr) => `        { fields: ["${attr.name}"] },`),
+      },
+      orm === "typeorm" && {
+        name: "indices",
+        pattern: /(\n[ \t]*indices: \[)/,
+        entries: indexed.map((attr) => `    { columns: ["${attr.name}"] },`),
+      },
+      orm === "typeorm" && {
+        name: "relations",
+        pattern: /(\n[ \t]*relations: \{)/,
+        entries: relations.map(
+          (attr) => `${this._extractBlock(renderedRelations, attr.name.replace(/_id$/, ""))},`
+        ),
+      },
+    ].filter((option) => option && option.entries.length > 0);
+
+    modelOptions.forEach((option) => {
+      const entries = option.entries.map((entry) => `\n${entry}`).join("");
+      const optionMatch = this._findLiveMatch(content, option.pattern);
+      if (optionMatch) {
+        const end = optionMatch.index + optionMatch[0].length;
+        content = `${content.slice(0, end)}${entries}${content.slice(end)}`;
+      } else if (option.name === "indexes" && content.includes(`tableName: "${moduleName}",`)) {
+        content = content.replace(
+          `tableName: "${moduleName}",`,
+          () => `tableName: "${moduleName}",\n      indexes: [${entries}\n      ],`
+        );
+      } else {
+        this._warnNotPatched(projectPath, modelPath, option.name, option.entries.join("\n"));
+      }
+    });
+
+    fileHelper._write(modelPath, content);
+    return true;
+  },
+
+  /**
+   * Finds the only match of a pattern in the code of a file, comments (// lines and /* blocks *\/) are ignored
+   * @param {string} content - File content
+   * @param {RegExp} pattern - Pattern to find
+   * @returns {Object|null} Match (index in content), null when the pattern is not found or found more than once
+   */
+  _findLiveMatch(content, pattern) {
+    // Comments are blanked with spaces, positions in the code are positions in the content
+    const code = content
+      .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, " "))
+      .replace(/^([ \t]*)\/\/[^\n]*/gm, (comment, indent) => `${indent}${" ".repeat(comment.length - indent.length)}`);
+    const matches = [...code.matchAll(new RegExp(pattern.source, `${pattern.flags.replace("g", "")}g`))];
+    return matches.length === 1 ? matches[0] : null;
+  },
+
+  /**
+   * Adds the new fields (and enums) to the model of a module in prisma/schema.prisma
+   * @param {string} projectPath - Project base path
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {boolean} Whether the schema was updated
+   */
+  _patchPrismaModel(projectPath, moduleName, modelAttributes) {
+    const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+    const { schema, prismaAttributes } = moduleHelper._addPrismaRelations(
+      projectPath,
+      fileHelper._read(schemaPath, "utf8"),
+      moduleName,
+      modelAttributes
+    );
+
+    const templatePath = templateHelper._getTemplatePath("module/models/prisma.model.prisma", projectPath);
+    const rendered = templateHelper._renderTemplate(fileHelper._read(templatePath, "utf8"), {
+      moduleName,
+      modelAttributes: prismaAttributes,
+      ormDataTypes: moduleHelper._ormDataTypeMapping.prisma,
+    });
+
+    // Field lines are rendered between the id and createdAt fields, indexes before the closing brace
+    const renderedLines = rendered.slice(0, rendered.search(/^\}/m)).split("\n");
+    const fieldLines = renderedLines.slice(
+      renderedLines.findIndex((line) => /^\s+id\s/.test(line)) + 1,
+      renderedLines.findIndex((line) => /^\s+createdAt\s/.test(line))
+    );
+    const indexLines = renderedLines.filter((line) => /^\s+@@index/.test(line));
+    const enumBlocks = rendered.slice(rendered.search(/^\}/m) + 1).trim();
+
+    const modelBlock = this._getPrismaModelBlock(schema, moduleName);
+    const closeIndex = modelBlock.lastIndexOf("}");
+    const createdAtMatch = /^[ \t]+createdAt\s/m.exec(modelBlock);
+    const fieldsIndex = createdAtMatch ? createdAtMatch.index : closeIndex;
+    const updatedBlock = `${modelBlock.slice(0, fieldsIndex)}${fieldLines.join("\n")}\n${modelBlock.slice(
+      fieldsIndex,
+      closeIndex
+    )}${indexLines.map((line) => `${line}\n`).join("")}}`;
+
+    const updatedSchema = schema.replace(modelBlock, () => updatedBlock);
+    fileHelper._write(
+      schemaPath,
+      enumBlocks ? `${updatedSchema.trimEnd()}\n\n${enumBlocks}\n` : updatedSchema
+    );
+    return true;
+  },
+
+  /**
+   * Adds validation rules of the new fields to the create & update schemas of the module DTO
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {boolean} Whether the DTO file was updated, false when the module has no DTO
+   */
+  _patchDto(projectPath, structure, orm, moduleName, modelAttributes) {
+    const validator = middlewareHelper._getValidatorPaths(projectPath, structure);
+    const typescript = languageHelper._isTypescript(projectPath);
+    const dtoDir = validator ? validator.dtoPath : typescript && middlewareHelper._getDtoPath(structure);
+    const dtoPath = dtoDir
+      ? languageHelper._getSourceFile(projectPath, path.join(projectPath, dtoDir, `${moduleName}.dto.js`))
+      : "";
+    if (!dtoPath || !fileHelper._exists(dtoPath)) {
+      logger().verbose(`No DTO found for ${moduleName}, validation schemas are not updated`);
+      return false;
+    }
+
+    let content = fileHelper._read(dtoPath, "utf8");
+    // TypeScript DTOs export each schema, their rules are one level less indented
+    const toDtoRules = (rules) => (typescript ? rules.replace(/^ {4}/gm, "  ") : rules);
+    const schemas = [
+      ...(validator
+        ? [
+            { name: `${moduleName}_create_schema`, rules: toDtoRules(moduleHelper._getDtoRules(modelAttributes, orm)) },
+            {
+              name: `${moduleName}_update_schema`,
+              rules: toDtoRules(moduleHelper._getDtoRules(modelAttributes, orm, true)),
+            },
+          ]
+        : []),
+      ...(typescript
+        ? [
+            {
+              name: `${moduleName.charAt(0).toUpperCase() + moduleName.slice(1)}CreateDto`,
+              rules: languageHelper._getDtoFields(modelAttributes, orm),
+            },
+          ]
+        : []),
+    ];
+
+    let updated = false;
+    schemas.forEach((schema) => {
+      const block = this._extractBlock(content, schema.name);
+      if (!block) {
+        this._warnNotPatched(projectPath, dtoPath, schema.name, schema.rules);
+        return;
+      }
+
+      const closeIndex = block.lastIndexOf("\n");
+      content = content.replace(block, () => `${block.slice(0, closeIndex)}\n${schema.rules}${block.slice(closeIndex)}`);
+      updated = true;
+    });
+
+    if (updated) {
+      fileHelper._write(dtoPath, content);
+    }
+    return updated;
+  },
+
+  /**
+   * Adds the new fields to the filter, sort & search whitelist of the CRUD list endpoint
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} orm - ORM in use
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed attributes of the new fields
+   * @returns {boolean} Whether the service file was updated, false when the module has no CRUD list endpoint
+   */
+  _patchService(projectPath, structure, orm, moduleName, modelAttributes) {
+    const servicePath = languageHelper._getSourceFile(
+      projectPath,
+      structure === "layered"
+        ? path.join(projectPath, "src", "services", `${moduleName}Service.js`)
+        : path.join(projectPath, "src", "modules", moduleName, "services", `${moduleName}Service.js`)
+    );
+    if (!fileHelper._exists(servicePath)) {
+      return false;
+    }
+
+    const content = fileHelper._read(servicePath, "utf8");
+    const fieldsMatch = /(\bfields: \{ )([^}]*?)( \})/.exec(content);
+    const searchFieldsMatch = /(\bsearchFields: \[)([^\]]*)(\])/.exec(content);
+    if (!fieldsMatch || !searchFieldsMatch) {
+      return false;
+    }
+
+    const { fields, searchFields } = moduleHelper._getQueryFields(modelAttributes, orm);
+    const names = modelAttributes.map((attr) => attr.name);
+    const newFields = Object.entries(fields)
+      .filter(([name]) => names.includes(name))
+      .map(([name, type]) => `${name}: "${type}"`);
+    if (newFields.length === 0) {
+      return false;
+    }
+
+    // New fields go before the timestamp columns, as generated by gen:module
+    const existingFields = fieldsMatch[2].split(/,\s*/).filter(Boolean);
+    const timestampIndex = existingFields.findIndex((field) => /^createdAt:/.test(field));
+    existingFields.splice(timestampIndex === -1 ? existingFields.length : timestampIndex, 0, ...newFields);
+    const existingSearchFields = searchFieldsMatch[2].split(/,\s*/).filter(Boolean);
+
+    fileHelper._write(
+      servicePath,
+      content
+        .replace(fieldsMatch[0], () => `${fieldsMatch[1]}${existingFields.join(", ")}${fieldsMatch[3]}`)
+        .replace(
+          searchFieldsMatch[0],
+          () => `${searchFieldsMatch[1]}${[...existingSearchFields, ...searchFields.map((name) => `"${name}"`)].join(
+            ", "
+          )}${searchFieldsMatch[3]}`
+        )
+    );
+    return true;
+  },
+
+  /**
+   * Warns that a file no longer matches the generated layout and prints the code to add by hand
+   * @param {string} projectPath - Project base path
+   * @param {string} filePath - Path of the file
+   * @param {string} part - Part of the file which could not be updated
+   * @param {string} snippet - Generated code to add manually
+   */
+  _warnNotPatched(projectPath, filePath, part, snippet) {
+    logger().warn(
+      `⚠️  ${path.relative(projectPath, filePath)}: ${part} not found (modified by hand?), add manually:`
+    );
+    const lines = snippet.split("\n").filter((line) => line.trim());
+    const indent = Math.min(...lines.map((line) => line.match(/^\s*/)[0].length));
+    lines.forEach((line) => logger().info(`   ${line.slice(indent)}`));
+  },
+};
+
+export default fieldHelper;
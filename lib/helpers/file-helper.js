@@ -1,13 +1,19 @@
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import _lodash from "lodash";
 import templateHelper from "./template-helper.js";
-
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import languageHelper from "./language-helper.js";
+
+// Pending changes of the recording mode (dry run): written files (null when removed), created & removed directories,
+// cwd is set while the working directory only exists in memory
+const recording = {
+  enabled: false,
+  cwd: null,
+  files: new Map(),
+  dirs: new Set(),
+  removedDirs: new Set(),
+};
 
 const fileHelper = {
   /**
@@ -35,14 +41,14 @@ const fileHelper = {
       };
 
       // Read and process the README template
-      const templatePath = path.join(__dirname, "../templates/README.md");
-      const template = fs.readFileSync(templatePath, "utf8");
+      const templatePath = templateHelper._getTemplatePath("README.md", projectPath);
+      const template = fileHelper._read(templatePath, "utf8");
       const compiledTemplate = _lodash.template(template);
       const readmeContent = compiledTemplate(templateData);
 
       // Write README.md to project directory
       const readmePath = path.join(projectPath, "README.md");
-      fs.writeFileSync(readmePath, readmeContent, "utf8");
+      fileHelper._write(readmePath, readmeContent);
       
       logger().success("README.md created successfully");
     } catch (error) {
@@ -56,11 +62,11 @@ const fileHelper = {
    */
   _createProjectDirectory: (projectName) => {
     try {
-      if (fs.existsSync(projectName)) {
+      if (fileHelper._exists(projectName)) {
         logger().error(`Directory "${projectName}" already exists.`);
         process.exit(1);
       }
-      fs.mkdirSync(projectName);
+      fileHelper._makeDir(projectName);
       logger().success(`Created directory: ${projectName}`);
     } catch (error) {
       logger().error(`Error creating project directory: ${error.message}`);
@@ -72,16 +78,19 @@ const fileHelper = {
    * Creates project directories and files based on structure configuration
    * @param {string} projectPath - Path where project should be created
    * @param {Array} structure - Array of directory and file configurations
+   * @returns {Array} Files created or overwritten, relative to the project
    */
   _addDirsAndFiles: (projectPath, structure) => {
     try {
+      const writtenFiles = [];
+
       // Create directories
       structure.forEach((item) => {
         if (item.type === "dir") {
           item.name.forEach((dir) => {
             const dirPath = path.join(projectPath, dir);
-            if (!fs.existsSync(dirPath)) {
-              fs.mkdirSync(dirPath, { recursive: true });
+            if (!fileHelper._exists(dirPath)) {
+              fileHelper._makeDir(dirPath);
               logger().success(`Created directory: ${dir}`);
             }
           });
@@ -91,53 +100,57 @@ const fileHelper = {
       // Create files from templates
       structure.forEach((item) => {
         if (item.type === "file") {
-          const filePath = path.join(projectPath, item.name);
+          // TypeScript projects get .ts files, converted from the CommonJS templates unless a typed variant exists,
+          // ES module projects get the CommonJS templates (or their .mjs variant) converted to import/export
+          const fileName = languageHelper._getSourceFile(projectPath, item.name);
+          const template = item.template && languageHelper._getTemplate(projectPath, item.template);
+          const filePath = path.join(projectPath, fileName);
+          const convert = (content) => {
+            if (fileName !== item.name && !(template && template.endsWith(".ts"))) {
+              return languageHelper._toTypescript(content, fileName);
+            }
+            return languageHelper._isEsmFile(filePath) ? languageHelper._toEsm(content) : content;
+          };
           const shouldOverwrite = item.force === true;
           
-          if (!fs.existsSync(filePath) || shouldOverwrite) {
+          if (!fileHelper._exists(filePath) || shouldOverwrite) {
             let content = item.content || "";
 
-            if (_lodash.isEmpty(content) && item.template) {
-              // If template is specified, copy from template
-              const templatePath = path.join(
-                __dirname,
-                "..",
-                "templates",
-                item.template
-              );
-              if (fs.existsSync(templatePath)) {
-                content = fs.readFileSync(templatePath, "utf8");
-
-                // Process template with data if provided
-                if (item.templateData) {
-                  content = templateHelper._renderTemplate(
-                    content,
-                    item.templateData
-                  );
-                }
-
-                fs.writeFileSync(filePath, content, { recursive: true });
-                if (shouldOverwrite) {
-                  logger().success(`Overwritten file from template: ${item.name}`);
-                } else {
-                  logger().success(`Created file from template: ${item.name}`);
-                }
+            if (_lodash.isEmpty(content) && template) {
+              // If template is specified, copy from template (project templates shadow built-in ones)
+              const templatePath = templateHelper._getTemplatePath(template, projectPath);
+              content = fileHelper._read(templatePath, "utf8");
+
+              // Process template with data if provided
+              if (item.templateData) {
+                content = templateHelper._renderTemplate(
+                  content,
+                  item.templateData
+                );
+              }
+
+              fileHelper._write(filePath, convert(content));
+              writtenFiles.push(fileName);
+              if (shouldOverwrite) {
+                logger().success(`Overwritten file from template: ${fileName}`);
               } else {
-                logger().error(`Template not found: ${item.template}`);
-                process.exit(1);
+                logger().success(`Created file from template: ${fileName}`);
               }
             } else {
               // If no template or direct content provided, create empty file
-              fs.writeFileSync(filePath, content);
+              fileHelper._write(filePath, convert(content));
+              writtenFiles.push(fileName);
               if (shouldOverwrite) {
-                logger().success(`Overwritten file: ${item.name}`);
+                logger().success(`Overwritten file: ${fileName}`);
               } else {
-                logger().success(`Created file: ${item.name}`);
+                logger().success(`Created file: ${fileName}`);
               }
             }
           }
         }
       });
+
+      return writtenFiles;
     } catch (error) {
       logger().error(`Error creating project structure: ${error.message}`);
       process.exit(1);
@@ -151,7 +164,7 @@ const fileHelper = {
    */
   _writeFile: (filePath, content) => {
     try {
-      fs.writeFileSync(filePath, content);
+      fileHelper._write(filePath, content);
       logger().success(`Created file: ${path.basename(filePath)}`);
     } catch (error) {
       logger().error(`Error writing file ${filePath}: ${error.message}`);
@@ -166,7 +179,7 @@ const fileHelper = {
    */
   _isFileValidJson: (filePath) => {
     try {
-      const content = fs.readFileSync(filePath, "utf8");
+      const content = fileHelper._read(filePath, "utf8");
       JSON.parse(content);
       return { isValidJson: true };
     } catch (error) {
@@ -184,7 +197,7 @@ const fileHelper = {
     while (i < files.length) {
       let fileMeta = files[i];
       // Check if file exist
-      if (fs.existsSync(fileMeta.path) && fileMeta.content) {
+      if (fileHelper._exists(fileMeta.path) && fileMeta.content) {
         // Check for content replacement
         if (!_lodash.isEmpty(fileMeta.contentReplace)) {
           // Replace the content
@@ -217,9 +230,21 @@ const fileHelper = {
   _appendContent(filePath, options) {
     try {
       // Check if file exist and content is not empty
-      if (fs.existsSync(filePath) && !_lodash.isEmpty(options.content)) {
+      if (fileHelper._exists(filePath) && !_lodash.isEmpty(options.content)) {
         // Read the file content
-        const fileContent = fs.readFileSync(filePath, "utf8");
+        let fileContent = fileHelper._read(filePath, "utf8");
+
+        // Generated snippets are CommonJS, TypeScript files and ES modules get the imports of the snippet
+        // (modules required in expressions included) next to their own imports
+        if (filePath.endsWith(".ts")) {
+          const { imports, content } = languageHelper._importRequiredExpressions(options.content, filePath);
+          fileContent = languageHelper._addImports(fileContent, imports);
+          options = { ...options, content: languageHelper._convertModuleSyntax(content, filePath) };
+        } else if (languageHelper._isEsmFile(filePath)) {
+          const { imports, content } = languageHelper._convertToEsm(options.content, fileContent);
+          fileContent = languageHelper._addImports(fileContent, imports);
+          options = { ...options, content };
+        }
 
         if (options.appendAt === "before") {
           // Append before
@@ -241,7 +266,7 @@ const fileHelper = {
           const updatedContent = `${beforeContent}\n${options.content}\n${afterContent}`;
 
           // Write the updated content back to the file
-          fs.writeFileSync(filePath, updatedContent, "utf8");
+          fileHelper._write(filePath, updatedContent);
         } else if (options.appendAt === "after") {
           // Append after
           const lines = fileContent.split("\n");
@@ -263,10 +288,10 @@ const fileHelper = {
             return;
           }
 
-          fs.writeFileSync(filePath, modifiedLines.join("\n"), "utf-8");
+          fileHelper._write(filePath, modifiedLines.join("\n"));
         } else {
           // Append content at last in file
-          fs.appendFileSync(filePath, options.content);
+          fileHelper._write(filePath, `${fileContent}${options.content}`);
         }
         logger().success(`Content appended successfully at ${filePath}`);
       } else {
@@ -278,6 +303,297 @@ const fileHelper = {
       throw error;
     }
   },
+
+  /**
+   * Starts the recording mode: writes are kept in memory (and read back by the following steps) instead of
+   * being written to disk, see _getRecordedChanges
+   * @returns {void}
+   */
+  _startRecording() {
+    recording.enabled = true;
+  },
+
+  /**
+   * Checks if the recording mode is started
+   * @returns {boolean} True in recording mode
+   */
+  _isRecording() {
+    return recording.enabled;
+  },
+
+  /**
+   * Gets the working directory, relative paths of the file methods resolve against it
+   * @returns {string} Working directory
+   */
+  _getWorkingDirectory() {
+    return recording.cwd || process.cwd();
+  },
+
+  /**
+   * Changes the working directory, a directory which only exists in memory (e.g., new project of init in recording mode)
+   * is entered virtually
+   * @param {string} dirPath - Directory path
+   * @returns {void}
+   */
+  _changeDirectory(dirPath) {
+    const targetPath = fileHelper._resolve(dirPath);
+    if (recording.enabled && !fs.existsSync(targetPath) && fileHelper._exists(targetPath)) {
+      recording.cwd = targetPath;
+      return;
+    }
+    process.chdir(targetPath);
+    recording.cwd = null;
+  },
+
+  /**
+   * Checks if a file or directory exists, including pending changes
+   * @param {string} filePath - File or directory path
+   * @returns {boolean} True when it exists
+   */
+  _exists(filePath) {
+    const resolvedPath = fileHelper._resolve(filePath);
+    if (!recording.enabled) {
+      return fs.existsSync(resolvedPath);
+    }
+    if (recording.files.has(resolvedPath)) {
+      return recording.files.get(resolvedPath) !== null;
+    }
+    if (recording.dirs.has(resolvedPath) || fileHelper._getPendingEntries(resolvedPath).length > 0) {
+      return true;
+    }
+    return !fileHelper._isRemovedDir(resolvedPath) && fs.existsSync(resolvedPath);
+  },
+
+  /**
+   * Reads a file, including pending changes
+   * @param {string} filePath - File path
+   * @param {string|Object} [options] - Encoding or options of fs.readFileSync
+   * @returns {string|Buffer} File content
+   */
+  _read(filePath, options) {
+    const resolvedPath = fileHelper._resolve(filePath);
+    if (!recording.enabled || (!recording.files.has(resolvedPath) && !fileHelper._isRemovedDir(resolvedPath))) {
+      return fs.readFileSync(resolvedPath, options);
+    }
+
+    const content = recording.files.get(resolvedPath);
+    if (content === null || content === undefined) {
+      throw Object.assign(new Error(`ENOENT: no such file or directory, open '${filePath}'`), { code: "ENOENT" });
+    }
+
+    const encoding = typeof options === "string" ? options : options?.encoding;
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    return encoding ? buffer.toString(encoding) : buffer;
+  },
+
+  /**
+   * Lists the entries of a directory, including pending changes
+   * @param {string} dirPath - Directory path
+   * @returns {Array} Names of the entries
+   */
+  _readDir(dirPath) {
+    const resolvedPath = fileHelper._resolve(dirPath);
+    if (!recording.enabled) {
+      return fs.readdirSync(resolvedPath);
+    }
+
+    const existsOnDisk = !fileHelper._isRemovedDir(resolvedPath) && fs.existsSync(resolvedPath);
+    if (!existsOnDisk && !fileHelper._exists(resolvedPath)) {
+      return fs.readdirSync(resolvedPath);
+    }
+
+    const entries = new Set(existsOnDisk ? fs.readdirSync(resolvedPath) : []);
+    fileHelper._getPendingEntries(resolvedPath).forEach((entry) => entries.add(entry));
+    recording.files.forEach((content, file) => {
+      if (content === null && path.dirname(file) === resolvedPath) {
+        entries.delete(path.basename(file));
+      }
+    });
+
+    return [...entries].sort();
+  },
+
+  /**
+   * Gets the stats of a file or directory, including pending changes
+   * @param {string} filePath - File or directory path
+   * @returns {Object} Stats (only isFile & isDirectory for pending changes)
+   */
+  _stat(filePath) {
+    const resolvedPath = fileHelper._resolve(filePath);
+    if (!recording.enabled) {
+      return fs.statSync(resolvedPath);
+    }
+
+    const content = recording.files.get(resolvedPath);
+    if (content !== undefined && content !== null) {
+      return { isFile: () => true, isDirectory: () => false };
+    }
+    if (!fileHelper._exists(resolvedPath)) {
+      throw Object.assign(new Error(`ENOENT: no such file or directory, stat '${filePath}'`), { code: "ENOENT" });
+    }
+    if (!fs.existsSync(resolvedPath)) {
+      return { isFile: () => false, isDirectory: () => true };
+    }
+    return fs.statSync(resolvedPath);
+  },
+
+  /**
+   * Writes a file, kept in memory in recording mode
+   * @param {string} filePath - File path
+   * @param {string|Buffer} data - File content
+   * @returns {void}
+   */
+  _write(filePath, data) {
+    const resolvedPath = fileHelper._resolve(filePath);
+    if (!recording.enabled) {
+      fs.writeFileSync(resolvedPath, data);
+      return;
+    }
+    recording.files.set(resolvedPath, Buffer.isBuffer(data) ? data : String(data));
+  },
+
+  /**
+   * Copies a file, kept in memory in recording mode
+   * @param {string} sourcePath - Path of the file to copy
+   * @param {string} targetPath - Path of the copy
+   * @returns {void}
+   */
+  _copy(sourcePath, targetPath) {
+    if (!recording.enabled) {
+      fs.copyFileSync(fileHelper._resolve(sourcePath), fileHelper._resolve(targetPath));
+      return;
+    }
+    fileHelper._write(targetPath, fileHelper._read(sourcePath));
+  },
+
+  /**
+   * Creates a directory with its missing parents, recorded in recording mode
+   * @param {string} dirPath - Directory path
+   * @returns {void}
+   */
+  _makeDir(dirPath) {
+    const resolvedPath = fileHelper._resolve(dirPath);
+    if (!recording.enabled) {
+      fs.mkdirSync(resolvedPath, { recursive: true });
+      return;
+    }
+    recording.dirs.add(resolvedPath);
+  },
+
+  /**
+   * Removes a file or directory, recorded in recording mode
+   * @param {string} filePath - File or directory path
+   * @param {Object} [options] - Options of fs.rmSync (recursive, force)
+   * @returns {void}
+   */
+  _remove(filePath, options = {}) {
+    const resolvedPath = fileHelper._resolve(filePath);
+    if (!recording.enabled) {
+      fs.rmSync(resolvedPath, options);
+      return;
+    }
+
+    if (!fileHelper._exists(resolvedPath)) {
+      if (options.force) {
+        return;
+      }
+      throw Object.assign(new Error(`ENOENT: no such file or directory, rm '${filePath}'`), { code: "ENOENT" });
+    }
+
+    if (recording.files.has(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
+      recording.files.set(resolvedPath, null);
+      return;
+    }
+
+    // Files of a removed directory are listed as removed
+    fileHelper._listDiskFiles(resolvedPath).forEach((file) => recording.files.set(file, null));
+    [...recording.files.keys()]
+      .filter((file) => file.startsWith(`${resolvedPath}${path.sep}`) && !fs.existsSync(file))
+      .forEach((file) => recording.files.delete(file));
+    [...recording.dirs]
+      .filter((dir) => fileHelper._isInside(dir, resolvedPath))
+      .forEach((dir) => recording.dirs.delete(dir));
+    recording.removedDirs.add(resolvedPath);
+  },
+
+  /**
+   * Gets the pending file changes of the recording mode compared to the disk
+   * @returns {Array} Changes as { action, file, before, after } with action 'create', 'modify' or 'remove'
+   */
+  _getRecordedChanges() {
+    return [...recording.files]
+      .map(([file, content]) => {
+        const existed = fs.existsSync(file) && fs.statSync(file).isFile();
+        const before = existed ? fs.readFileSync(file) : null;
+        const after = content === null ? null : Buffer.isBuffer(content) ? content : Buffer.from(content);
+
+        if (after === null) {
+          return existed ? { action: "remove", file, before, after } : null;
+        }
+        if (!existed) {
+          return { action: "create", file, before, after };
+        }
+        return before.equals(after) ? null : { action: "modify", file, before, after };
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Resolves a path against the working directory
+   * @param {string} filePath - File or directory path
+   * @returns {string} Absolute path
+   */
+  _resolve(filePath) {
+    return path.resolve(fileHelper._getWorkingDirectory(), String(filePath));
+  },
+
+  /**
+   * Gets the names of pending files and directories directly inside a directory
+   * @param {string} dirPath - Resolved directory path
+   * @returns {Array} Entry names
+   */
+  _getPendingEntries(dirPath) {
+    const entries = [
+      ...recording.dirs,
+      ...[...recording.files].filter(([, content]) => content !== null).map(([file]) => file),
+    ]
+      .filter((entry) => entry.startsWith(`${dirPath}${path.sep}`))
+      .map((entry) => path.relative(dirPath, entry).split(path.sep)[0]);
+    return [...new Set(entries)];
+  },
+
+  /**
+   * Checks if a path is inside a directory (or is the directory)
+   * @param {string} filePath - Resolved path
+   * @param {string} dirPath - Resolved directory path
+   * @returns {boolean} True when inside
+   */
+  _isInside(filePath, dirPath) {
+    return filePath === dirPath || filePath.startsWith(`${dirPath}${path.sep}`);
+  },
+
+  /**
+   * Checks if a path was removed with its directory and not created again
+   * @param {string} filePath - Resolved path
+   * @returns {boolean} True when removed
+   */
+  _isRemovedDir(filePath) {
+    return (
+      [...recording.removedDirs].some((dir) => fileHelper._isInside(filePath, dir)) && !recording.dirs.has(filePath)
+    );
+  },
+
+  /**
+   * Lists the files of a directory on disk recursively
+   * @param {string} dirPath - Directory path
+   * @returns {Array} File paths
+   */
+  _listDiskFiles(dirPath) {
+    return fs.readdirSync(dirPath).flatMap((entry) => {
+      const entryPath = path.join(dirPath, entry);
+      return fs.statSync(entryPath).isDirectory() ? fileHelper._listDiskFiles(entryPath) : [entryPath];
+    });
+  },
 };
 
 // Helper functions for README generation
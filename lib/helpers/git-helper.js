@@ -1,12 +1,8 @@
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import cliHelper from "./command-helper.js";
-import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import templateHelper from "./template-helper.js";
+import fileHelper from "./file-helper.js";
 
 /**
  * Git helper for managing git repository operations
@@ -238,17 +234,17 @@ const gitHelper = {
       const gitignorePath = path.join(projectPath, ".gitignore");
       
       // Check if .gitignore already exists
-      if (fs.existsSync(gitignorePath)) {
+      if (fileHelper._exists(gitignorePath)) {
         logger().info(".gitignore already exists, skipping creation");
         return;
       }
 
       // Read the template
-      const templatePath = path.join(__dirname, "../templates/git/gitignore-template");
-      const template = fs.readFileSync(templatePath, "utf8");
+      const templatePath = templateHelper._getTemplatePath("git/gitignore-template", projectPath);
+      const template = fileHelper._read(templatePath, "utf8");
       
       // Write the .gitignore file
-      fs.writeFileSync(gitignorePath, template);
+      fileHelper._write(gitignorePath, template);
       logger().success(".gitignore file created");
     } catch (error) {
       logger().warn(`Could not create .gitignore file: ${error.message}`);
@@ -262,7 +258,7 @@ const gitHelper = {
    */
   _isGitRepository(projectPath) {
     const gitPath = path.join(projectPath, ".git");
-    return fs.existsSync(gitPath);
+    return fileHelper._exists(gitPath);
   },
 
   /**
@@ -373,8 +369,8 @@ const gitHelper = {
       // .gitignore file should already exist from project initialization
 
       // Change to project directory
-      const originalCwd = process.cwd();
-      process.chdir(projectPath);
+      const originalCwd = fileHelper._getWorkingDirectory();
+      fileHelper._changeDirectory(projectPath);
 
       try {
         const verbose = logger().isVerbose();
@@ -588,7 +584,7 @@ const gitHelper = {
 
       } finally {
         // Always restore original working directory
-        process.chdir(originalCwd);
+        fileHelper._changeDirectory(originalCwd);
       }
 
     } catch (error) {
@@ -5,12 +5,24 @@ import chalk from "chalk";
  */
 const LOGGER_KEY = Symbol.for("sargenjs.logger");
 
+// Leading verbs of success messages reworded in dry run mode, the changes are only simulated
+const DRY_RUN_VERBS = {
+  Created: "Would create",
+  Added: "Would add",
+  Updated: "Would update",
+  Overwritten: "Would overwrite",
+  Ejected: "Would eject",
+  Initialized: "Would initialize",
+  Switched: "Would switch",
+};
+
 /**
  * Logger class for consistent console logging with colors and verbose support
  */
 class Logger {
   constructor(options = {}) {
     this._verbose = options.verbose || false;
+    this._dryRun = false;
   }
 
   /**
@@ -26,9 +38,23 @@ class Logger {
    * @param {string} message - Message to log
    */
   success(message) {
+    if (this._dryRun) {
+      console.log(chalk.cyan(`[DRY RUN]: ${this._toDryRunMessage(message)}`));
+      return;
+    }
     console.log(chalk.green(`[SUCCESS]: ${message}`));
   }
 
+  /**
+   * Rewords a success message for dry run mode (e.g., "Created file: app.js" to "Would create file: app.js")
+   * @param {string} message - Success message
+   * @returns {string} - Reworded message, messages not starting with a known verb are kept
+   */
+  _toDryRunMessage(message) {
+    const [verb] = message.split(" ");
+    return DRY_RUN_VERBS[verb] ? `${DRY_RUN_VERBS[verb]}${message.slice(verb.length)}` : message;
+  }
+
   /**
    * Logs an error message in red
    * @param {string} message - Message to log
@@ -71,6 +97,14 @@ class Logger {
     this._verbose = verbose;
   }
 
+  /**
+   * Sets the dry run mode, success messages are reworded since changes are only simulated
+   * @param {boolean} dryRun - Whether dry run mode is enabled
+   */
+  setDryRun(dryRun) {
+    this._dryRun = dryRun;
+  }
+
   /**
    * Gets the current verbose mode
    * @returns {boolean} - Whether verbose logging is enabled
@@ -0,0 +1,708 @@
+import path from "path";
+import { createRequire } from "module";
+import templateHelper from "./template-helper.js";
+import fileHelper from "./file-helper.js";
+
+// Languages of the generated code, stored as "language" in .sargen.json (JavaScript when not set)
+const LANGUAGES = {
+  javascript: { alias: "js", extension: ".js" },
+  typescript: { alias: "ts", extension: ".ts" },
+};
+
+// Module systems of JavaScript projects, stored as "moduleSystem" in .sargen.json (CommonJS when not set)
+const MODULE_SYSTEMS = ["commonjs", "esm"];
+
+// Files which stay JavaScript in TypeScript projects and CommonJS in ES module projects:
+// ORM tooling (sequelize-cli, TypeORM CLI) loads them with require()
+const JAVASCRIPT_FILES = [/(^|\/)src\/config\//, /(^|\/)migrations\//, /(^|\/)seeders\//, /(^|\/)models\/index\.js$/];
+
+// Type declarations of the packages used by the generated code which don't ship their own
+const TYPE_PACKAGES = {
+  express: "@types/express",
+  cors: "@types/cors",
+  jsonwebtoken: "@types/jsonwebtoken",
+  bcrypt: "@types/bcrypt",
+  "response-time": "@types/response-time",
+  nodemailer: "@types/nodemailer",
+  multer: "@types/multer",
+};
+
+// Express handler parameters, only declarations (followed by => or a function body) are typed
+const HANDLER_PARAMETERS = [
+  {
+    pattern: /\(err, req, res, next\)(?=\s*(=>|\{))/g,
+    typed: "(err: Error, req: Request, res: Response, next: NextFunction)",
+    types: ["Request", "Response", "NextFunction"],
+  },
+  {
+    pattern: /\(req, res, next\)(?=\s*(=>|\{))/g,
+    typed: "(req: Request, res: Response, next: NextFunction)",
+    types: ["Request", "Response", "NextFunction"],
+  },
+  {
+    // response-time callbacks (monitor middleware)
+    pattern: /\(req, res, time\)(?=\s*(=>|\{))/g,
+    typed: "(req: Request, res: Response, time: number)",
+    types: ["Request", "Response"],
+  },
+  {
+    pattern: /\(req, res\)(?=\s*(=>|\{))/g,
+    typed: "(req: Request, res: Response)",
+    types: ["Request", "Response"],
+  },
+];
+
+// Extensions kept by relative specifiers of ES module imports, others get .js (./usersRoute -> ./usersRoute.js)
+const MODULE_EXTENSIONS = [".js", ".cjs", ".mjs", ".json"];
+
+// Import statements of ES modules, single line or with multi-line named imports (and import = require() of TypeScript)
+const IMPORT_STATEMENT =
+  /^import\s[^;]*?\bfrom\s+(["'])[^"']+\1;?[ \t]*$|^import\s+(["'])[^"']+\2;?[ \t]*$|^import\s+\w+\s*=\s*require\((["'])[^"']+\3\);?[ \t]*$/gm;
+
+// Marks the position of the converted requires while converting CommonJS code to an ES module
+const IMPORTS_PLACEHOLDER = "\u0000imports\u0000";
+
+// Parameters defaulting to an object literal (options = {}, req = { query: {} }), typed as records instead of {}
+const OBJECT_PARAMETER = /\b(\w+) = (\{(?: \w+: \{\} )?\})(?=[,)])/g;
+
+/**
+ * Language helper
+ * This helper converts the generated CommonJS code to TypeScript for projects created with --lang ts
+ * and to ES modules for projects created with --esm, sargen keeps working with .js names and CommonJS templates,
+ * the files are written (and looked up) with the project extension and module syntax
+ */
+const languageHelper = {
+  /**
+   * Gets the supported languages
+   * @returns {Array} Language names
+   */
+  _getLanguageNames() {
+    return Object.keys(LANGUAGES);
+  },
+
+  /**
+   * Validates a language given as name or alias
+   * @param {string} language - Language name or alias (e.g., ts)
+   * @returns {string} Language name
+   * @throws {Error} If the language is not supported
+   */
+  _parseLanguage(language) {
+    const name = Object.keys(LANGUAGES).find((key) => key === language || LANGUAGES[key].alias === language);
+    if (!name) {
+      throw new Error(
+        `Invalid language "${language}", use ${Object.values(LANGUAGES)
+          .map((config) => config.alias)
+          .join(" or ")}`
+      );
+    }
+    return name;
+  },
+
+  /**
+   * Gets the language of a project from its .sargen.json
+   * @param {string} projectPath - Path of the project
+   * @returns {string} Language name, javascript for projects without .sargen.json
+   */
+  _getLanguage(projectPath) {
+    const { language } = this._readMetadata(projectPath);
+    return LANGUAGES[language] ? language : "javascript";
+  },
+
+  /**
+   * Gets the module system of a project from its .sargen.json
+   * @param {string} projectPath - Path of the project
+   * @returns {string} Module system (commonjs or esm), commonjs for projects without .sargen.json
+   */
+  _getModuleSystem(projectPath) {
+    const { moduleSystem } = this._readMetadata(projectPath);
+    return MODULE_SYSTEMS.includes(moduleSystem) ? moduleSystem : "commonjs";
+  },
+
+  /**
+   * Reads the .sargen.json of a project
+   * @param {string} projectPath - Path of the project
+   * @returns {Object} Metadata, empty when the file is missing or invalid
+   */
+  _readMetadata(projectPath) {
+    try {
+      return JSON.parse(fileHelper._read(path.join(projectPath, ".sargen.json"), "utf8"));
+    } catch (error) {
+      return {};
+    }
+  },
+
+  /**
+   * Checks if a project is a TypeScript project
+   * @param {string} projectPath - Path of the project
+   * @returns {boolean} True for TypeScript projects
+   */
+  _isTypescript(projectPath) {
+    return this._getLanguage(projectPath) === "typescript";
+  },
+
+  /**
+   * Checks if a project generates ES modules
+   * @param {string} projectPath - Path of the project
+   * @returns {boolean} True for ES module projects
+   */
+  _isEsm(projectPath) {
+    return this._getModuleSystem(projectPath) === "esm";
+  },
+
+  /**
+   * Checks if a JavaScript file of a project is an ES module, as node decides it: files of ORM tooling and
+   * directories with their own package.json ("type": "commonjs", see _markCommonJsDirectory) stay CommonJS
+   * @param {string} filePath - Absolute path of the file
+   * @returns {boolean} True for .js files of ES module projects which are not CommonJS
+   */
+  _isEsmFile(filePath) {
+    if (!filePath.endsWith(".js") || this._keepsJavascript(filePath)) {
+      return false;
+    }
+
+    for (let dir = path.dirname(path.resolve(filePath)); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+      // The project root records the module system, its package.json may not be created yet (init)
+      if (fileHelper._exists(path.join(dir, ".sargen.json"))) {
+        return this._isEsm(dir);
+      }
+
+      const packageJsonPath = path.join(dir, "package.json");
+      if (fileHelper._exists(packageJsonPath)) {
+        try {
+          return JSON.parse(fileHelper._read(packageJsonPath, "utf8")).type === "module";
+        } catch (error) {
+          return false;
+        }
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Marks a directory of an ES module project as CommonJS with a package.json ("type": "commonjs"),
+   * used for the directories of ORM tooling (config, migrations, seeders & Sequelize models)
+   * @param {string} dirPath - Path of the directory
+   * @returns {boolean} True when the package.json was created
+   */
+  _markCommonJsDirectory(dirPath) {
+    const packageJsonPath = path.join(dirPath, "package.json");
+    if (fileHelper._exists(packageJsonPath)) {
+      return false;
+    }
+
+    fileHelper._write(packageJsonPath, `${JSON.stringify({ type: "commonjs" }, null, 2)}\n`);
+    return true;
+  },
+
+  /**
+   * Checks if a file stays JavaScript in TypeScript projects
+   * @param {string} fileName - Path of the file (relative to the project or absolute)
+   * @returns {boolean} True for ORM config, migrations, seeders and sequelize models/index.js
+   */
+  _keepsJavascript(fileName) {
+    const name = fileName.split(path.sep).join("/");
+    return JAVASCRIPT_FILES.some((pattern) => pattern.test(name));
+  },
+
+  /**
+   * Gets the name of a generated source file in the project language (.ts in TypeScript projects)
+   * @param {string} projectPath - Path of the project
+   * @param {string} fileName - Name of the file with .js extension (relative to the project or absolute)
+   * @returns {string} File name with the project extension
+   */
+  _getSourceFile(projectPath, fileName) {
+    if (!fileName.endsWith(".js") || this._keepsJavascript(fileName) || !this._isTypescript(projectPath)) {
+      return fileName;
+    }
+    return fileName.replace(/\.js$/, LANGUAGES.typescript.extension);
+  },
+
+  /**
+   * Gets the statement exporting the value of a generated module (e.g., the router of the routes index)
+   * @param {string} projectPath - Path of the project
+   * @returns {string} "export =" in TypeScript projects, "export default" in ES module projects, "module.exports =" otherwise
+   */
+  _getExportStatement(projectPath) {
+    if (this._isTypescript(projectPath)) {
+      return "export =";
+    }
+    return this._isEsm(projectPath) ? "export default" : "module.exports =";
+  },
+
+  /**
+   * Gets the template of a file in the project language, a typed variant (.ts sibling) of a template
+   * is used in TypeScript projects when it exists, e.g. module/dto.ts for module/dto.js,
+   * and an ES module variant (.mjs sibling) in ES module projects, e.g. modular/app.mjs for modular/app.js
+   * @param {string} projectPath - Path of the project
+   * @param {string} template - Name/path of the JavaScript template
+   * @returns {string} Name/path of the template
+   */
+  _getTemplate(projectPath, template) {
+    const extension = this._isTypescript(projectPath)
+      ? LANGUAGES.typescript.extension
+      : this._isEsm(projectPath) && ".mjs";
+    if (!template.endsWith(".js") || !extension) {
+      return template;
+    }
+
+    const variantTemplate = template.replace(/\.js$/, extension);
+    const variantTemplatePaths = [
+      path.join(templateHelper._getProjectTemplatesPath(projectPath), variantTemplate),
+      templateHelper._getBuiltInTemplatePath(variantTemplate),
+    ];
+    return variantTemplatePaths.some((templatePath) => fileHelper._exists(templatePath)) ? variantTemplate : template;
+  },
+
+  /**
+   * Requires a file of the project, TypeScript files are loaded with the tsx package of the project
+   * and ES modules with require(esm) of node (20.19, 22.12 and later)
+   * @param {string} projectPath - Path of the project
+   * @param {string} filePath - Path of the file
+   * @returns {*} Exports of the file, the default export of ES modules
+   */
+  _requireProjectFile(projectPath, filePath) {
+    const projectRequire = createRequire(path.join(projectPath, "package.json"));
+    if (this._isEsmFile(filePath)) {
+      return projectRequire(filePath).default;
+    }
+    if (!filePath.endsWith(".ts")) {
+      return projectRequire(filePath);
+    }
+
+    // tsx/cjs/api requires a file once without registering the loader for the whole process
+    const tsx = projectRequire("tsx/cjs/api");
+    return tsx.require(filePath, path.join(projectPath, "package.json"));
+  },
+
+  /**
+   * Converts generated CommonJS code to TypeScript:
+   * - top level requires become imports (default imports of packages rely on esModuleInterop of tsconfig.json),
+   *   modules which stay JavaScript are required untyped
+   * - fields assigned in class bodies (this.name = ...) are declared (as any)
+   * - module.exports becomes export =, exports.name becomes a named export
+   * - Express handler parameters (req, res, next) and parameters defaulting to objects (options = {}) are typed
+   * Other parameters stay untyped, the converted code type-checks with "strict": false of tsconfig.json
+   * @param {string} content - CommonJS code
+   * @param {string} fileName - Name of the file relative to the project, relative requires are resolved from it
+   * @returns {string} TypeScript code
+   */
+  _toTypescript(content, fileName) {
+    return this._addHandlerTypes(this._declareClassFields(this._convertModuleSyntax(content, fileName))).replace(
+      OBJECT_PARAMETER,
+      "$1: Record<string, any> = $2"
+    );
+  },
+
+  /**
+   * Converts the requires and exports of CommonJS code to TypeScript module syntax,
+   * used alone for code added to existing files
+   * @param {string} content - CommonJS code
+   * @param {string} fileName - Name of the file, relative requires are resolved from it
+   * @returns {string} Code with TypeScript imports & exports
+   */
+  _convertModuleSyntax(content, fileName) {
+    return content
+      // TypeScript modules are always strict
+      .replace(/^(["'])use strict\1;?\n/m, "")
+      .replace(/^const (\w+) = require\((["'])([^"']+)\2\);?[ \t]*$/gm, (line, name, quote, specifier) => {
+        if (!this._isTypedModule(fileName, specifier)) {
+          return line;
+        }
+        // Project modules export with export = or named exports, import = require() reads both
+        return specifier.startsWith(".")
+          ? `import ${name} = require(${quote}${specifier}${quote});`
+          : `import ${name} from ${quote}${specifier}${quote};`;
+      })
+      .replace(/^const \{([^}]*)\} = require\((["'])([^"']+)\2\);?[ \t]*$/gm, (line, names, quote, specifier) =>
+        this._isTypedModule(fileName, specifier)
+          ? `import {${names.replace(/(\w+)\s*:\s*(\w+)/g, "$1 as $2")}} from ${quote}${specifier}${quote};`
+          : line
+      )
+      .replace(/^module\.exports\s*=/gm, "export =")
+      .replace(/^exports\.(\w+)\s*=/gm, "export const $1 =");
+  },
+
+  /**
+   * Imports the modules required in expressions of CommonJS code added to a TypeScript file
+   * (e.g., router.use("/users", require("../routes/usersRoute.js"))), top level requires are left to _convertModuleSyntax
+   * @param {string} content - CommonJS code
+   * @param {string} fileName - Name of the file the code is added to, relative requires are resolved from it
+   * @returns {Object} Import statements as imports and the code using the imported names as content
+   */
+  _importRequiredExpressions(content, fileName) {
+    const imports = [];
+    const converted = content
+      .split("\n")
+      .map((line) =>
+        /^\s*(\/\/|\/?\*)|^const /.test(line)
+          ? line
+          : line.replace(/\brequire\((["'])([^"']+)\1\)/g, (expression, quote, specifier) => {
+              if (!this._isTypedModule(fileName, specifier)) {
+                return expression;
+              }
+              const name = this._getImportName(specifier);
+              imports.push(
+                specifier.startsWith(".")
+                  ? `import ${name} = require(${quote}${specifier}${quote});`
+                  : `import ${name} from ${quote}${specifier}${quote};`
+              );
+              return name;
+            })
+      )
+      .join("\n");
+
+    return { imports, content: converted };
+  },
+
+  /**
+   * Checks if a required module is imported with its types, JavaScript files of the project are required untyped
+   * (e.g., sequelize models/index.js builds its exports at runtime)
+   * @param {string} fileName - Name of the requiring file relative to the project
+   * @param {string} specifier - Required module
+   * @returns {boolean} True for packages, TypeScript and JSON files
+   */
+  _isTypedModule(fileName, specifier) {
+    if (!specifier.startsWith(".")) {
+      return true;
+    }
+
+    const target = path.posix.join(path.posix.dirname(fileName.split(path.sep).join("/")), specifier);
+    const candidates = path.posix.extname(target) ? [target] : [`${target}.js`, `${target}/index.js`];
+    return !candidates.some((candidate) => candidate.endsWith(".js") && this._keepsJavascript(candidate));
+  },
+
+  /**
+   * Declares the fields of classes, TypeScript requires the properties assigned in methods to be declared
+   * (this.client = ... in the constructor, RedisClient.instance = ... for static fields)
+   * @param {string} content - TypeScript code
+   * @returns {string} TypeScript code with field declarations at the top of class bodies
+   */
+  _declareClassFields(content) {
+    return content.replace(/^([ \t]*)class (\w+)[^{\n]*\{\n/gm, (declaration, indent, className, offset) => {
+      const body = this._getBlock(content, offset + declaration.length - 2);
+      const memberIndent = `${indent}  `;
+      const methods = new Set(
+        [...body.matchAll(new RegExp(`^${memberIndent}(?:static )?(?:async )?(\\w+)\\s*\\(`, "gm"))].map((match) => match[1])
+      );
+      const collect = (pattern) =>
+        [...new Set([...body.matchAll(pattern)].map((match) => match[1]))].filter((name) => !methods.has(name));
+
+      const fields = [
+        ...collect(new RegExp(`\\b${className}\\.(\\w+)\\s*=(?!=)`, "g")).map((name) => `static ${name}: any;`),
+        ...collect(/\bthis\.(\w+)\s*=(?!=)/g).map((name) => `${name}: any;`),
+      ];
+      return fields.length > 0
+        ? `${declaration}${fields.map((field) => `${memberIndent}${field}`).join("\n")}\n\n`
+        : declaration;
+    });
+  },
+
+  /**
+   * Gets a block of code from its opening brace to the matching closing brace
+   * @param {string} content - Code
+   * @param {number} start - Index of the opening brace
+   * @returns {string} Block including the braces (until the end of the code if not closed)
+   */
+  _getBlock(content, start) {
+    let depth = 0;
+    for (let index = start; index < content.length; index++) {
+      if (content[index] === "{") {
+        depth++;
+      } else if (content[index] === "}" && --depth === 0) {
+        return content.slice(start, index + 1);
+      }
+    }
+    return content.slice(start);
+  },
+
+  /**
+   * Types the parameters of Express handlers and imports the Express types they use
+   * @param {string} content - TypeScript code
+   * @returns {string} TypeScript code with typed handlers
+   */
+  _addHandlerTypes(content) {
+    const usedTypes = new Set();
+    const typed = HANDLER_PARAMETERS.reduce(
+      (code, parameters) =>
+        code.replace(parameters.pattern, () => {
+          parameters.types.forEach((type) => usedTypes.add(type));
+          return parameters.typed;
+        }),
+      content
+    );
+
+    const types = ["Request", "Response", "NextFunction"].filter(
+      (type) => usedTypes.has(type) && !new RegExp(`^import \\{[^}]*\\b${type}\\b[^}]*\\} from "express";`, "m").test(typed)
+    );
+    if (types.length === 0) {
+      return typed;
+    }
+
+    // After the header comment and the first import, or at the top of the file
+    const typesImport = `import { ${types.join(", ")} } from "express";`;
+    const firstImport = /^import .*$/m.exec(typed);
+    if (firstImport) {
+      const index = firstImport.index + firstImport[0].length;
+      return `${typed.slice(0, index)}\n${typesImport}${typed.slice(index)}`;
+    }
+    const header = /^\/\*\*[\s\S]*?\*\/\n/.exec(typed);
+    const index = header ? header[0].length : 0;
+    return `${typed.slice(0, index)}${typesImport}\n${header ? "" : "\n"}${typed.slice(index)}`;
+  },
+
+  /**
+   * Converts generated CommonJS code to an ES module:
+   * - top level requires become imports at the position of the first require, required expressions
+   *   (e.g., router.use("/users", require("../routes/usersRoute.js"))) are imported as well
+   * - relative specifiers get the .js extension, JSON files are still required (createRequire)
+   * - module.exports becomes export default, exports.name becomes a named export
+   * - __dirname and __filename are declared from import.meta.url
+   * @param {string} content - CommonJS code
+   * @returns {string} ES module code
+   */
+  _toEsm(content) {
+    const { imports, content: converted, importsIndex } = this._convertToEsm(content);
+    if (importsIndex === -1) {
+      return this._addImports(converted, imports);
+    }
+
+    // Separated from the code following them by an empty line
+    const rest = converted.slice(importsIndex);
+    const missingImports = imports.filter((statement) => !converted.includes(statement));
+    return `${converted.slice(0, importsIndex)}${missingImports.join("\n")}\n${/^(\n|import\s)/.test(rest) ? "" : "\n"}${rest}`;
+  },
+
+  /**
+   * Converts the requires and exports of CommonJS code to ES module syntax, used alone for code added to existing files
+   * @param {string} content - CommonJS code
+   * @param {string} [targetContent] - Code of the file the code is added to, its default imports are reused
+   * @returns {Object} Import statements (and declarations of require, __filename & __dirname) as imports,
+   *   code without its top level requires as content and the position of the first one as importsIndex (-1 if none)
+   */
+  _convertToEsm(content, targetContent = "") {
+    const imports = [];
+    const declarations = [];
+    const isJson = (specifier) => path.posix.extname(specifier) === ".json";
+    const isComment = (line) => /^\s*(\/\/|\/?\*)/.test(line.replace(IMPORTS_PLACEHOLDER, ""));
+
+    // Default import names by specifier, the ones of the target file are reused for required expressions
+    const importNames = new Map(
+      [...`${targetContent}\n${content}`.matchAll(/^import (\w+) from (["'])([^"']+)\2;?[ \t]*$/gm)].map(
+        ([, name, , specifier]) => [specifier, name]
+      )
+    );
+    const importDefault = (name, quote, specifier) => {
+      const esmSpecifier = this._getEsmSpecifier(specifier);
+      const statement = `import ${name} from ${quote}${esmSpecifier}${quote};`;
+      importNames.set(esmSpecifier, name);
+      if (!imports.includes(statement)) {
+        imports.push(statement);
+      }
+      return name;
+    };
+
+    // Imports take the place of the first top level require
+    let hasPlaceholder = false;
+    const atImports = (replacement = "") => {
+      if (hasPlaceholder) {
+        return replacement;
+      }
+      hasPlaceholder = true;
+      return `${IMPORTS_PLACEHOLDER}${replacement}`;
+    };
+
+    let placeholderLine;
+    let converted = content
+      .replace(/^(["'])use strict\1;?\n/m, "")
+      .replace(/^const (\w+) = require\((["'])([^"']+)\2\);?[ \t]*$\n?/gm, (line, name, quote, specifier) => {
+        if (isJson(specifier)) {
+          return line;
+        }
+        importDefault(name, quote, specifier);
+        return atImports();
+      })
+      .replace(/^const \{([^}]*)\} = require\((["'])([^"']+)\2\);?[ \t]*$\n?/gm, (line, names, quote, specifier) => {
+        // Project modules export a default value only, their members are destructured from it
+        if (specifier.startsWith(".")) {
+          const name = importDefault(this._getImportName(specifier), quote, specifier);
+          return atImports(`const {${names}} = ${name};\n`);
+        }
+
+        const statement = `import {${names.replace(/(\w+)\s*:\s*(\w+)/g, "$1 as $2")}} from ${quote}${specifier}${quote};`;
+        if (!imports.includes(statement)) {
+          imports.push(statement);
+        }
+        return atImports();
+      })
+      .split("\n")
+      .map((line, index) => {
+        if (line.includes(IMPORTS_PLACEHOLDER)) {
+          placeholderLine = placeholderLine ?? index;
+        }
+
+        // Usage examples in comments, i.e. // Example: const userRoutes = require('./user.routes');
+        if (isComment(line)) {
+          return line.replace(
+            /const (\w+) = require\((["'])([^"']+)\2\)/g,
+            (example, name, quote, specifier) => `import ${name} from ${quote}${this._getEsmSpecifier(specifier)}${quote}`
+          );
+        }
+
+        const convertedLine = line.replace(/\brequire\((["'])([^"']+)\1\)/g, (expression, quote, specifier) => {
+          if (isJson(specifier)) {
+            return expression;
+          }
+          return importNames.get(this._getEsmSpecifier(specifier)) || importDefault(this._getImportName(specifier), quote, specifier);
+        });
+        // Top level statements requiring a module before the require declarations, i.e. const router = require("express").Router();
+        if (convertedLine !== line && placeholderLine === undefined && !/^\s/.test(line)) {
+          placeholderLine = index;
+          return `${IMPORTS_PLACEHOLDER}${convertedLine.replace(IMPORTS_PLACEHOLDER, "")}`;
+        }
+        return index === placeholderLine ? convertedLine : convertedLine.replace(IMPORTS_PLACEHOLDER, "");
+      })
+      .join("\n");
+
+    // Exports may follow the placeholder of the require declarations they were on the next line of
+    const lineStart = `^(${IMPORTS_PLACEHOLDER})?`;
+    const namedExports = [];
+    converted = converted
+      .replace(new RegExp(`${lineStart}module\\.exports\\s*=`, "gm"), "$1export default")
+      .replace(new RegExp(`${lineStart}exports\\.(\\w+)\\s*=`, "gm"), (assignment, placeholder = "", name) => {
+        namedExports.push(name);
+        return `${placeholder}export const ${name} =`;
+      });
+    // Project modules are imported with their default export
+    if (namedExports.length > 0 && !new RegExp(`${lineStart}export default\\b`, "m").test(converted)) {
+      converted = `${converted.trimEnd()}\n\nexport default { ${namedExports.join(", ")} };\n`;
+    }
+
+    const code = converted
+      .split("\n")
+      .filter((line) => !isComment(line))
+      .join("\n");
+    if (/\b__(dirname|filename)\b/.test(code) && !/\b(const|let|var) __(dirname|filename)\b/.test(code)) {
+      imports.push('import { fileURLToPath } from "url";');
+      declarations.push("const __filename = fileURLToPath(import.meta.url);");
+      if (/\b__dirname\b/.test(code)) {
+        const pathName = importNames.get("path") || importDefault("path", '"', "path");
+        declarations.push(`const __dirname = ${pathName}.dirname(__filename);`);
+      }
+    }
+    // JSON files (e.g., acl.json) are still required
+    if (/(^|[^\w.])require\(/.test(code) && !/\b(const|let|var) require\b/.test(code)) {
+      imports.push('import { createRequire } from "module";');
+      declarations.push("const require = createRequire(import.meta.url);");
+    }
+
+    return {
+      imports: [...imports, ...declarations],
+      content: converted.replace(IMPORTS_PLACEHOLDER, ""),
+      importsIndex: converted.indexOf(IMPORTS_PLACEHOLDER),
+    };
+  },
+
+  /**
+   * Adds import statements (and declarations) after the last import of ES module code,
+   * or after the header comment when it has no imports; statements already in the code are skipped
+   * @param {string} content - ES module code
+   * @param {Array} statements - Statements to add
+   * @returns {string} ES module code with the statements
+   */
+  _addImports(content, statements = []) {
+    const missingStatements = statements.filter((statement) => !content.includes(statement));
+    if (missingStatements.length === 0) {
+      return content;
+    }
+
+    const block = missingStatements.join("\n");
+    const lastImport = [...content.matchAll(IMPORT_STATEMENT)].pop();
+    if (lastImport) {
+      const index = lastImport.index + lastImport[0].length;
+      return `${content.slice(0, index)}\n${block}${content.slice(index)}`;
+    }
+    const header = /^\/\*\*[\s\S]*?\*\/\n/.exec(content);
+    const index = header ? header[0].length : 0;
+    return `${content.slice(0, index)}${block}\n${header ? "" : "\n"}${content.slice(index)}`;
+  },
+
+  /**
+   * Gets the specifier of an ES module import, relative specifiers need the file extension
+   * @param {string} specifier - Required module (e.g., ../routes/usersRoute)
+   * @returns {string} Import specifier (e.g., ../routes/usersRoute.js)
+   */
+  _getEsmSpecifier(specifier) {
+    if (!specifier.startsWith(".") || MODULE_EXTENSIONS.includes(path.posix.extname(specifier))) {
+      return specifier;
+    }
+    return `${specifier}.js`;
+  },
+
+  /**
+   * Gets the name of the default import of a required module, from its file or package name
+   * @param {string} specifier - Required module (e.g., ../routes/usersRoute.js, swagger-ui-express)
+   * @returns {string} Import name (e.g., usersRoute, swaggerUiExpress)
+   */
+  _getImportName(specifier) {
+    const baseName = specifier.split("/").pop().replace(/\.[cm]?js$/, "");
+    return baseName.replace(/[^a-zA-Z0-9_$]+(\w)/g, (separator, letter) => letter.toUpperCase()).replace(/^[^a-zA-Z_$]+/, "") || "module";
+  },
+
+  /**
+   * Gets the type declaration packages of dependencies
+   * @param {Array} dependencies - Package names
+   * @returns {Array} @types packages
+   */
+  _getTypePackages(dependencies = []) {
+    return dependencies.map((dependency) => TYPE_PACKAGES[dependency]).filter(Boolean);
+  },
+
+  /**
+   * Gets the TypeScript type of a model attribute in request bodies (typed DTOs)
+   * @param {Object} attr - Parsed attribute
+   * @param {string} orm - ORM in use, Mongoose references are ObjectId strings
+   * @returns {string} TypeScript type
+   */
+  _getAttributeType(attr, orm = "sequelize") {
+    if (attr.isForeignKey) {
+      return orm === "mongoose" ? "string" : "number";
+    }
+
+    const types = {
+      STRING: "string",
+      TEXT: "string",
+      UUID: "string",
+      INTEGER: "number",
+      BIGINT: "number",
+      FLOAT: "number",
+      DECIMAL: "number",
+      BOOLEAN: "boolean",
+      // JSON bodies carry dates as strings, the validator converts them
+      DATE: "Date | string",
+      JSON: "Record<string, unknown> | unknown[]",
+    };
+    if (attr.type === "ENUM") {
+      return attr.values.map((value) => JSON.stringify(value)).join(" | ");
+    }
+    return types[attr.type] || "unknown";
+  },
+
+  /**
+   * Gets the fields of the typed DTO of model attributes, one "name: type;" line per attribute
+   * @param {Array} modelAttributes - Parsed model attributes
+   * @param {string} orm - ORM in use
+   * @returns {string} Interface fields
+   */
+  _getDtoFields(modelAttributes = [], orm = "sequelize") {
+    return modelAttributes
+      .map((attr) => {
+        // Nullable columns and columns with a default value can be omitted, as in the validation schemas
+        const optional = attr.allowNull || attr.defaultValue !== undefined ? "?" : "";
+        const type = this._getAttributeType(attr, orm);
+        return `  ${attr.name}${optional}: ${attr.allowNull ? `${type} | null` : type};`;
+      })
+      .join("\n");
+  },
+};
+
+export default languageHelper;
@@ -1,10 +1,10 @@
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import fileHelper from "./file-helper.js";
-import fs from "fs";
 import path from "path";
 import npmHelper from "./npm-helper.js";
 import _lodash from "lodash";
 import dockerHelper from "./docker-helper.js";
+import languageHelper from "./language-helper.js";
 
 
 const middlewareConfig = {
@@ -138,6 +138,7 @@ const middlewareConfig = {
         `  router.post('/', validationService.validate('user_create_schema'), controller.create);`,
         `  router.get('/', validationService.validateQuery('user_create_schema'), controller.list);`,
         "Create your DTO files in the dto/ directory keeping structure name as .dto.js",
+        "CRUD modules generated with --model-attributes get <module>.dto.js and validated routes automatically",
       ],
     };
   },
@@ -152,6 +153,22 @@ const securityMiddlewarePackages = {
  * This helper provides methods for validating middleware names
  */
 const middlewareHelper = {
+  /**
+   * Gets the names of the middlewares which can be generated
+   * @returns {Array} - Middleware names
+   */
+  _getMiddlewareNames() {
+    return Object.keys(middlewareConfig);
+  },
+
+  /**
+   * Gets the names of the security middlewares which can be added on project creation
+   * @returns {Array} - Security middleware names
+   */
+  _getSecurityMiddlewareNames() {
+    return Object.keys(securityMiddlewarePackages);
+  },
+
   /**
    * Add security middlewares
    * @param {string} projectPath - Path of the project
@@ -244,10 +261,41 @@ const middlewareHelper = {
     };
   },
 
+  /**
+   * Gets the DTO directory of the validator middleware, where generated DTOs of modules are written
+   * @param {string} structure - The structure of the project
+   * @returns {string} - DTO directory relative to the project
+   */
+  _getDtoPath(structure) {
+    return this._fetchMiddlewareConfig("validator", structure).files.find((file) => file.type === "dir").name[0];
+  },
+
+  /**
+   * Fetch paths of the validator middleware if it is generated in the project
+   * @param {string} projectPath - Path of the project
+   * @param {string} structure - The structure of the project
+   * @returns {Object|null} - Validation service file and DTO directory relative to the project, null if not generated
+   */
+  _getValidatorPaths(projectPath, structure) {
+    const validatorMeta = this._fetchMiddlewareConfig("validator", structure);
+    const serviceFile = validatorMeta.files.find(
+      (file) => file.template === "middlewares/validator/validationService.js"
+    );
+
+    if (!fileHelper._exists(path.join(projectPath, languageHelper._getSourceFile(projectPath, serviceFile.name)))) {
+      return null;
+    }
+
+    return {
+      servicePath: serviceFile.name,
+      dtoPath: serviceFile.templateData.dtoPath,
+    };
+  },
+
   /**
    * Validate middleware name
    * @param {string} middlewareName - Name of the middleware to validate
-   * @returns {void}
+   * @returns {Array} Files of the middleware, relative to the project
    */
   _generateMiddleware(middlewareName, projectPath, structure) {
     try {
@@ -265,9 +313,10 @@ const middlewareHelper = {
       // Check if middleware already exists and get the path
       middlewareMeta.files.map((file) => {
         if (file.type === "file") {
-          if (fs.existsSync(path.join(projectPath, file.name))) {
+          const fileName = languageHelper._getSourceFile(projectPath, file.name);
+          if (fileHelper._exists(path.join(projectPath, fileName))) {
             throw new Error(
-              `Middleware ${middlewareName} already exists at ${file.name}`
+              `Middleware ${middlewareName} already exists at ${fileName}`
             );
           }
         }
@@ -282,7 +331,7 @@ const middlewareHelper = {
       }
 
       // Create middleware file from template
-      fileHelper._addDirsAndFiles(projectPath, [
+      const middlewareFiles = fileHelper._addDirsAndFiles(projectPath, [
         {
           type: "dir",
           name: [middlewareMeta.path],
@@ -309,6 +358,8 @@ const middlewareHelper = {
           logger().info(message);
         });
       }
+
+      return middlewareFiles;
     } catch (error) {
       logger().error(`Middleware generation failed`);
       throw error;
@@ -1,11 +1,9 @@
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import path from "path";
-import fs from "fs";
 import templateHelper from "./template-helper.js";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import fileHelper from "./file-helper.js";
+import middlewareHelper from "./middleware-helper.js";
+import languageHelper from "./language-helper.js";
 
 const moduleHelper = {
   /**
@@ -18,15 +16,71 @@ const moduleHelper = {
     bool: "BOOLEAN",
     boolean: "BOOLEAN",
     float: "FLOAT",
+    decimal: "DECIMAL",
     date: "DATE",
+    datetime: "DATE",
+    text: "TEXT",
+    uuid: "UUID",
+    json: "JSON",
+  },
+
+  /**
+   * Data type mapping from Sequelize DataTypes to ORM specific column types
+   */
+  _ormDataTypeMapping: {
+    typeorm: {
+      STRING: "varchar",
+      BIGINT: "bigint",
+      INTEGER: "int",
+      BOOLEAN: "boolean",
+      FLOAT: "float",
+      DECIMAL: "decimal",
+      DATE: "timestamp",
+      TEXT: "text",
+      UUID: "uuid",
+      JSON: "json",
+      ENUM: "enum",
+    },
+    prisma: {
+      STRING: "String",
+      BIGINT: "BigInt",
+      INTEGER: "Int",
+      BOOLEAN: "Boolean",
+      FLOAT: "Float",
+      DECIMAL: "Decimal",
+      DATE: "DateTime",
+      TEXT: "String",
+      UUID: "String",
+      JSON: "Json",
+    },
+    mongoose: {
+      STRING: "String",
+      BIGINT: "Number",
+      INTEGER: "Number",
+      BOOLEAN: "Boolean",
+      FLOAT: "Number",
+      DECIMAL: "Number",
+      DATE: "Date",
+      TEXT: "String",
+      UUID: "String",
+      JSON: "mongoose.Schema.Types.Mixed",
+      ENUM: "String",
+    },
   },
 
+  /**
+   * Data types (Sequelize DataTypes) which accept a default value (=value modifier)
+   */
+  _defaultValueTypes: ["STRING", "BIGINT", "INTEGER", "BOOLEAN", "FLOAT", "DECIMAL", "ENUM"],
+
   /**
    * Parses and validates model attributes string
-   * @param {string} attributesString - Attributes string (e.g., "name:string,email:string,product_id:ref(products)")
-   * @returns {Array} Array of attribute objects with name, type, and additional properties
+   * Format: columnName:dataType[modifiers], modifiers: ? (nullable), !unique, !index, =default (last)
+   * @param {string} attributesString - Attributes string (e.g., "name:string(120)!unique,bio:text?,status:enum(a|b)=a,price:decimal(10,2),product_id:ref(products)")
+   * @param {Array} pendingModels - Models generated in the same run, references to them are not reported as missing
+   * @returns {Array} Array of attribute objects with name, type, modifiers and additional properties
    */
-  _parseModelAttributes(attributesString) {
+  _parseModelAttributes(attributesString, pendingModels = []) {
     if (!attributesString || attributesString.trim() === "") {
       return [];
     }
@@ -42,7 +96,8 @@ const moduleHelper = {
     }
 
     const attributes = [];
-    const attributePairs = attributesString.split(",");
+    // Split on commas outside of parentheses, i.e. decimal(10,2)
+    const attributePairs = attributesString.split(/,(?![^(]*\))/);
 
     // Check attribute count limit
     if (attributePairs.length > MAX_ATTRIBUTES) {
@@ -55,92 +110,648 @@ const moduleHelper = {
       const trimmedPair = pair.trim();
       if (!trimmedPair) continue;
 
-      const [columnName, dataType] = trimmedPair.split(":");
+      // Split on first ':' only, default values may contain ':'
+      const separatorIndex = trimmedPair.indexOf(":");
+      const columnName = separatorIndex > -1 ? trimmedPair.slice(0, separatorIndex) : "";
+      const definition = separatorIndex > -1 ? trimmedPair.slice(separatorIndex + 1) : "";
 
-      if (!columnName || !dataType) {
+      if (!columnName || !definition) {
         throw new Error(
           `Invalid attribute format: "${trimmedPair}". Expected format: "columnName:dataType"`
         );
       }
 
-      const trimmedColumnName = columnName.trim();
-      const trimmedDataType = dataType.trim();
+      attributes.push(this._parseAttribute(columnName, definition, pendingModels));
+    }
 
-      // Validate column name format
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(trimmedColumnName)) {
-        throw new Error(
-          `Invalid column name: "${trimmedColumnName}". Use only letters, numbers, and underscores.`
-        );
+    return attributes;
+  },
+
+  /**
+   * Parses and validates a single model attribute
+   * @param {string} columnName - Name of the column
+   * @param {string} definition - Data type with modifiers (e.g., "string(120)!unique", "enum(a|b)=a")
+   * @param {Array} pendingModels - Models generated in the same run, not reported as missing references
+   * @returns {Object} Attribute object with name, type, modifiers and additional properties
+   */
+  _parseAttribute(columnName, definition, pendingModels = []) {
+    const trimmedColumnName = columnName.trim();
+
+    // Validate column name format
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(trimmedColumnName)) {
+      throw new Error(
+        `Invalid column name: "${trimmedColumnName}". Use only letters, numbers, and underscores.`
+      );
+    }
+
+    // Split data type (with optional arguments) from modifiers
+    const definitionMatch = definition
+      .trim()
+      .match(/^([a-zA-Z]+(?:\([^)]*\))?)(.*)$/);
+    if (!definitionMatch) {
+      throw new Error(
+        `Invalid attribute format: "${trimmedColumnName}:${definition}". Expected format: "columnName:dataType"`
+      );
+    }
+
+    const attribute = this._parseDataType(
+      trimmedColumnName,
+      definitionMatch[1],
+      pendingModels
+    );
+    return {
+      ...attribute,
+      ...this._parseModifiers(attribute, definitionMatch[2]),
+    };
+  },
+
+  /**
+   * Parses data type of an attribute (including length, precision/scale and enum values)
+   * @param {string} columnName - Name of the column
+   * @param {string} dataType - Data type (e.g., "string(120)", "decimal(10,2)", "enum(a|b)", "ref(users)")
+   * @param {Array} pendingModels - Models generated in the same run, not reported as missing references
+   * @returns {Object} Attribute object with name, type and type specific properties
+   */
+  _parseDataType(columnName, dataType, pendingModels = []) {
+    // Check if it's a ref datatype
+    const refMatch = dataType.match(/^ref\(([a-zA-Z_][a-zA-Z0-9_]*)\)$/i);
+    if (refMatch) {
+      const referencedModel = refMatch[1];
+
+      // Check if referenced model exists (optional validation with warning)
+      if (!pendingModels.includes(referencedModel)) {
+        this._validateReferencedModel(referencedModel);
       }
 
-      // Check if it's a ref datatype
-      const refMatch = trimmedDataType.match(
-        /^ref\(([a-zA-Z_][a-zA-Z0-9_]*)\)$/i
+      return {
+        name: columnName,
+        type: "INTEGER",
+        isForeignKey: true,
+        references: {
+          model: referencedModel,
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+      };
+    }
+
+    // Check if it's a relationship (belongsTo, hasMany or belongsToMany)
+    const relationMatch = dataType.match(
+      /^(belongsTo|hasMany|belongsToMany)\(([a-zA-Z_][a-zA-Z0-9_]*)\)$/i
+    );
+    if (relationMatch) {
+      const relationType = ["belongsTo", "hasMany", "belongsToMany"].find(
+        (type) => type.toLowerCase() === relationMatch[1].toLowerCase()
       );
-      if (refMatch) {
-        const referencedModel = refMatch[1];
+      const referencedModel = relationMatch[2];
 
-        // Check if referenced model exists (optional validation with warning)
+      // Check if referenced model exists (optional validation with warning)
+      if (!pendingModels.includes(referencedModel)) {
         this._validateReferencedModel(referencedModel);
+      }
 
-        attributes.push({
-          name: trimmedColumnName,
-          type: "INTEGER",
-          isForeignKey: true,
-          references: {
+      if (relationType !== "belongsTo") {
+        // No column on the module table, foreign keys live on the related (or junction) table
+        return {
+          name: columnName,
+          isVirtual: true,
+          association: {
+            type: relationType,
             model: referencedModel,
-            key: "id",
+            as: columnName,
           },
-          onDelete: "CASCADE",
-          onUpdate: "CASCADE",
-        });
-      } else if (
-        trimmedDataType.startsWith("enum(") &&
-        trimmedDataType.endsWith(")")
-      ) {
-        // Check if it's an enum datatype - must start with 'enum(' and end with ')'
-        const enumValues = trimmedDataType
-          .slice(5, -1)
-          .split("|")
-          .map((val) => val.trim());
-
-        // Validate enum values (max 10 values)
-        if (enumValues.length > 10) {
-          throw new Error(
-            `Too many enum values. Maximum 10 values allowed, got ${enumValues.length}.`
-          );
+        };
+      }
+
+      // belongsTo adds a foreign key column, i.e. author -> author_id
+      const foreignKey = /_id$/.test(columnName) ? columnName : `${columnName}_id`;
+      return {
+        name: foreignKey,
+        type: "INTEGER",
+        isForeignKey: true,
+        references: {
+          model: referencedModel,
+          key: "id",
+        },
+        onDelete: "CASCADE",
+        onUpdate: "CASCADE",
+        association: {
+          type: relationType,
+          model: referencedModel,
+          as: foreignKey.slice(0, -3),
+        },
+      };
+    }
+
+    // Check if it's an enum datatype - must start with 'enum(' and end with ')'
+    if (dataType.toLowerCase().startsWith("enum(") && dataType.endsWith(")")) {
+      const enumValues = dataType
+        .slice(5, -1)
+        .split("|")
+        .map((val) => val.trim());
+
+      // Validate enum values (max 10 values)
+      if (enumValues.length > 10) {
+        throw new Error(
+          `Too many enum values. Maximum 10 values allowed, got ${enumValues.length}.`
+        );
+      }
+
+      // Validate enum values are not empty
+      if (enumValues.some((val) => !val)) {
+        throw new Error(`Invalid enum values. All values must be non-empty.`);
+      }
+
+      return {
+        name: columnName,
+        type: "ENUM",
+        values: enumValues,
+      };
+    }
+
+    // Handle regular datatypes, string(length) and decimal(precision,scale)
+    const [, baseType, args] = dataType.match(/^([a-zA-Z]+)(?:\((.*)\))?$/);
+    const lowerDataType = baseType.toLowerCase();
+    if (!this._dataTypeMapping[lowerDataType]) {
+      const supportedTypes =
+        Object.keys(this._dataTypeMapping).join(", ") +
+        ", string(length), decimal(precision,scale), ref(modelName), enum(value1|value2|...), belongsTo(modelName), hasMany(modelName), belongsToMany(modelName)";
+      throw new Error(
+        `Unsupported data type: "${dataType}". Supported types: ${supportedTypes}`
+      );
+    }
+
+    const attribute = {
+      name: columnName,
+      type: this._dataTypeMapping[lowerDataType],
+    };
+
+    if (args === undefined) {
+      return attribute;
+    }
+
+    const numbers = args.split(",").map((arg) => arg.trim());
+    if (numbers.some((arg) => !/^\d+$/.test(arg))) {
+      throw new Error(`Invalid arguments for data type: "${dataType}"`);
+    }
+
+    if (attribute.type === "STRING" && numbers.length === 1) {
+      attribute.length = parseInt(numbers[0]);
+      if (attribute.length < 1 || attribute.length > 65535) {
+        throw new Error(`Invalid string length: "${dataType}". Use a length between 1 and 65535.`);
+      }
+    } else if (attribute.type === "DECIMAL" && numbers.length <= 2) {
+      attribute.precision = parseInt(numbers[0]);
+      attribute.scale = parseInt(numbers[1] || 0);
+      if (attribute.precision < 1 || attribute.precision > 65 || attribute.scale > attribute.precision) {
+        throw new Error(`Invalid decimal precision/scale: "${dataType}". Use decimal(precision,scale) with scale <= precision <= 65.`);
+      }
+    } else {
+      throw new Error(
+        `Invalid arguments for data type: "${dataType}". Only string(length) and decimal(precision,scale) accept arguments.`
+      );
+    }
+
+    return attribute;
+  },
+
+  /**
+   * Parses attribute modifiers: ? (nullable), !unique, !index and =default (must be last)
+   * @param {Object} attribute - Parsed attribute (name, type and type specific properties)
+   * @param {string} modifiersString - Modifiers following the data type (e.g., "?!unique=value")
+   * @returns {Object} Modifier properties: allowNull, unique, index and defaultValue (if provided)
+   */
+  _parseModifiers(attribute, modifiersString = "") {
+    let remaining = modifiersString.trim();
+
+    // hasMany and belongsToMany have no column to modify
+    if (attribute.isVirtual) {
+      if (remaining) {
+        throw new Error(
+          `Modifiers are not supported for '${attribute.association.type}' relationship "${attribute.name}"`
+        );
+      }
+      return {};
+    }
+
+    const modifiers = { allowNull: false, unique: false, index: false };
+
+    while (remaining) {
+      if (remaining.startsWith("?")) {
+        modifiers.allowNull = true;
+        remaining = remaining.slice(1);
+      } else if (/^!unique/i.test(remaining)) {
+        modifiers.unique = true;
+        remaining = remaining.slice("!unique".length);
+      } else if (/^!index/i.test(remaining)) {
+        modifiers.index = true;
+        remaining = remaining.slice("!index".length);
+      } else if (remaining.startsWith("=")) {
+        modifiers.defaultValue = this._parseDefaultValue(
+          attribute,
+          remaining.slice(1)
+        );
+        remaining = "";
+      } else {
+        throw new Error(
+          `Invalid modifier "${remaining}" for attribute "${attribute.name}". Supported modifiers: ? (nullable), !unique, !index, =default`
+        );
+      }
+      remaining = remaining.trim();
+    }
+
+    // Unique columns are indexed already
+    if (modifiers.unique) {
+      modifiers.index = false;
+    }
+
+    return modifiers;
+  },
+
+  /**
+   * Parses and validates default value of an attribute based on its data type
+   * @param {Object} attribute - Parsed attribute (name, type and type specific properties)
+   * @param {string} value - Default value as provided in attributes string
+   * @returns {string|number|boolean} Typed default value
+   */
+  _parseDefaultValue(attribute, value) {
+    const defaultValue = value.trim();
+    const invalidDefault = (reason) =>
+      new Error(`Invalid default value "${defaultValue}" for attribute "${attribute.name}": ${reason}`);
+
+    if (!defaultValue) {
+      throw invalidDefault("value is empty");
+    }
+
+    if (attribute.isForeignKey || !this._defaultValueTypes.includes(attribute.type)) {
+      throw invalidDefault(
+        "defaults are supported for string, number, integer, float, decimal, boolean and enum types only"
+      );
+    }
+
+    switch (attribute.type) {
+      case "BOOLEAN":
+        if (!["true", "false"].includes(defaultValue)) {
+          throw invalidDefault("expected true or false");
+        }
+        return defaultValue === "true";
+      case "INTEGER":
+      case "BIGINT":
+        if (!/^-?\d+$/.test(defaultValue)) {
+          throw invalidDefault("expected an integer");
+        }
+        return parseInt(defaultValue);
+      case "FLOAT":
+      case "DECIMAL":
+        if (!Number.isFinite(Number(defaultValue))) {
+          throw invalidDefault("expected a number");
+        }
+        return Number(defaultValue);
+      case "ENUM":
+        if (!attribute.values.includes(defaultValue)) {
+          throw invalidDefault(`expected one of ${attribute.values.join(", ")}`);
+        }
+        return defaultValue;
+      default:
+        if (attribute.length && defaultValue.length > attribute.length) {
+          throw invalidDefault(`longer than ${attribute.length} characters`);
         }
+        return defaultValue;
+    }
+  },
+
+  /**
+   * Gets the Sequelize data type (with length, precision/scale or enum values) of an attribute
+   * @param {Object} attr - Parsed attribute
+   * @returns {string} Data type, i.e. STRING(120), DECIMAL(10, 2) or ENUM('a', 'b')
+   */
+  _getSequelizeType(attr) {
+    if (attr.values) {
+      return `${attr.type}(${attr.values.map((v) => `'${v}'`).join(", ")})`;
+    } else if (attr.length) {
+      return `${attr.type}(${attr.length})`;
+    } else if (attr.precision) {
+      return `${attr.type}(${attr.precision}, ${attr.scale})`;
+    }
+    return attr.type;
+  },
+
+  /**
+   * Gets the fastest-validator rule of an attribute (used for generated DTOs)
+   * @param {Object} attr - Parsed attribute
+   * @param {string} orm - ORM in use, Mongoose references are ObjectId strings
+   * @returns {Object} Validation rule
+   */
+  _getValidationRule(attr, orm = "sequelize") {
+    let rule;
+    if (attr.isForeignKey) {
+      rule = orm === "mongoose"
+        ? { type: "string", length: 24 }
+        : { type: "number", integer: true, positive: true, convert: true };
+    } else {
+      switch (attr.type) {
+        case "STRING":
+        case "TEXT":
+          rule = { type: "string" };
+          if (attr.length) {
+            rule.max = attr.length;
+          }
+          break;
+        case "UUID":
+          rule = { type: "uuid" };
+          break;
+        case "INTEGER":
+        case "BIGINT":
+          rule = { type: "number", integer: true, convert: true };
+          break;
+        case "FLOAT":
+        case "DECIMAL":
+          rule = { type: "number", convert: true };
+          break;
+        case "BOOLEAN":
+          rule = { type: "boolean", convert: true };
+          break;
+        case "DATE":
+          rule = { type: "date", convert: true };
+          break;
+        case "ENUM":
+          rule = { type: "enum", values: attr.values };
+          break;
+        default:
+          rule = { type: "any" };
+      }
+    }
 
-        // Validate enum values are not empty
-        if (enumValues.some((val) => !val)) {
-          throw new Error(`Invalid enum values. All values must be non-empty.`);
+    // Nullable columns and columns with a default value can be omitted
+    if (attr.allowNull || attr.defaultValue !== undefined) {
+      rule.optional = true;
+    }
+    if (attr.allowNull) {
+      rule.nullable = true;
+    }
+
+    return rule;
+  },
+
+  /**
+   * Gets DTO schema rules of model attributes, one "name: { ... }," line per attribute
+   * @param {Array} modelAttributes - Parsed model attributes
+   * @param {string} orm - ORM in use
+   * @param {boolean} partial - Whether all attributes are optional (update schema)
+   * @returns {string} Schema rules
+   */
+  _getDtoRules(modelAttributes = [], orm = "sequelize", partial = false) {
+    return modelAttributes
+      .map((attr) => {
+        const rule = this._getValidationRule(attr, orm);
+        if (partial) {
+          rule.optional = true;
         }
 
-        attributes.push({
-          name: trimmedColumnName,
-          type: "ENUM",
-          values: enumValues,
-        });
-      } else {
-        // Handle regular datatypes
-        const lowerDataType = trimmedDataType.toLowerCase();
-        if (!this._dataTypeMapping[lowerDataType]) {
-          const supportedTypes =
-            Object.keys(this._dataTypeMapping).join(", ") +
-            ", ref(modelName), enum(value1|value2|...)";
-          throw new Error(
-            `Unsupported data type: "${trimmedDataType}". Supported types: ${supportedTypes}`
-          );
+        const ruleString = Object.entries(rule)
+          .map(([key, value]) =>
+            Array.isArray(value)
+              ? `${key}: [${value.map((item) => JSON.stringify(item)).join(", ")}]`
+              : `${key}: ${JSON.stringify(value)}`
+          )
+          .join(", ");
+        return `    ${attr.name}: { ${ruleString} },`;
+      })
+      .join("\n");
+  },
+
+  /**
+   * Gets fields allowed in list endpoint filters, ?sort and ?fields with their query types, and string fields searched by ?q
+   * @param {Array} modelAttributes - Parsed model attributes
+   * @param {string} orm - ORM in use, Mongoose documents are identified by _id
+   * @returns {Object} Query fields ({ name: "string" | "number" | "boolean" | "date" }) and search fields
+   */
+  _getQueryFields(modelAttributes = [], orm = "sequelize") {
+    const queryTypes = {
+      STRING: "string",
+      TEXT: "string",
+      UUID: "string",
+      ENUM: "string",
+      INTEGER: "number",
+      BIGINT: "number",
+      FLOAT: "number",
+      DECIMAL: "number",
+      BOOLEAN: "boolean",
+      DATE: "date",
+    };
+
+    const fields = orm === "mongoose" ? { _id: "string" } : { id: "number" };
+    const searchFields = [];
+    modelAttributes.forEach((attr) => {
+      if (attr.isForeignKey) {
+        fields[attr.name] = orm === "mongoose" ? "string" : "number";
+      } else if (queryTypes[attr.type]) {
+        // JSON columns can't be filtered or sorted
+        fields[attr.name] = queryTypes[attr.type];
+        if (["STRING", "TEXT"].includes(attr.type)) {
+          searchFields.push(attr.name);
         }
+      }
+    });
+    fields.createdAt = "date";
+    fields.updatedAt = "date";
 
-        attributes.push({
-          name: trimmedColumnName,
-          type: this._dataTypeMapping[lowerDataType],
-        });
+    return { fields, searchFields };
+  },
+
+  /**
+   * Gets Sequelize associations (with foreign keys and junction tables) of a module from parsed attributes
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed model attributes (including hasMany and belongsToMany relationships)
+   * @returns {Array} Associations with type, model, as, foreignKey and for belongsToMany through & otherKey
+   */
+  _getAssociations(moduleName, modelAttributes = []) {
+    return modelAttributes
+      .filter((attr) => attr.association)
+      .map((attr) => {
+        const { type, model, as } = attr.association;
+
+        if (type === "belongsTo") {
+          return { type, model, as, foreignKey: attr.name };
+        } else if (type === "hasMany") {
+          // Schema files resolve the foreign key from the belongsTo/ref of the related module
+          return {
+            type,
+            model,
+            as,
+            foreignKey: attr.association.foreignKey || `${moduleName}_id`,
+            reverseDeclared: attr.association.reverseDeclared,
+          };
+        }
+
+        return {
+          type,
+          model,
+          as,
+          through: `${moduleName}_${as}`,
+          foreignKey: `${moduleName}_id`,
+          // Self referencing many-to-many needs a different key for the other side
+          otherKey: model === moduleName ? `${as}_id` : `${model}_id`,
+        };
+      });
+  },
+
+  /**
+   * Gets the associate() statement of an association
+   * @param {Object} association - Association (see _getAssociations)
+   * @returns {string} Association statement, i.e. this.belongsTo(models.users, { foreignKey: "author_id", as: "author" });
+   */
+  _getAssociationLine(association) {
+    const options = [
+      association.through && `through: "${association.through}"`,
+      `foreignKey: "${association.foreignKey}"`,
+      association.otherKey && `otherKey: "${association.otherKey}"`,
+      `as: "${association.as}"`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    return `this.${association.type}(models.${association.model}, { ${options} });`;
+  },
+
+  /**
+   * Gets the model file path of a module (layered: src/models, modular: module or common models)
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} modelName - Name of the model
+   * @returns {string} Model file path or empty string if not found
+   */
+  _getModelFilePath(projectPath, structure, modelName) {
+    const possibleModelPaths =
+      structure === "layered"
+        ? [path.join(projectPath, "src", "models", `${modelName}Model.js`)]
+        : [
+            path.join(projectPath, "src", "modules", modelName, "models", `${modelName}Model.js`),
+            path.join(projectPath, "src", "common", "models", `${modelName}Model.js`),
+          ];
+
+    return (
+      possibleModelPaths
+        .map((modelPath) => languageHelper._getSourceFile(projectPath, modelPath))
+        .find((modelPath) => fileHelper._exists(modelPath)) || ""
+    );
+  },
+
+  /**
+   * Adds the opposite side of associations to the associate() method of related models
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} moduleName - Name of the module
+   * @param {Array} associations - Associations of the module (see _getAssociations)
+   */
+  _addReverseAssociations(projectPath, structure, moduleName, associations = []) {
+    const reverseTypes = {
+      belongsTo: "hasMany",
+      hasMany: "belongsTo",
+      belongsToMany: "belongsToMany",
+    };
+
+    for (const association of associations) {
+      // Self referencing associations are defined in the module model only,
+      // belongsTo declared by the related module adds its association itself
+      if (association.model === moduleName || association.reverseDeclared) {
+        continue;
+      }
+
+      const reverse = {
+        type: reverseTypes[association.type],
+        model: moduleName,
+        as: moduleName,
+        through: association.through,
+        foreignKey: association.otherKey || association.foreignKey,
+        otherKey: association.otherKey && association.foreignKey,
+      };
+
+      const modelPath = this._getModelFilePath(projectPath, structure, association.model);
+      const modelContent = modelPath ? fileHelper._read(modelPath, "utf8") : "";
+
+      if (!modelContent.includes("// define association here")) {
+        logger().warn(
+          `⚠️  Unable to update '${association.model}' model, add association manually: ${this._getAssociationLine(reverse)}`
+        );
+        continue;
+      }
+
+      // Association may already be declared on the related model, i.e. users hasMany(posts) and posts belongsTo(users)
+      const associationLine = this._getAssociationLine(reverse);
+      if (modelContent.includes(associationLine.slice(0, associationLine.indexOf(", as:")))) {
+        continue;
+      }
+
+      // Alias must be unique per model, i.e. posts with author and editor belonging to users
+      if (modelContent.includes(`as: "${reverse.as}"`)) {
+        reverse.as = `${moduleName}_${association.as}`;
+      }
+
+      fileHelper._appendContent(modelPath, {
+        content: `      ${this._getAssociationLine(reverse)}`,
+        appendAt: "after",
+        appendLine: "// define association here",
+      });
+
+      // hasMany needs the foreign key column on the related table
+      if (association.type === "hasMany" && !modelContent.includes(`${association.foreignKey}:`)) {
+        logger().warn(
+          `⚠️  Column '${association.foreignKey}' not found in '${association.model}' model, add it as '${association.foreignKey}:ref(${moduleName})'.`
+        );
       }
     }
+  },
 
-    return attributes;
+  /**
+   * Gets the many-to-one relations of a TypeORM entity, foreign keys named <relation>_id (see typeorm.model.js)
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Parsed model attributes
+   * @returns {Array} Relations as { model, inverseSide }, self referencing relations excluded
+   */
+  _getTypeormRelations(moduleName, modelAttributes = []) {
+    return modelAttributes
+      .filter((attr) => attr.isForeignKey && /_id$/.test(attr.name) && attr.references.model !== moduleName)
+      .map((attr) => ({ model: attr.references.model, inverseSide: attr.name.replace(/_id$/, "") }));
+  },
+
+  /**
+   * Adds the one-to-many side of many-to-one relations to the relations of related TypeORM entities
+   * @param {string} projectPath - Project base path
+   * @param {string} structure - Project structure type ('layered' or 'modular')
+   * @param {string} moduleName - Name of the module
+   * @param {Array} relations - Relations of the module (see _getTypeormRelations)
+   */
+  _addTypeormInverseRelations(projectPath, structure, moduleName, relations = []) {
+    for (const relation of relations) {
+      const modelPath = this._getModelFilePath(projectPath, structure, relation.model);
+      const modelContent = modelPath ? fileHelper._read(modelPath, "utf8") : "";
+      const inverseRelation = (name) =>
+        `    ${name}: {\n      type: "one-to-many",\n      target: "${moduleName}",\n      inverseSide: "${relation.inverseSide}",\n    },`;
+
+      if (!/^\s*relations: \{/m.test(modelContent)) {
+        logger().warn(
+          `⚠️  Unable to update '${relation.model}' entity, add relation manually:\n${inverseRelation(moduleName)}`
+        );
+        continue;
+      }
+
+      // Relation may already be declared, i.e. gen:module run again after destroy
+      if (new RegExp(`target: "${moduleName}",\\s*inverseSide: "${relation.inverseSide}"`).test(modelContent)) {
+        continue;
+      }
+
+      // Property must be unique per entity, i.e. posts with author and editor belonging to users
+      const name = new RegExp(`^\\s+${moduleName}: \\{`, "m").test(modelContent)
+        ? `${moduleName}_${relation.inverseSide}`
+        : moduleName;
+      fileHelper._appendContent(modelPath, {
+        content: inverseRelation(name),
+        appendAt: "after",
+        appendLine: "relations: {",
+      });
+    }
   },
 
   /**
@@ -150,8 +761,8 @@ const moduleHelper = {
    */
   _validateReferencedModel(referencedModel) {
     try {
-      // Get current project path from global context or use process.cwd()
-      const projectPath = process.cwd();
+      // Get current project path from global context or use the working directory
+      const projectPath = fileHelper._getWorkingDirectory();
 
       // Check for both layered and modular structures
       const possibleModelPaths = [
@@ -170,7 +781,7 @@ const moduleHelper = {
       ];
 
       const modelExists = possibleModelPaths.some((modelPath) =>
-        fs.existsSync(modelPath)
+        fileHelper._exists(languageHelper._getSourceFile(projectPath, modelPath))
       );
 
       if (!modelExists) {
@@ -221,12 +832,25 @@ const moduleHelper = {
    * @param {string} basePath - Project base path
    * @param {string} moduleName - Name of the module
    * @param {boolean} skipModel - Whether to skip model validation
+   * @param {string} orm - ORM in use, Prisma models are checked in prisma/schema.prisma
    * @throws {Error} If module structure already exists
    */
-  _validateModuleNotExists(structure, basePath, moduleName, skipModel = false) {
+  _validateModuleNotExists(
+    structure,
+    basePath,
+    moduleName,
+    skipModel = false,
+    orm = ""
+  ) {
+    if (orm === "prisma" && !skipModel && this._prismaModelExists(basePath, moduleName)) {
+      throw new Error(
+        `Operation aborted, Model '${moduleName}' already exists in prisma/schema.prisma`
+      );
+    }
+
     if (structure === "modular") {
       const modulePath = path.join(basePath, "src", "modules", moduleName);
-      if (fs.existsSync(modulePath)) {
+      if (fileHelper._exists(modulePath)) {
         throw new Error(
           `Operation aborted, Module '${moduleName}' already exists in modular structure at ${modulePath}`
         );
@@ -249,7 +873,9 @@ const moduleHelper = {
         )
       );
 
-      const existingFiles = files.filter((file) => fs.existsSync(file));
+      const existingFiles = files
+        .map((file) => languageHelper._getSourceFile(basePath, file))
+        .filter((file) => fileHelper._exists(file));
       if (existingFiles.length > 0) {
         throw new Error(
           `Operation aborted, Module files already exist:\n${existingFiles.join(
@@ -260,6 +886,106 @@ const moduleHelper = {
     }
   },
 
+  /**
+   * Checks if a model block exists in prisma/schema.prisma
+   * @param {string} projectPath - Project base path
+   * @param {string} modelName - Name of the model
+   * @returns {boolean} - True if model exists in schema
+   */
+  _prismaModelExists(projectPath, modelName) {
+    const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+    if (!fileHelper._exists(schemaPath)) {
+      return false;
+    }
+
+    const schema = fileHelper._read(schemaPath, "utf8");
+    return new RegExp(`^model\\s+${modelName}\\s*{`, "m").test(schema);
+  },
+
+  /**
+   * Appends model (and enum) blocks to prisma/schema.prisma
+   * Adds the opposite relation field to referenced models that exist in the schema
+   * @param {string} projectPath - Project base path
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Array of model attributes
+   * @returns {void}
+   */
+  _appendPrismaModel(projectPath, moduleName, modelAttributes = []) {
+    const schemaPath = path.join(projectPath, "prisma", "schema.prisma");
+    if (!fileHelper._exists(schemaPath)) {
+      logger().warn("prisma/schema.prisma not found, run 'sargen gen:db --orm prisma' first.");
+      return;
+    }
+
+    const { schema, prismaAttributes } = this._addPrismaRelations(
+      projectPath,
+      fileHelper._read(schemaPath, "utf8"),
+      moduleName,
+      modelAttributes
+    );
+
+    const templatePath = templateHelper._getTemplatePath("module/models/prisma.model.prisma", projectPath);
+    const modelBlock = templateHelper._renderTemplate(
+      fileHelper._read(templatePath, "utf8"),
+      {
+        moduleName,
+        modelAttributes: prismaAttributes,
+        ormDataTypes: this._ormDataTypeMapping.prisma,
+      }
+    );
+
+    fileHelper._write(schemaPath, `${schema.trimEnd()}\n\n${modelBlock}`);
+    logger().success(`Added model '${moduleName}' to prisma/schema.prisma`);
+  },
+
+  /**
+   * Adds the opposite relation field of foreign keys to referenced models that exist in the schema
+   * @param {string} projectPath - Project base path
+   * @param {string} schema - Content of prisma/schema.prisma
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Array of model attributes
+   * @returns {Object} Updated schema and attributes, foreign keys with a relation get relationName
+   */
+  _addPrismaRelations(projectPath, schema, moduleName, modelAttributes = []) {
+    const prismaAttributes = modelAttributes.map((attr) => {
+      if (!attr.isForeignKey) {
+        return attr;
+      }
+
+      const referencedModel = attr.references.model;
+      const hasRelation =
+        referencedModel !== moduleName &&
+        this._prismaModelExists(projectPath, referencedModel);
+
+      if (!hasRelation) {
+        logger().warn(
+          `⚠️  Model '${referencedModel}' not found in prisma/schema.prisma, '${attr.name}' is added without relation field.`
+        );
+        return attr;
+      }
+
+      // Add opposite relation field to the referenced model
+      const modelRegex = new RegExp(
+        `(^model\\s+${referencedModel}\\s*{[\\s\\S]*?)(^})`,
+        "m"
+      );
+      schema = schema.replace(modelRegex, (block, body, close) =>
+        new RegExp(`^\\s+${moduleName}\\s`, "m").test(body)
+          ? block
+          : `${body}  ${moduleName} ${moduleName}[]\n${close}`
+      );
+
+      return {
+        ...attr,
+        relationName: /_id$/.test(attr.name)
+          ? attr.name.slice(0, -3)
+          : `${attr.name}Ref`,
+      };
+    });
+
+    return { schema, prismaAttributes };
+  },
+
   /**
    * Fetches module template based on module name and ORM
    * @param {string} typeName - Name of the file type (controller, route, service, model)
@@ -274,6 +1000,8 @@ const moduleHelper = {
         return `module/models/sequelize.model.js`;
       } else if (orm === "typeorm") {
         return `module/models/typeorm.model.js`;
+      } else if (orm === "mongoose") {
+        return `module/models/mongoose.model.js`;
       } else {
         return `module/model.js`;
       }
@@ -282,6 +1010,32 @@ const moduleHelper = {
     return `module/${typeName}.js`;
   },
 
+  /**
+   * Fetches CRUD services template based on ORM
+   * @param {string} orm - ORM to use ('sequelize', 'typeorm', 'prisma' or 'mongoose')
+   * @returns {string} - Template path
+   */
+  _fetchCrudServicesTemplate(orm) {
+    if (["typeorm", "prisma", "mongoose"].includes(orm)) {
+      return `module/cruds/${orm}.crud.services.js`;
+    }
+
+    return `module/cruds/crud.services.js`;
+  },
+
+  /**
+   * Fetches pagination service template based on ORM
+   * @param {string} orm - ORM to use ('sequelize', 'typeorm', 'prisma' or 'mongoose')
+   * @returns {string} - Template path
+   */
+  _fetchPaginationTemplate(orm) {
+    if (["typeorm", "prisma", "mongoose"].includes(orm)) {
+      return `module/pagination/${orm}.paginationService.js`;
+    }
+
+    return `module/paginationService.js`;
+  },
+
   /**
    * Gets module file configurations based on structure type
    * @param {string} structure - Project structure type ('layered' or 'modular')
@@ -291,6 +1045,9 @@ const moduleHelper = {
    * @param {boolean} skipModel - Whether to skip model generation
    * @param {Array} modelAttributes - Array of model attributes
    * @param {string} projectPath - Project path for checking files
+   * @param {Array} associations - Sequelize associations of the model (see _getAssociations)
+   * @param {string} pagination - Pagination of CRUD list endpoint ('offset' or 'cursor')
+   * @param {Array} operations - OpenAPI operations generated as routes & controller stubs instead of CRUD
    * @returns {Array} Array of file and directory configurations
    */
   _getModuleConfig(
@@ -300,25 +1057,66 @@ const moduleHelper = {
     crud,
     skipModel = false,
     modelAttributes = [],
-    projectPath = ""
+    projectPath = "",
+    associations = [],
+    pagination = "offset",
+    operations = []
   ) {
     const moduleFiles = ["controller", "route", "service"];
 
-    // Add model only if --no-model flag is not used
-    if (!skipModel) {
+    // Add model only if --no-model flag is not used (Prisma models live in prisma/schema.prisma)
+    if (!skipModel && orm !== "prisma") {
       moduleFiles.push("model");
     }
 
     const basePath = "src";
 
+    // DTOs are generated for CRUD modules and OpenAPI request bodies when the validator middleware exists
+    const dtoSchemas = operations.length > 0
+      ? operations
+          .filter((operation) => operation.dtoName)
+          .map((operation) => ({ name: operation.dtoName, rules: operation.dtoRules }))
+      : crud && modelAttributes.length > 0
+        ? [
+            { name: `${moduleName}_create_schema`, rules: this._getDtoRules(modelAttributes, orm) },
+            { name: `${moduleName}_update_schema`, rules: this._getDtoRules(modelAttributes, orm, true) },
+          ]
+        : [];
+    const validator =
+      dtoSchemas.length > 0
+        ? middlewareHelper._getValidatorPaths(projectPath, structure)
+        : null;
+
+    // TypeScript projects get request body types of the model attributes, validator middleware or not
+    const dtoFields =
+      modelAttributes.length > 0 && languageHelper._isTypescript(projectPath)
+        ? languageHelper._getDtoFields(modelAttributes, orm)
+        : "";
+
+    // Request body types type the data of the create & update services of CRUD modules
+    const dtoTypes =
+      dtoFields && crud && operations.length === 0
+        ? this._getDtoTypes(moduleName, validator ? validator.dtoPath : middlewareHelper._getDtoPath(structure))
+        : null;
+
     // Check if crud is true
     let crudData = {
       crudRoutes: "",
       crudMethods: "",
       crudServices: "",
     };
-    if (crud) {
-      crudData = this._fetchCrudData(moduleName, modelAttributes);
+    if (operations.length > 0) {
+      crudData = this._fetchOpenapiData(projectPath, moduleName, operations, Boolean(validator));
+    } else if (crud) {
+      crudData = this._fetchCrudData(
+        projectPath,
+        moduleName,
+        modelAttributes,
+        orm,
+        pagination,
+        Boolean(validator),
+        dtoTypes
+      );
     }
 
     // Check if pagination service should be created
@@ -328,6 +1126,12 @@ const moduleHelper = {
     const moduleNameCapitalized =
       moduleName.charAt(0).toUpperCase() + moduleName.slice(1);
 
+    // Mongoose services import the module model file, skip it when no model is generated
+    const modelImport =
+      skipModel && orm === "mongoose"
+        ? ""
+        : this._getModelImport(projectPath, structure, orm, moduleName);
+
     if (structure === "modular") {
       const config = {
         dirs: [
@@ -352,14 +1156,24 @@ const moduleHelper = {
             moduleName,
             moduleNameCapitalized,
             controllerImport: `const ${moduleName}Controller = require("../controllers/${moduleName}Controller.js");`,
+            validationImport: this._getValidationImport(
+              validator,
+              `${basePath}/modules/${moduleName}/routes`
+            ),
             serviceImport: `const ${moduleName}Service = require("../services/${moduleName}Service.js");`,
-            modelImport: this._getModelImport(projectPath, structure),
+            modelImport,
+            dtoTypesImport: dtoTypes ? dtoTypes.importStatement(`${basePath}/modules/${moduleName}/services`) : "",
             crudRoutes: crudData.crudRoutes,
             crudMethods: crudData.crudMethods,
             crudServices: crudData.crudServices,
             paginationServicePath:
               "../../../common/services/paginationService.js",
             modelAttributes: modelAttributes,
+            orm,
+            ormDataTypes: this._ormDataTypeMapping[orm] || {},
+            associations: associations.map((association) =>
+              this._getAssociationLine(association)
+            ),
           },
         })),
       };
@@ -373,11 +1187,22 @@ const moduleHelper = {
         config.files.push({
           type: "file",
           name: paginationServicePath,
-          template: "module/paginationService.js",
-          templateData: {},
+          template: this._fetchPaginationTemplate(orm),
         });
       }
 
+      // Add DTO if validator middleware exists (or request body types)
+      if (validator || dtoFields) {
+        this._addDtoConfig(
+          config,
+          validator ? validator.dtoPath : middlewareHelper._getDtoPath(structure),
+          moduleName,
+          validator ? dtoSchemas : [],
+          operations.length > 0 ? "OpenAPI request bodies" : "model attributes",
+          dtoFields
+        );
+      }
+
       return config;
     }
 
@@ -404,13 +1229,23 @@ const moduleHelper = {
           moduleName,
           moduleNameCapitalized,
           controllerImport: `const ${moduleName}Controller = require("../controllers/${moduleName}Controller.js");`,
+          validationImport: this._getValidationImport(
+            validator,
+            `${basePath}/routes`
+          ),
           serviceImport: `const ${moduleName}Service = require("../services/${moduleName}Service.js");`,
-          modelImport: this._getModelImport(projectPath, structure),
+          modelImport,
+          dtoTypesImport: dtoTypes ? dtoTypes.importStatement(`${basePath}/services`) : "",
           crudRoutes: crudData.crudRoutes,
           crudMethods: crudData.crudMethods,
           crudServices: crudData.crudServices,
           paginationServicePath: "./paginationService.js",
           modelAttributes: modelAttributes,
+          orm,
+          ormDataTypes: this._ormDataTypeMapping[orm] || {},
+          associations: associations.map((association) =>
+            this._getAssociationLine(association)
+          ),
         },
       })),
     };
@@ -420,27 +1255,120 @@ const moduleHelper = {
       config.files.push({
         type: "file",
         name: paginationServicePath,
-        template: "module/paginationService.js",
-        templateData: {},
+        template: this._fetchPaginationTemplate(orm),
       });
     }
 
+    // Add DTO if validator middleware exists (or request body types)
+    if (validator || dtoFields) {
+      this._addDtoConfig(
+        config,
+        validator ? validator.dtoPath : middlewareHelper._getDtoPath(structure),
+        moduleName,
+        validator ? dtoSchemas : [],
+        operations.length > 0 ? "OpenAPI request bodies" : "model attributes",
+        dtoFields
+      );
+    }
+
     return config;
   },
 
   /**
-   * Get model import based on whether models/index.js exists
+   * Adds DTO directory and file (validation schemas) of a module to module config
+   * @param {Object} config - Module config with dirs and files
+   * @param {string} dtoPath - DTO directory relative to the project (see middlewareHelper._getDtoPath)
+   * @param {string} moduleName - Name of the module
+   * @param {Array} schemas - Validation schemas as { name, rules } (see _getDtoRules)
+   * @param {string} source - Source of the schemas, mentioned in the DTO header
+   * @param {string} [fields] - Request body type fields of TypeScript projects (see languageHelper._getDtoFields)
+   */
+  _addDtoConfig(config, dtoPath, moduleName, schemas, source = "model attributes", fields = "") {
+    config.dirs.push({
+      type: "dir",
+      name: [dtoPath],
+    });
+    config.files.push({
+      type: "file",
+      name: `${dtoPath}/${moduleName}.dto.js`,
+      template: "module/dto.js",
+      templateData: {
+        moduleName,
+        moduleNameCapitalized:
+          moduleName.charAt(0).toUpperCase() + moduleName.slice(1),
+        schemas,
+        source,
+        fields,
+      },
+    });
+  },
+
+  /**
+   * Gets validation service import of a route file
+   * @param {Object|null} validator - Validator middleware paths (see middlewareHelper._getValidatorPaths)
+   * @param {string} routeDir - Directory of the route file relative to the project
+   * @returns {string} - Import string or empty string when no DTO is generated
+   */
+  _getValidationImport(validator, routeDir) {
+    if (!validator) {
+      return "";
+    }
+
+    const servicePath = path.posix.relative(routeDir, validator.servicePath);
+    return `const validationService = require("${servicePath}");`;
+  },
+
+  /**
+   * Get model import based on whether models/index.js (TypeORM dataSource.js, Prisma client or Mongoose connection) exists
    * @param {string} projectPath - Path of the project
    * @param {string} structure - Project structure (layered/modular)
+   * @param {string} orm - ORM to use ('sequelize', 'typeorm', 'prisma' or 'mongoose')
+   * @param {string} moduleName - Name of the module (Mongoose imports the module model directly)
    * @returns {string} - Model import string or empty string
    */
-  _getModelImport(projectPath, structure) {
+  _getModelImport(projectPath, structure, orm = "sequelize", moduleName = "") {
+    if (orm === "mongoose") {
+      const mongoosePath = path.join(projectPath, "src", "config", "mongoose.js");
+
+      if (fileHelper._exists(mongoosePath)) {
+        return `const ${moduleName}Model = require("../models/${moduleName}Model.js");`;
+      }
+      return "";
+    }
+
+    if (orm === "prisma") {
+      const prismaPath = path.join(projectPath, "src", "config", "prisma.js");
+
+      if (fileHelper._exists(prismaPath)) {
+        return structure === "layered"
+          ? `const prisma = require("../config/prisma.js");`
+          : `const prisma = require("../../../config/prisma.js");`;
+      }
+      return "";
+    }
+
+    if (orm === "typeorm") {
+      const dataSourcePath = path.join(
+        projectPath,
+        "src",
+        "config",
+        "dataSource.js"
+      );
+
+      if (fileHelper._exists(dataSourcePath)) {
+        return structure === "layered"
+          ? `const AppDataSource = require("../config/dataSource.js");`
+          : `const AppDataSource = require("../../../config/dataSource.js");`;
+      }
+      return "";
+    }
+
     const modelsPath =
       structure === "layered"
         ? path.join(projectPath, "src", "models", "index.js")
         : path.join(projectPath, "src", "common", "models", "index.js");
 
-    if (fs.existsSync(modelsPath)) {
+    if (fileHelper._exists(modelsPath)) {
       const importPath =
         structure === "layered"
           ? `const db = require("../models/index.js");`
@@ -461,11 +1389,40 @@ const moduleHelper = {
       : "src/common/services/paginationService.js";
   },
 
+  /**
+   * Gets the request body types of a module DTO (TypeScript projects)
+   * @param {string} moduleName - Name of the module
+   * @param {string} dtoPath - DTO directory relative to the project
+   * @returns {Object} - Type names as { create, update } and importStatement(fromDir) building the type import of a file
+   */
+  _getDtoTypes(moduleName, dtoPath) {
+    const moduleNameCapitalized = moduleName.charAt(0).toUpperCase() + moduleName.slice(1);
+    const create = `${moduleNameCapitalized}CreateDto`;
+    const update = `${moduleNameCapitalized}UpdateDto`;
+
+    return {
+      create,
+      update,
+      importStatement: (fromDir) =>
+        `import type { ${create}, ${update} } from "${path.posix.relative(fromDir, `${dtoPath}/${moduleName}.dto.js`)}";`,
+    };
+  },
+
   /**
    * Fetches crud data
+   * @param {string} projectPath - Project base path, its templates shadow the built-in ones
+   * @param {Object|null} [dtoTypes] - Request body types of TypeScript projects (see _getDtoTypes)
    * @returns {Object} - Crud data
    */
-  _fetchCrudData(moduleName, modelAttributes = []) {
+  _fetchCrudData(
+    projectPath,
+    moduleName,
+    modelAttributes = [],
+    orm = "sequelize",
+    pagination = "offset",
+    validation = false,
+    dtoTypes = null
+  ) {
     let crudData = {
       crudMethods: "",
       crudServices: "",
@@ -473,19 +1430,13 @@ const moduleHelper = {
     };
 
     // Fetch crud methods
-    let crudMethodsPath = path.join(
-      __dirname,
-      "../templates",
-      "module",
-      "cruds",
-      "crud.methods.js"
-    );
+    let crudMethodsPath = templateHelper._getTemplatePath("module/cruds/crud.methods.js", projectPath);
 
     const moduleNameCapitalized =
       moduleName.charAt(0).toUpperCase() + moduleName.slice(1);
 
-    if (fs.existsSync(crudMethodsPath)) {
-      const crudMethods = fs.readFileSync(crudMethodsPath, "utf8");
+    if (fileHelper._exists(crudMethodsPath)) {
+      const crudMethods = fileHelper._read(crudMethodsPath, "utf8");
       crudData.crudMethods = templateHelper._renderTemplate(crudMethods, {
         moduleName,
         moduleNameCapitalized,
@@ -494,41 +1445,59 @@ const moduleHelper = {
     }
 
     // Fetch crud routes
-    let crudRoutesPath = path.join(
-      __dirname,
-      "../templates",
-      "module",
-      "cruds",
-      "crud.routes.js"
-    );
-    if (fs.existsSync(crudRoutesPath)) {
-      const crudRoutes = fs.readFileSync(crudRoutesPath, "utf8");
+    let crudRoutesPath = templateHelper._getTemplatePath("module/cruds/crud.routes.js", projectPath);
+    if (fileHelper._exists(crudRoutesPath)) {
+      const crudRoutes = fileHelper._read(crudRoutesPath, "utf8");
       crudData.crudRoutes = templateHelper._renderTemplate(crudRoutes, {
         moduleName,
         moduleNameCapitalized,
         modelAttributes,
+        validation,
       });
     }
 
     // Fetch crud services
-    let crudServicesPath = path.join(
-      __dirname,
-      "../templates",
-      "module",
-      "cruds",
-      "crud.services.js"
-    );
-    if (fs.existsSync(crudServicesPath)) {
-      const crudServices = fs.readFileSync(crudServicesPath, "utf8");
+    let crudServicesPath = templateHelper._getTemplatePath(this._fetchCrudServicesTemplate(orm), projectPath);
+    if (fileHelper._exists(crudServicesPath)) {
+      const crudServices = fileHelper._read(crudServicesPath, "utf8");
+      const { fields, searchFields } = this._getQueryFields(modelAttributes, orm);
       crudData.crudServices = templateHelper._renderTemplate(crudServices, {
         moduleName,
         moduleNameCapitalized,
         modelAttributes,
+        queryFields: Object.entries(fields)
+          .map(([name, type]) => `${name}: "${type}"`)
+          .join(", "),
+        searchFields: searchFields.map((name) => `"${name}"`).join(", "),
+        pagination,
+        dtoTypes,
       });
     }
 
     return crudData;
   },
+
+  /**
+   * Fetches routes & controller stubs of OpenAPI operations
+   * @param {string} projectPath - Project base path, its templates shadow the built-in ones
+   * @param {string} moduleName - Name of the module
+   * @param {Array} operations - Operations as { method, path, handler, summary, dtoName } (see openapiHelper._loadSpec)
+   * @param {boolean} validation - Whether request bodies are validated with the module DTO
+   * @returns {Object} - Crud data with routes & controller methods, no services
+   */
+  _fetchOpenapiData(projectPath, moduleName, operations = [], validation = false) {
+    return {
+      crudRoutes: templateHelper._renderTemplate(
+        fileHelper._read(templateHelper._getTemplatePath("module/openapi/openapi.routes.js", projectPath), "utf8"),
+        { moduleName, operations, validation }
+      ),
+      crudMethods: templateHelper._renderTemplate(
+        fileHelper._read(templateHelper._getTemplatePath("module/openapi/openapi.methods.js", projectPath), "utf8"),
+        { moduleName, operations }
+      ),
+      crudServices: "",
+    };
+  },
 };
 
 export default moduleHelper;
@@ -1,8 +1,9 @@
-import fs from "fs";
 import path from "path";
 import _lodash from "lodash";
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import cliHelper from "./command-helper.js";
+import languageHelper from "./language-helper.js";
+import fileHelper from "./file-helper.js";
 
 const npmHelper = {
   /**
@@ -12,7 +13,7 @@ const npmHelper = {
   _initializeNpm(projectPath) {
     try {
       logger().info("Initializing npm project...");
-      process.chdir(projectPath);
+      fileHelper._changeDirectory(projectPath);
       cliHelper._runCommandSync("npm init -y", { cwd: projectPath });
       // logger().success("Initialized npm project");
     } catch (error) {
@@ -35,7 +36,7 @@ const npmHelper = {
   ) {
     try {
       const packageJsonPath = path.join(projectPath, "package.json");
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const packageJson = JSON.parse(fileHelper._read(packageJsonPath, "utf8"));
       const existingDependencies = packageJson.dependencies;
       const existingDevDependencies = packageJson.devDependencies;
 
@@ -68,7 +69,12 @@ const npmHelper = {
    */
   _addUpdateDependencies(projectPath, dependencies = [], devDependencies = []) {
     try {
-      process.chdir(projectPath);
+      fileHelper._changeDirectory(projectPath);
+
+      // TypeScript projects get the type declarations of the packages
+      if (languageHelper._isTypescript(projectPath)) {
+        devDependencies = [...devDependencies, ...languageHelper._getTypePackages(dependencies)];
+      }
 
       const {
         dependencies: newDependencies,
@@ -116,9 +122,9 @@ const npmHelper = {
   _updatePackageJson(projectPath, key, value) {
     try {
       const packageJsonPath = path.join(projectPath, "package.json");
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const packageJson = JSON.parse(fileHelper._read(packageJsonPath, "utf8"));
       packageJson[key] = value;
-      fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
+      fileHelper._write(packageJsonPath, JSON.stringify(packageJson, null, 2));
       logger().success(`Updated package.json ${key}`);
     } catch (error) {
       logger().error(`Error updating package.json: ${error.message}`);
@@ -0,0 +1,337 @@
+import path from "path";
+import yaml from "js-yaml";
+import { getGlobalLogger as logger } from "./global-logger-helper.js";
+import moduleHelper from "./module-helper.js";
+import schemaHelper from "./schema-helper.js";
+import fileHelper from "./file-helper.js";
+
+// HTTP methods generated as routes, in route file order
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Columns added by every generated model
+const MODEL_COLUMNS = ["id", "_id", "createdAt", "updatedAt"];
+
+/**
+ * OpenAPI helper
+ * This helper maps an OpenAPI 3 specification to modules with routes, controller stubs, DTOs and models
+ */
+const openapiHelper = {
+  /**
+   * Loads modules from an OpenAPI 3 specification (YAML or JSON), one module per tag or resource
+   * @param {string} specPath - Path of the specification (e.g., api.yaml)
+   * @param {string} orm - ORM in use, used for DTO rules
+   * @returns {Array} Modules as { name, mountPath, operations, attributes, schemaName }
+   */
+  _loadSpec(specPath, orm = "sequelize") {
+    if (!fileHelper._exists(specPath)) {
+      throw new Error(`OpenAPI specification not found: ${specPath}`);
+    }
+
+    let spec;
+    try {
+      // JSON is valid YAML, one parser handles both
+      spec = yaml.load(fileHelper._read(specPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid OpenAPI specification ${path.basename(specPath)}: ${error.message}`);
+    }
+
+    if (!/^3\./.test(String(spec?.openapi || ""))) {
+      throw new Error(
+        `${path.basename(specPath)} is not an OpenAPI 3 specification (missing "openapi: 3.x")`
+      );
+    }
+
+    const modules = new Map();
+    Object.entries(spec.paths || {}).forEach(([apiPath, pathItem]) => {
+      HTTP_METHODS.filter((method) => pathItem?.[method]).forEach((method) => {
+        const operation = pathItem[method];
+        const segments = this._getPathSegments(apiPath);
+        const name = this._toCamelCase(operation.tags?.[0] || segments.find((segment) => !segment.startsWith("{")) || "");
+
+        try {
+          moduleHelper._validateModuleName(name);
+        } catch (error) {
+          throw new Error(`${method.toUpperCase()} ${apiPath}: ${error.message}`);
+        }
+
+        if (!modules.has(name)) {
+          modules.set(name, { name, operations: [] });
+        }
+        modules.get(name).operations.push({
+          method,
+          apiPath,
+          segments,
+          operation,
+        });
+      });
+    });
+
+    if (modules.size === 0) {
+      throw new Error(`No operations found in ${path.basename(specPath)} paths`);
+    }
+
+    return [...modules.values()].map((module) => {
+      const mountPath = this._getMountPath(module.operations);
+      const usedHandlers = new Set();
+      const operations = module.operations
+        .map((item) => {
+          const handler = this._getHandlerName(item, usedHandlers);
+          const dtoAttributes = this._getRequestBodyAttributes(spec, item);
+
+          return {
+            method: item.method,
+            apiPath: item.apiPath,
+            path: this._getRoutePath(item.segments, mountPath),
+            handler,
+            summary: String(item.operation.summary || handler).replace(/\s+/g, " ").trim(),
+            dtoName: dtoAttributes.length > 0 ? `${module.name}_${handler}_schema` : "",
+            dtoRules: dtoAttributes.length > 0 ? moduleHelper._getDtoRules(dtoAttributes, orm) : "",
+          };
+        })
+        .sort((a, b) => this._compareRoutePaths(a.path, b.path));
+
+      const schemaName = this._getModelSchemaName(spec, module.name, module.operations);
+      return {
+        name: module.name,
+        mountPath,
+        operations,
+        schemaName,
+        attributes: schemaName
+          ? this._getAttributes(spec, spec.components.schemas[schemaName], `${module.name} model`).filter(
+              (attr) => !MODEL_COLUMNS.includes(attr.name)
+            )
+          : [],
+      };
+    });
+  },
+
+  /**
+   * Splits an OpenAPI path into segments, API prefixes (/api, /v1) are removed as routes are mounted at /api/v1
+   * @param {string} apiPath - OpenAPI path (e.g., /api/v1/pets/{petId})
+   * @returns {Array} Path segments (e.g., ["pets", "{petId}"])
+   */
+  _getPathSegments(apiPath) {
+    const segments = apiPath.split("/").filter(Boolean);
+    while (segments.length > 1 && /^(api|v\d+)$/i.test(segments[0])) {
+      segments.shift();
+    }
+    return segments;
+  },
+
+  /**
+   * Gets the path a module router is mounted at, the first segment shared by all its operations
+   * @param {Array} operations - Operations of the module
+   * @returns {string} Mount path (e.g., /pets), "/" when the operations don't share a first segment
+   */
+  _getMountPath(operations) {
+    const firstSegment = operations[0].segments[0];
+    const isShared =
+      firstSegment &&
+      !firstSegment.startsWith("{") &&
+      operations.every((item) => item.segments[0] === firstSegment);
+
+    return isShared ? `/${firstSegment}` : "/";
+  },
+
+  /**
+   * Converts path segments to an Express route path relative to the mount path
+   * @param {Array} segments - Path segments
+   * @param {string} mountPath - Mount path of the module router
+   * @returns {string} Route path (e.g., /:petId)
+   */
+  _getRoutePath(segments, mountPath) {
+    const routeSegments = mountPath === "/" ? segments : segments.slice(1);
+    return `/${routeSegments
+      .map((segment) => segment.replace(/\{([^}]+)\}/g, (match, name) => `:${name.replace(/[^a-zA-Z0-9_]/g, "_")}`))
+      .join("/")}`;
+  },
+
+  /**
+   * Orders static route segments before parameters, i.e. /me before /:id
+   * @param {string} a - Route path
+   * @param {string} b - Route path
+   * @returns {number} Sort order
+   */
+  _compareRoutePaths(a, b) {
+    const aSegments = a.split("/");
+    const bSegments = b.split("/");
+    for (let index = 0; index < Math.min(aSegments.length, bSegments.length); index++) {
+      const aParam = aSegments[index].startsWith(":");
+      const bParam = bSegments[index].startsWith(":");
+      if (aParam !== bParam) {
+        return aParam ? 1 : -1;
+      }
+    }
+    return 0;
+  },
+
+  /**
+   * Gets the controller method name of an operation, from operationId or method and path
+   * @param {Object} item - Operation with method, segments and operation object
+   * @param {Set} usedHandlers - Method names of the module, names are made unique
+   * @returns {string} Controller method name (e.g., listPets, getPetsByPetId)
+   */
+  _getHandlerName(item, usedHandlers) {
+    let handler = this._toCamelCase(item.operation.operationId || "");
+    if (!/^[a-zA-Z_]/.test(handler)) {
+      const resource = item.segments.filter((segment) => !segment.startsWith("{"));
+      const params = item.segments.filter((segment) => segment.startsWith("{"));
+      handler = this._toCamelCase(
+        [item.method, ...resource, ...(params.length > 0 ? ["by", ...params] : [])].join(" ")
+      );
+    }
+
+    let uniqueHandler = handler;
+    for (let index = 2; usedHandlers.has(uniqueHandler); index++) {
+      uniqueHandler = `${handler}${index}`;
+    }
+    usedHandlers.add(uniqueHandler);
+    return uniqueHandler;
+  },
+
+  /**
+   * Converts a tag, path segment or operationId to camelCase
+   * @param {string} value - Value to convert (e.g., "Order Items", "order-items", "list_pets")
+   * @returns {string} camelCase value (e.g., orderItems)
+   */
+  _toCamelCase(value) {
+    return String(value)
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map((word, index) =>
+        index === 0
+          ? word.charAt(0).toLowerCase() + word.slice(1)
+          : word.charAt(0).toUpperCase() + word.slice(1)
+      )
+      .join("");
+  },
+
+  /**
+   * Resolves local $ref and allOf of a schema
+   * @param {Object} spec - OpenAPI specification
+   * @param {Object} schema - Schema, $ref (#/components/schemas/Pet) or allOf
+   * @param {Set} seen - References already resolved, guards circular references
+   * @returns {Object} Resolved schema, allOf parts are merged into one object schema
+   */
+  _resolveSchema(spec, schema, seen = new Set()) {
+    if (schema?.$ref) {
+      if (!schema.$ref.startsWith("#/") || seen.has(schema.$ref)) {
+        return {};
+      }
+      const resolved = schema.$ref
+        .slice(2)
+        .split("/")
+        .reduce((node, key) => node?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], spec);
+      return this._resolveSchema(spec, resolved, new Set([...seen, schema.$ref]));
+    }
+
+    if (Array.isArray(schema?.allOf)) {
+      return schema.allOf
+        .map((part) => this._resolveSchema(spec, part, seen))
+        .reduce(
+          (merged, part) => ({
+            ...merged,
+            type: merged.type || part.type,
+            properties: { ...merged.properties, ...part.properties },
+            required: [...merged.required, ...(part.required || [])],
+          }),
+          { properties: {}, required: [] }
+        );
+    }
+
+    return schema || {};
+  },
+
+  /**
+   * Maps object schema properties to model attributes, properties which don't map cleanly are skipped
+   * @param {Object} spec - OpenAPI specification
+   * @param {Object} schema - Object schema
+   * @param {string} context - Context of warnings (e.g., "pets model")
+   * @param {boolean} skipReadOnly - Whether readOnly properties are skipped (request bodies)
+   * @returns {Array} Parsed attributes
+   */
+  _getAttributes(spec, schema, context, skipReadOnly = false) {
+    const resolved = this._resolveSchema(spec, schema);
+    const required = resolved.required || [];
+
+    return Object.entries(resolved.properties || {}).reduce((attributes, [name, property]) => {
+      const resolvedProperty = this._resolveSchema(spec, property);
+      if (skipReadOnly && resolvedProperty.readOnly) {
+        return attributes;
+      }
+
+      try {
+        const definition = schemaHelper._getJsonSchemaDefinition(resolvedProperty, required.includes(name));
+        attributes.push(moduleHelper._parseAttribute(name, definition));
+      } catch (error) {
+        logger().warn(`⚠️  ${context}: skipping '${name}', ${error.message}`);
+      }
+      return attributes;
+    }, []);
+  },
+
+  /**
+   * Maps the JSON request body schema of an operation to attributes of its DTO
+   * @param {Object} spec - OpenAPI specification
+   * @param {Object} item - Operation with method, apiPath and operation object
+   * @returns {Array} Parsed attributes, empty when the operation has no JSON object body
+   */
+  _getRequestBodyAttributes(spec, item) {
+    const requestBody = this._resolveSchema(spec, item.operation.requestBody);
+    const mediaType = Object.keys(requestBody.content || {}).find((type) => /json/i.test(type));
+    if (!mediaType) {
+      return [];
+    }
+
+    const schema = this._resolveSchema(spec, requestBody.content[mediaType].schema);
+    if (!schema.properties) {
+      logger().warn(
+        `⚠️  ${item.method.toUpperCase()} ${item.apiPath}: request body is not an object schema, no DTO generated`
+      );
+      return [];
+    }
+
+    return this._getAttributes(spec, schema, `${item.method.toUpperCase()} ${item.apiPath} body`, true);
+  },
+
+  /**
+   * Finds the component schema used as model of a module, by name (Pet for pets)
+   * or as response of its GET operations
+   * @param {Object} spec - OpenAPI specification
+   * @param {string} moduleName - Name of the module
+   * @param {Array} operations - Operations of the module
+   * @returns {string|null} Component schema name
+   */
+  _getModelSchemaName(spec, moduleName, operations) {
+    const schemas = spec.components?.schemas || {};
+    const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+    const names = [
+      normalize(moduleName),
+      normalize(moduleName).replace(/ies$/, "y"),
+      normalize(moduleName).replace(/(s|es)$/, ""),
+    ];
+
+    const schemaName = Object.keys(schemas).find((name) => names.includes(normalize(name)));
+    if (schemaName) {
+      return schemaName;
+    }
+
+    // Schema returned by GET operations, as object or array items
+    for (const item of operations.filter((operation) => operation.method === "get")) {
+      const responses = item.operation.responses || {};
+      const successStatus = Object.keys(responses).find((status) => /^2/.test(status));
+      const content = this._resolveSchema(spec, responses[successStatus]).content || {};
+      const mediaType = Object.keys(content).find((type) => /json/i.test(type));
+      const schema = content[mediaType]?.schema;
+      const ref = schema?.$ref || schema?.items?.$ref;
+
+      if (ref?.startsWith("#/components/schemas/")) {
+        return ref.split("/").pop();
+      }
+    }
+
+    return null;
+  },
+};
+
+export default openapiHelper;
@@ -0,0 +1,209 @@
+import { randomUUID } from "crypto";
+
+// HTTP methods exported as requests
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Postman collection format
+const COLLECTION_SCHEMA = "https://schema.getpostman.com/json/collection/v2.1.0/collection.json";
+
+// Example values of list endpoint query parameters
+const QUERY_EXAMPLES = {
+  page: "1",
+  limit: "10",
+  sort: "-createdAt",
+  q: "",
+  fields: "",
+  cursor: "",
+  count: "true",
+};
+
+/**
+ * Postman helper
+ * This helper converts the OpenAPI document of a project to a Postman collection and environment
+ */
+const postmanHelper = {
+  /**
+   * Builds a Postman collection (v2.1) with one folder per module, Insomnia imports it as well
+   * @param {Object} spec - OpenAPI document (see docsHelper._buildSpec)
+   * @param {string} projectName - Name of the project
+   * @param {boolean} hasAuth - Whether requests use the bearer token variable
+   * @returns {Object} Postman collection
+   */
+  _buildCollection(spec, projectName, hasAuth) {
+    const folders = new Map();
+    Object.entries(spec.paths).forEach(([apiPath, pathItem]) => {
+      Object.entries(pathItem)
+        .filter(([method]) => HTTP_METHODS.includes(method))
+        .forEach(([method, operation]) => {
+          const folderName = operation.tags?.[0] || "default";
+          if (!folders.has(folderName)) {
+            folders.set(folderName, []);
+          }
+          folders.get(folderName).push(this._getRequestItem(spec, apiPath, method, operation));
+        });
+    });
+
+    return {
+      info: {
+        _postman_id: randomUUID(),
+        name: projectName,
+        description: `${projectName} API (generated by sargen export:postman)`,
+        schema: COLLECTION_SCHEMA,
+      },
+      item: [...folders.entries()].map(([name, item]) => ({ name, item })),
+      ...(hasAuth && {
+        auth: {
+          type: "bearer",
+          bearer: [{ key: "token", value: "{{token}}", type: "string" }],
+        },
+      }),
+      variable: [{ key: "baseUrl", value: "", type: "string" }],
+    };
+  },
+
+  /**
+   * Builds the request item of an operation
+   * @param {Object} spec - OpenAPI document
+   * @param {string} apiPath - OpenAPI path (e.g., /users/{id})
+   * @param {string} method - HTTP method
+   * @param {Object} operation - OpenAPI operation
+   * @returns {Object} Postman request item
+   */
+  _getRequestItem(spec, apiPath, method, operation) {
+    const parameters = operation.parameters || [];
+    const postmanPath = apiPath.replace(/\{([^}]+)\}/g, ":$1");
+    const query = parameters
+      .filter((parameter) => parameter.in === "query")
+      .map((parameter) => ({
+        key: parameter.name,
+        value: QUERY_EXAMPLES[parameter.name] ?? "",
+        disabled: !["page", "limit"].includes(parameter.name),
+      }));
+    const queryString = query
+      .filter((parameter) => !parameter.disabled)
+      .map((parameter) => `${parameter.key}=${parameter.value}`)
+      .join("&");
+
+    const request = {
+      method: method.toUpperCase(),
+      header: [],
+      url: {
+        raw: `{{baseUrl}}${postmanPath}${queryString ? `?${queryString}` : ""}`,
+        host: ["{{baseUrl}}"],
+        path: postmanPath.split("/").filter(Boolean),
+        ...(query.length > 0 && { query }),
+        ...(parameters.some((parameter) => parameter.in === "path") && {
+          variable: parameters
+            .filter((parameter) => parameter.in === "path")
+            .map((parameter) => ({ key: parameter.name, value: "1" })),
+        }),
+      },
+    };
+
+    const body = this._getExampleBody(spec, method, operation);
+    if (body) {
+      request.header.push({ key: "Content-Type", value: "application/json" });
+      request.body = {
+        mode: "raw",
+        raw: JSON.stringify(body, null, 2),
+        options: { raw: { language: "json" } },
+      };
+    }
+
+    return { name: operation.summary || `${method.toUpperCase()} ${apiPath}`, request };
+  },
+
+  /**
+   * Builds the example body of a write operation from its request body (DTO) or module model
+   * @param {Object} spec - OpenAPI document
+   * @param {string} method - HTTP method
+   * @param {Object} operation - OpenAPI operation
+   * @returns {Object|null} Example body, null for operations without body
+   */
+  _getExampleBody(spec, method, operation) {
+    if (!["post", "put", "patch"].includes(method)) {
+      return null;
+    }
+
+    const bodySchema =
+      operation.requestBody?.content?.["application/json"]?.schema ||
+      (operation.tags?.[0] && spec.components.schemas[operation.tags[0]]
+        ? { $ref: `#/components/schemas/${operation.tags[0]}` }
+        : null);
+    if (!bodySchema) {
+      return null;
+    }
+
+    return this._getExampleValue(spec, "", bodySchema);
+  },
+
+  /**
+   * Builds an example value of a JSON Schema, enums use their first value and read only properties are skipped
+   * @param {Object} spec - OpenAPI document
+   * @param {string} name - Property name, used for string examples
+   * @param {Object} schema - JSON Schema or $ref to a component schema
+   * @returns {*} Example value
+   */
+  _getExampleValue(spec, name, schema) {
+    if (schema.$ref) {
+      return this._getExampleValue(spec, name, spec.components.schemas[schema.$ref.split("/").pop()] || {});
+    }
+
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    switch (schema.type) {
+      case "object":
+        return Object.entries(schema.properties || {})
+          .filter(([, property]) => !property.readOnly)
+          .reduce(
+            (example, [propertyName, property]) => ({
+              ...example,
+              [propertyName]: this._getExampleValue(spec, propertyName, property),
+            }),
+            {}
+          );
+      case "array":
+        return schema.items ? [this._getExampleValue(spec, name, schema.items)] : [];
+      case "integer":
+        return 1;
+      case "number":
+        return 9.99;
+      case "boolean":
+        return true;
+      case "string":
+        if (schema.format === "date-time") return new Date(0).toISOString();
+        if (schema.format === "date") return "1970-01-01";
+        if (schema.format === "uuid") return "00000000-0000-0000-0000-000000000000";
+        if (schema.format === "email") return "user@example.com";
+        if (schema.format === "uri") return "https://example.com";
+        return (`sample ${name}`.length <= (schema.maxLength || Infinity) ? `sample ${name}` : name || "string")
+          .trim()
+          .slice(0, schema.maxLength || undefined);
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Builds a Postman environment with the base URL and the bearer token variable
+   * @param {string} projectName - Name of the project
+   * @param {string} baseUrl - Base URL of the API (e.g., http://localhost:8000/api/v1)
+   * @param {boolean} hasAuth - Whether to add the token variable
+   * @returns {Object} Postman environment
+   */
+  _buildEnvironment(projectName, baseUrl, hasAuth) {
+    return {
+      id: randomUUID(),
+      name: `${projectName} (local)`,
+      values: [
+        { key: "baseUrl", value: baseUrl, type: "default", enabled: true },
+        ...(hasAuth ? [{ key: "token", value: "", type: "secret", enabled: true }] : []),
+      ],
+      _postman_variable_scope: "environment",
+    };
+  },
+};
+
+export default postmanHelper;
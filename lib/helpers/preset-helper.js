@@ -0,0 +1,305 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import config from "./config-helper.js";
+import dbHelper from "./database-helper.js";
+import middlewareHelper from "./middleware-helper.js";
+import utilHelper from "./util-helper.js";
+import moduleHelper from "./module-helper.js";
+import schemaHelper from "./schema-helper.js";
+import languageHelper from "./language-helper.js";
+import fileHelper from "./file-helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Built-in presets shipped with sargen, loaded by name (e.g., --preset rest-api-mysql)
+const PRESETS_PATH = path.join(__dirname, "../config/presets");
+const PRESET_EXTENSIONS = [".yml", ".yaml", ".json"];
+
+// Options of a preset, other keys are reported to catch typos
+const PRESET_KEYS = ["name", "description", "structure", "language", "esm", "security", "test", "dbConf", "middlewares", "utils", "modules", "git"];
+const MODULE_KEYS = ["crud", "model", "pagination", "attributes"];
+const GIT_KEYS = ["remote", "branch", "message", "public", "description", "push"];
+
+/**
+ * Preset helper
+ * This helper loads project presets (YAML or JSON) describing a whole project for sargen init --preset
+ */
+const presetHelper = {
+  /**
+   * Gets the names of the built-in presets
+   * @returns {Array} Preset names (e.g., rest-api-mysql)
+   */
+  _getPresetNames() {
+    return fileHelper
+      ._readDir(PRESETS_PATH)
+      .filter((file) => PRESET_EXTENSIONS.includes(path.extname(file)))
+      .map((file) => path.basename(file, path.extname(file)));
+  },
+
+  /**
+   * Loads a preset from a local file or a built-in preset by name
+   * @param {string} preset - Path of a YAML/JSON file or name of a built-in preset
+   * @returns {Object} Project plan, see Builder._buildProject
+   */
+  _loadPreset(preset) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(preset)) {
+      throw new Error(`Presets are loaded from local files only, download ${preset} first`);
+    }
+
+    const presetPath = this._resolvePresetPath(preset);
+    let definition;
+    try {
+      // JSON is valid YAML, one parser handles both
+      definition = yaml.load(fileHelper._read(presetPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid preset file ${path.basename(presetPath)}: ${error.message}`);
+    }
+
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+      throw new Error(`Preset ${path.basename(presetPath)} must be an object of project options`);
+    }
+
+    return this._parsePreset(definition);
+  },
+
+  /**
+   * Resolves the file of a preset, a local file takes precedence over a built-in preset with the same name
+   * @param {string} preset - Path of a YAML/JSON file or name of a built-in preset
+   * @returns {string} Absolute path of the preset file
+   */
+  _resolvePresetPath(preset) {
+    const localPath = path.resolve(fileHelper._getWorkingDirectory(), preset);
+    if (fileHelper._exists(localPath) && fileHelper._stat(localPath).isFile()) {
+      return localPath;
+    }
+
+    const builtInFile = PRESET_EXTENSIONS.map((extension) => path.join(PRESETS_PATH, `${preset}${extension}`)).find(
+      (file) => fileHelper._exists(file)
+    );
+    if (builtInFile) {
+      return builtInFile;
+    }
+
+    throw new Error(
+      `Preset not found: ${preset}, use a YAML/JSON file or a built-in preset (${this._getPresetNames().join(", ")})`
+    );
+  },
+
+  /**
+   * Validates the options of a preset and converts them to a project plan
+   * @param {Object} definition - Preset options
+   * @returns {Object} Project plan, see Builder._buildProject
+   */
+  _parsePreset(definition) {
+    this._checkKeys(definition, PRESET_KEYS, "preset");
+
+    const structures = Object.keys(config.initialDirsFiles);
+    const structure = definition.structure || "layered";
+    if (!structures.includes(structure)) {
+      throw new Error(`Invalid structure "${structure}", use ${structures.join(" or ")}`);
+    }
+
+    // Language name or alias (js, ts)
+    const language = languageHelper._parseLanguage(definition.language || "javascript");
+    const security = this._getNames(definition.security, middlewareHelper._getSecurityMiddlewareNames(), "security");
+    const dbConf = this._parseDatabase(definition.dbConf);
+    const middlewares = this._getNames(definition.middlewares, middlewareHelper._getMiddlewareNames(), "middleware");
+    const utils = this._toArray(definition.utils, "utils").map((util) => this._parseUtil(util));
+
+    const modules = {};
+    Object.entries(this._toObject(definition.modules, "modules")).forEach(([name, module]) => {
+      moduleHelper._validateModuleName(name);
+      modules[name] = this._parseModule(name, module || {}, !!dbConf, Object.keys(definition.modules));
+    });
+
+    return {
+      structure,
+      language,
+      esm: !!definition.esm,
+      security,
+      test: !!definition.test,
+      dbConf,
+      middlewares,
+      utils,
+      modules,
+      git: this._parseGit(definition.git),
+    };
+  },
+
+  /**
+   * Parses the database options of a preset
+   * @param {Object} dbConf - Database as { orm, adapter, docker }
+   * @returns {Object|undefined} Database as { orm, adapter, docker }, undefined for no database
+   */
+  _parseDatabase(dbConf) {
+    if (!dbConf) {
+      return undefined;
+    }
+    this._checkKeys(this._toObject(dbConf, "dbConf"), ["orm", "adapter", "docker"], "dbConf");
+
+    const orms = dbHelper._getSupportedOrms();
+    const orm = dbConf.orm || "sequelize";
+    if (!orms.includes(orm)) {
+      throw new Error(`Invalid ORM "${orm}", use ${orms.join(", ")}`);
+    }
+
+    const adapters = dbHelper._getSupportedAdapters(orm);
+    const adapter = dbConf.adapter || adapters[0];
+    if (!adapters.includes(adapter)) {
+      throw new Error(`Invalid adapter "${adapter}" for ${orm}, use ${adapters.join(", ")}`);
+    }
+    if (dbConf.docker && dbHelper._isServerlessAdapter(orm, adapter)) {
+      throw new Error(`${adapter} has no database server, remove docker from dbConf`);
+    }
+
+    return { orm, adapter, docker: !!dbConf.docker };
+  },
+
+  /**
+   * Parses a util of a preset
+   * @param {string|Object} util - Util name or { name, docker, cloud }
+   * @returns {Object} Util as { name, docker, cloud }
+   */
+  _parseUtil(util) {
+    const { name, docker, cloud, ...others } = typeof util === "string" ? { name: util } : util || {};
+    this._checkKeys(others, [], `util ${name}`);
+    this._getNames([name], utilHelper._getUtilNames(), "util");
+
+    if (docker && name !== "redis") {
+      throw new Error(`Only redis util runs with Docker, remove docker from ${name}`);
+    }
+    if (cloud && (name !== "fileupload" || !["aws", "gcp"].includes(cloud))) {
+      throw new Error(`Invalid cloud "${cloud}" of ${name}, only fileupload util supports aws or gcp`);
+    }
+
+    return { name, ...(docker && { docker: true }), ...(cloud && { cloud }) };
+  },
+
+  /**
+   * Parses a module of a preset, attributes are validated like --model-attributes
+   * @param {string} name - Name of the module
+   * @param {Object} module - Module as { crud, model, pagination, attributes }
+   * @param {boolean} hasDatabase - Whether the preset sets up a database
+   * @param {Array} presetModules - Modules of the preset, references to them are not reported as missing
+   * @returns {Object} Module as { crud, model, pagination, attributes }
+   */
+  _parseModule(name, module, hasDatabase, presetModules) {
+    this._checkKeys(this._toObject(module, `module ${name}`), MODULE_KEYS, `module ${name}`);
+
+    // Attributes as --model-attributes string or fields by name as in sargen.schema.yml
+    const attributes =
+      module.attributes && typeof module.attributes === "object"
+        ? Object.entries(module.attributes)
+            .map(([fieldName, field]) => {
+              try {
+                return `${fieldName}:${schemaHelper._getFieldDefinition(field)}`;
+              } catch (error) {
+                throw new Error(`${name}.${fieldName}: ${error.message}`);
+              }
+            })
+            .join(",")
+        : module.attributes;
+
+    if (attributes) {
+      if (!hasDatabase || module.model === false) {
+        throw new Error(`Module ${name} has attributes without a model, add dbConf to the preset`);
+      }
+      try {
+        moduleHelper._parseModelAttributes(attributes, presetModules);
+      } catch (error) {
+        throw new Error(`Invalid attributes of module ${name}: ${error.message}`);
+      }
+    }
+    if (module.pagination && !["offset", "cursor"].includes(module.pagination)) {
+      throw new Error(`Invalid pagination "${module.pagination}" of module ${name}, use offset or cursor`);
+    }
+
+    return {
+      crud: !!module.crud,
+      ...(module.model !== undefined && { model: !!module.model }),
+      ...(module.pagination && { pagination: module.pagination }),
+      ...(attributes && { attributes }),
+    };
+  },
+
+  /**
+   * Parses the git options of a preset, true initializes a repository with the default options
+   * @param {boolean|Object} git - Git setup as { remote, branch, message, public, description, push }
+   * @returns {Object|undefined} Git setup, undefined for no repository
+   */
+  _parseGit(git) {
+    if (!git) {
+      return undefined;
+    }
+    if (git === true) {
+      return {};
+    }
+    this._checkKeys(this._toObject(git, "git"), GIT_KEYS, "git");
+    return { ...git };
+  },
+
+  /**
+   * Checks the names of a preset list against the supported names
+   * @param {Array} names - Names of the preset
+   * @param {Array} supportedNames - Supported names
+   * @param {string} label - What the names are, used in the error message
+   * @returns {Array} Names
+   */
+  _getNames(names, supportedNames, label) {
+    const list = this._toArray(names, label);
+    const unknownNames = list.filter((name) => !supportedNames.includes(name));
+    if (unknownNames.length > 0) {
+      throw new Error(`Unknown ${label}: ${unknownNames.join(", ")}, use ${supportedNames.join(", ")}`);
+    }
+    return list;
+  },
+
+  /**
+   * Checks that an object has only the allowed keys
+   * @param {Object} object - Object of the preset
+   * @param {Array} allowedKeys - Allowed keys
+   * @param {string} label - Where the object is, used in the error message
+   */
+  _checkKeys(object, allowedKeys, label) {
+    const unknownKeys = Object.keys(object).filter((key) => !allowedKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown option(s) of ${label}: ${unknownKeys.join(", ")}`);
+    }
+  },
+
+  /**
+   * Gets a preset list, a single value is a list of one item
+   * @param {*} value - List, single value or nothing
+   * @param {string} label - Option of the list, used in the error message
+   * @returns {Array} List
+   */
+  _toArray(value, label) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    if (typeof value === "object" && !Array.isArray(value)) {
+      throw new Error(`${label} must be a list`);
+    }
+    return Array.isArray(value) ? value : [value];
+  },
+
+  /**
+   * Gets a preset object, nothing is an empty object
+   * @param {*} value - Object or nothing
+   * @param {string} label - Option of the object, used in the error message
+   * @returns {Object} Object
+   */
+  _toObject(value, label) {
+    if (value === undefined || value === null) {
+      return {};
+    }
+    if (typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`${label} must be an object`);
+    }
+    return value;
+  },
+};
+
+export default presetHelper;
@@ -1,16 +1,28 @@
-import fs from "fs";
 import path from "path";
 import _lodash from "lodash";
 import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import config from "./config-helper.js";
 import fsHelper from "./file-helper.js";
 import chalk from "chalk";
+import crypto from "crypto";
+import { createRequire } from "module";
 
+// Version of sargen generating the artifacts, recorded as their template version
+const require = createRequire(import.meta.url);
+const { version: SARGEN_VERSION } = require("../../package.json");
+
+// Artifacts recorded in .sargen.json by type (key of the configuration file) and their label
+const ARTIFACT_TYPES = {
+  modules: "module",
+  middlewares: "middleware",
+  utils: "util",
+  docker: "Docker service",
+};
 
 const sargenHelper = {
   /**
    * Create a new .sargen.json configuration file for project created with sargen
-   * @param {Object} projectMeta - Project metadata containing projectName, projectPath, and structure
+   * @param {Object} projectMeta - Project metadata containing projectName, projectPath, structure, language and moduleSystem
    * @returns {void}
    */
   _writeSargenMetadata(projectMeta) {
@@ -38,6 +50,8 @@ const sargenHelper = {
         projectName: projectMeta.projectName,
         projectPath: projectMeta.projectPath,
         structure: projectMeta.structure || "layered",
+        language: projectMeta.language || "javascript",
+        moduleSystem: projectMeta.moduleSystem || "commonjs",
         createdAt: new Date().toISOString(),
         ...config.sargenMetadata.common,
         ...structureConfig,
@@ -57,14 +71,14 @@ const sargenHelper = {
       const metadataPath = path.join(projectMeta.projectPath, ".sargen.json");
 
       // Check if file exists for non-new apps
-      if (!projectMeta.newApp && fs.existsSync(metadataPath)) {
+      if (!projectMeta.newApp && fsHelper._exists(metadataPath)) {
         let errorMsg = `Failed setup ".sargen.json": metadata file already exists at ${metadataPath}.`;
         logger().error(errorMsg);
         throw new Error(errorMsg);
       }
 
       logger().verbose("Adding sargen metadata file: .sargen.json...");
-      fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+      fsHelper._write(metadataPath, JSON.stringify(metadata, null, 2));
       logger().success("Created .sargen.json file");
     } catch (error) {
       logger().error(`Failed creating sargen configuration file`);
@@ -79,9 +93,9 @@ const sargenHelper = {
    */
   _isSargenProject(keyword = "") {
     try {
-      const metadataPath = path.join(process.cwd(), ".sargen.json");
+      const metadataPath = path.join(fsHelper._getWorkingDirectory(), ".sargen.json");
 
-      if (!fs.existsSync(metadataPath)) {
+      if (!fsHelper._exists(metadataPath)) {
         console.error(
           chalk.red(
             `[ERROR]: Operation aborted. This does not appear to be a valid sargen project. Unable to find '.sargen.json' file at root dir`
@@ -101,7 +115,7 @@ const sargenHelper = {
         process.exit(1);
       }
 
-      const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+      const metadata = JSON.parse(fsHelper._read(metadataPath, "utf-8"));
       if (
         !metadata ||
         !metadata.projectName ||
@@ -190,7 +204,7 @@ const sargenHelper = {
    */
   _isDirectory(path) {
     try {
-      const stats = fs.statSync(path);
+      const stats = fsHelper._stat(path);
       return stats.isDirectory();
     } catch (err) {
       return false; // Path doesn't exist or is invalid
@@ -205,7 +219,7 @@ const sargenHelper = {
    */
   _isFile(filePath) {
     try {
-      const stats = fs.statSync(filePath);
+      const stats = fsHelper._stat(filePath);
       return (
         stats.isFile() && (filePath.endsWith(".js") || filePath.endsWith(".ts"))
       );
@@ -226,15 +240,15 @@ const sargenHelper = {
         throw new Error("Update data cannot be empty");
       }
 
-      const metadataPath = path.join(process.cwd(), ".sargen.json");
+      const metadataPath = path.join(fsHelper._getWorkingDirectory(), ".sargen.json");
       
       // Check if .sargen.json exists
-      if (!fs.existsSync(metadataPath)) {
+      if (!fsHelper._exists(metadataPath)) {
         throw new Error("Operation aborted. Unable to find '.sargen.json' file at root dir");
       }
 
       // Read current metadata
-      let currentMetadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+      let currentMetadata = JSON.parse(fsHelper._read(metadataPath, "utf-8"));
 
       // Update metadata
       const updatedMetadata = merge 
@@ -245,7 +259,7 @@ const sargenHelper = {
       updatedMetadata.updatedAt = new Date().toISOString();
 
       // Write updated metadata back to file
-      fs.writeFileSync(metadataPath, JSON.stringify(updatedMetadata, null, 2));
+      fsHelper._write(metadataPath, JSON.stringify(updatedMetadata, null, 2));
       logger().success("Updated .sargen.json file successfully");
 
       return updatedMetadata;
@@ -254,6 +268,174 @@ const sargenHelper = {
       throw error;
     }
   },
+
+  /**
+   * Records a generated artifact in the .sargen.json configuration file with the checksums of its files,
+   * files of an artifact generated again are merged with the recorded ones
+   * @param {String} projectPath - Project base path
+   * @param {String} type - Artifact type, key of the configuration file (modules, middlewares, utils or docker)
+   * @param {String} name - Artifact name
+   * @param {Object} data - Artifact details
+   * @param {Object} data.options - Generation options
+   * @param {Array} data.files - Generated files, relative to the project
+   * @returns {void}
+   */
+  _recordArtifact(projectPath, type, name, { options = {}, files = [] } = {}) {
+    const metadataPath = path.join(projectPath, ".sargen.json");
+    if (!fsHelper._exists(metadataPath)) {
+      return;
+    }
+
+    const metadata = JSON.parse(fsHelper._read(metadataPath, "utf-8"));
+    const recorded = metadata[type]?.[name];
+    const now = new Date().toISOString();
+
+    metadata[type] = {
+      ...metadata[type],
+      [name]: {
+        options,
+        templateVersion: SARGEN_VERSION,
+        files: { ...recorded?.files, ...this._getChecksums(projectPath, files) },
+        createdAt: recorded?.createdAt || now,
+        ...(recorded && { updatedAt: now }),
+      },
+    };
+    metadata.updatedAt = now;
+
+    fsHelper._write(metadataPath, JSON.stringify(metadata, null, 2));
+    logger().verbose(`Recorded ${name} in .sargen.json ${type}`);
+  },
+
+  /**
+   * Updates the recorded checksums of artifact files modified by sargen (e.g., gen:field)
+   * @param {String} projectPath - Project base path
+   * @param {String} type - Artifact type, key of the configuration file
+   * @param {String} name - Artifact name
+   * @param {Array} files - Modified files, relative to the project (files not recorded are ignored)
+   * @returns {void}
+   */
+  _updateArtifactFiles(projectPath, type, name, files) {
+    const metadataPath = path.join(projectPath, ".sargen.json");
+    const metadata = JSON.parse(fsHelper._read(metadataPath, "utf-8"));
+    const recorded = metadata[type]?.[name];
+    const recordedFiles = files.filter((file) => recorded?.files?.[file]);
+    if (recordedFiles.length === 0) {
+      return;
+    }
+
+    Object.assign(recorded.files, this._getChecksums(projectPath, recordedFiles));
+    recorded.updatedAt = new Date().toISOString();
+    metadata.updatedAt = recorded.updatedAt;
+
+    fsHelper._write(metadataPath, JSON.stringify(metadata, null, 2));
+    logger().verbose(`Updated checksums of ${name} in .sargen.json ${type}`);
+  },
+
+  /**
+   * Gets the recorded files of an artifact which are unchanged since they were generated, to record them again
+   * after sargen modifies them (files modified by hand stay modified)
+   * @param {String} projectPath - Project base path
+   * @param {String} type - Artifact type, key of the configuration file
+   * @param {String} name - Artifact name
+   * @returns {Array} - Unchanged files, relative to the project
+   */
+  _getUnchangedArtifactFiles(projectPath, type, name) {
+    const metadataPath = path.join(projectPath, ".sargen.json");
+    const artifact = fsHelper._exists(metadataPath)
+      ? JSON.parse(fsHelper._read(metadataPath, "utf-8"))[type]?.[name]
+      : null;
+
+    return artifact
+      ? this._getArtifactFilesStatus(projectPath, artifact)
+          .filter(({ status }) => status === "unchanged")
+          .map(({ file }) => file)
+      : [];
+  },
+
+  /**
+   * Removes a recorded artifact from the .sargen.json configuration file
+   * @param {String} projectPath - Project base path
+   * @param {String} type - Artifact type, key of the configuration file (e.g., modules)
+   * @param {String} name - Artifact name
+   * @returns {Boolean} - Flag indicates the artifact was recorded
+   */
+  _removeArtifact(projectPath, type, name) {
+    const metadataPath = path.join(projectPath, ".sargen.json");
+    const metadata = JSON.parse(fsHelper._read(metadataPath, "utf-8"));
+    if (!metadata[type]?.[name]) {
+      return false;
+    }
+
+    delete metadata[type][name];
+    metadata.updatedAt = new Date().toISOString();
+
+    fsHelper._write(metadataPath, JSON.stringify(metadata, null, 2));
+    logger().verbose(`Removed ${name} from .sargen.json ${type}`);
+    return true;
+  },
+
+  /**
+   * Gets the artifacts recorded in .sargen.json with the status of their files
+   * @param {String} projectPath - Project base path
+   * @param {Object} metadata - Content of .sargen.json
+   * @returns {Array} - Artifacts as { type, label, name, options, templateVersion, files, createdAt, updatedAt }
+   */
+  _getArtifacts(projectPath, metadata) {
+    return Object.entries(ARTIFACT_TYPES).flatMap(([type, label]) =>
+      Object.entries(metadata[type] || {}).map(([name, artifact]) => ({
+        type,
+        label,
+        name,
+        ...artifact,
+        files: this._getArtifactFilesStatus(projectPath, artifact),
+      }))
+    );
+  },
+
+  /**
+   * Gets the version of sargen, recorded as template version of generated artifacts
+   * @returns {String} - Version of sargen
+   */
+  _getSargenVersion() {
+    return SARGEN_VERSION;
+  },
+
+  /**
+   * Gets the SHA-256 checksums of files which exist
+   * @param {String} projectPath - Project base path
+   * @param {Array} files - Files relative to the project
+   * @returns {Object} - Checksums by file
+   */
+  _getChecksums(projectPath, files) {
+    return Object.fromEntries(
+      files
+        .filter((file) => fsHelper._exists(path.join(projectPath, file)))
+        .map((file) => [
+          file,
+          crypto.createHash("sha256").update(fsHelper._read(path.join(projectPath, file))).digest("hex"),
+        ])
+    );
+  },
+
+  /**
+   * Compares the files of a recorded artifact with their checksums
+   * @param {String} projectPath - Project base path
+   * @param {Object} artifact - Recorded artifact
+   * @returns {Array} - Files as { file, status } with status 'unchanged', 'modified' or 'missing'
+   */
+  _getArtifactFilesStatus(projectPath, artifact) {
+    const files = Object.keys(artifact.files || {});
+    const checksums = this._getChecksums(projectPath, files);
+
+    return files.map((file) => ({
+      file,
+      status: !checksums[file]
+        ? "missing"
+        : checksums[file] === artifact.files[file]
+          ? "unchanged"
+          : "modified",
+    }));
+  },
 };
 
 export default sargenHelper;
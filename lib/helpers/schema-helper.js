@@ -0,0 +1,258 @@
+import path from "path";
+import yaml from "js-yaml";
+import moduleHelper from "./module-helper.js";
+import fileHelper from "./file-helper.js";
+
+// JSON Schema string formats mapped to model data types
+const JSON_SCHEMA_FORMATS = {
+  "date-time": "datetime",
+  date: "date",
+  uuid: "uuid",
+};
+
+// JSON Schema types mapped to model data types
+const JSON_SCHEMA_TYPES = {
+  string: "string",
+  integer: "integer",
+  number: "float",
+  boolean: "boolean",
+  object: "json",
+  array: "json",
+};
+
+/**
+ * Schema helper
+ * This helper loads module definitions (fields, modifiers, relations and enums) from schema files
+ */
+const schemaHelper = {
+  /**
+   * Loads modules from a YAML or JSON schema file, ordered so referenced modules come first
+   * Modules are read from "modules" (or JSON Schema "$defs"/"definitions"), each one with
+   * "fields" (attribute DSL strings or objects) or JSON Schema "properties", and optional "relations"
+   * @param {string} schemaPath - Path of the schema file (e.g., sargen.schema.yml)
+   * @param {Array} moduleNames - Modules to load, all modules when empty
+   * @returns {Array} Modules as { name, options, attributes } in dependency order
+   */
+  _loadSchema(schemaPath, moduleNames = []) {
+    if (!fileHelper._exists(schemaPath)) {
+      throw new Error(`Schema file not found: ${schemaPath}`);
+    }
+
+    let schema;
+    try {
+      // JSON is valid YAML, one parser handles both
+      schema = yaml.load(fileHelper._read(schemaPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid schema file ${path.basename(schemaPath)}: ${error.message}`);
+    }
+
+    const definitions = schema?.modules || schema?.$defs || schema?.definitions;
+    if (!definitions || typeof definitions !== "object" || Array.isArray(definitions)) {
+      throw new Error(
+        `No modules found in ${path.basename(schemaPath)}, define them under "modules:"`
+      );
+    }
+
+    const schemaModels = Object.keys(definitions);
+    const unknownModules = moduleNames.filter((name) => !schemaModels.includes(name));
+    if (unknownModules.length > 0) {
+      throw new Error(`Module(s) not found in schema: ${unknownModules.join(", ")}`);
+    }
+
+    const modules = schemaModels.map((name) => {
+      moduleHelper._validateModuleName(name);
+      return this._parseSchemaModule(name, definitions[name] || {}, schemaModels);
+    });
+    this._resolveHasManyKeys(modules);
+
+    return this._sortModules(
+      modules.filter((module) => moduleNames.length === 0 || moduleNames.includes(module.name))
+    );
+  },
+
+  /**
+   * Parses a module definition of the schema
+   * @param {string} name - Name of the module
+   * @param {Object} definition - Module definition
+   * @param {Array} schemaModels - All modules of the schema, references to them are not reported as missing
+   * @returns {Object} Module as { name, options, attributes }
+   */
+  _parseSchemaModule(name, definition, schemaModels) {
+    const required = Array.isArray(definition.required) ? definition.required : [];
+    const fields = {
+      ...(definition.fields || {}),
+      ...(definition.properties || {}),
+      ...(definition.relations || {}),
+    };
+
+    const attributes = Object.entries(fields).map(([fieldName, field]) => {
+      try {
+        const fieldDefinition = definition.properties?.[fieldName]
+          ? this._getJsonSchemaDefinition(field, required.includes(fieldName))
+          : this._getFieldDefinition(field);
+        return moduleHelper._parseAttribute(fieldName, fieldDefinition, schemaModels);
+      } catch (error) {
+        throw new Error(`${name}.${fieldName}: ${error.message}`);
+      }
+    });
+
+    return {
+      name,
+      options: {
+        crud: definition.crud,
+        model: definition.model,
+        pagination: definition.pagination,
+      },
+      attributes,
+    };
+  },
+
+  /**
+   * Converts a field to attribute DSL definition
+   * @param {string|Object} field - DSL string (e.g., "string(120)!unique") or object
+   *   ({ type, length, precision, scale, values, model, nullable, unique, index, default })
+   * @returns {string} Attribute definition (e.g., "string(120)?!unique=guest")
+   */
+  _getFieldDefinition(field) {
+    if (typeof field === "string") {
+      return field;
+    }
+
+    if (!field || typeof field !== "object" || !field.type) {
+      throw new Error('Field must be a string (e.g., "string(120)?") or an object with "type"');
+    }
+
+    const type = String(field.type);
+    let dataType = type;
+    if (Array.isArray(field.values)) {
+      dataType = `enum(${field.values.join("|")})`;
+    } else if (field.model) {
+      dataType = `${type}(${field.model})`;
+    } else if (field.length) {
+      dataType = `${type}(${field.length})`;
+    } else if (field.precision) {
+      dataType = `${type}(${[field.precision, field.scale].filter((v) => v !== undefined).join(",")})`;
+    }
+
+    return this._getModifiers(dataType, field.nullable, field);
+  },
+
+  /**
+   * Converts a JSON Schema property to attribute DSL definition
+   * @param {Object} property - JSON Schema property ({ type, format, maxLength, enum, default, ... })
+   * @param {boolean} isRequired - Whether the property is listed in "required"
+   * @returns {string} Attribute definition
+   */
+  _getJsonSchemaDefinition(property, isRequired) {
+    if (typeof property === "string") {
+      return property;
+    }
+
+    const types = [].concat(property.type || []);
+    const type = types.find((item) => item !== "null");
+
+    let dataType;
+    if (Array.isArray(property.enum)) {
+      dataType = `enum(${property.enum.filter((value) => value !== null).join("|")})`;
+    } else if (type === "string" && JSON_SCHEMA_FORMATS[property.format]) {
+      dataType = JSON_SCHEMA_FORMATS[property.format];
+    } else if (type === "string" && property.maxLength) {
+      dataType = `string(${property.maxLength})`;
+    } else if (type === "integer" && property.format === "int64") {
+      dataType = "number";
+    } else if (JSON_SCHEMA_TYPES[type]) {
+      dataType = JSON_SCHEMA_TYPES[type];
+    } else {
+      throw new Error(`Unsupported JSON Schema type "${types.join(", ") || "undefined"}"`);
+    }
+
+    const nullable = !isRequired || types.includes("null") || property.nullable === true;
+    return this._getModifiers(dataType, nullable, property);
+  },
+
+  /**
+   * Appends attribute DSL modifiers to a data type
+   * @param {string} dataType - Data type with arguments
+   * @param {boolean} nullable - Whether the column is nullable
+   * @param {Object} field - Field with unique, index and default
+   * @returns {string} Attribute definition
+   */
+  _getModifiers(dataType, nullable, field) {
+    return [
+      dataType,
+      nullable ? "?" : "",
+      field.unique ? "!unique" : "",
+      field.index ? "!index" : "",
+      field.default !== undefined && field.default !== null ? `=${field.default}` : "",
+    ].join("");
+  },
+
+  /**
+   * Uses the belongsTo/ref column of the related module as foreign key of hasMany relations,
+   * i.e. users.posts: hasMany(posts) with posts.author: belongsTo(users) uses author_id
+   * @param {Array} modules - Modules as { name, options, attributes }
+   */
+  _resolveHasManyKeys(modules) {
+    modules.forEach((module) => {
+      module.attributes
+        .filter((attr) => attr.association?.type === "hasMany")
+        .forEach((attr) => {
+          const relatedModule = modules.find((item) => item.name === attr.association.model);
+          const foreignKey = relatedModule?.attributes.find(
+            (item) => item.isForeignKey && item.references.model === module.name
+          );
+
+          if (foreignKey) {
+            attr.association.foreignKey = foreignKey.name;
+            attr.association.reverseDeclared = Boolean(foreignKey.association);
+          }
+        });
+    });
+  },
+
+  /**
+   * Sorts modules so modules referenced by belongsTo, ref and belongsToMany are generated first
+   * @param {Array} modules - Modules as { name, options, attributes }
+   * @returns {Array} Sorted modules
+   */
+  _sortModules(modules) {
+    const names = modules.map((module) => module.name);
+    const dependencies = new Map(
+      modules.map((module) => [
+        module.name,
+        new Set(
+          module.attributes
+            .map((attr) =>
+              attr.isForeignKey
+                ? attr.references.model
+                : attr.association?.type === "belongsToMany" && attr.association.model
+            )
+            .filter((model) => model && model !== module.name && names.includes(model))
+        ),
+      ])
+    );
+
+    // Kahn's algorithm keeping the schema order for independent modules
+    const sorted = [];
+    const remaining = [...modules];
+    while (remaining.length > 0) {
+      const index = remaining.findIndex((module) =>
+        [...dependencies.get(module.name)].every((dependency) =>
+          sorted.some((sortedModule) => sortedModule.name === dependency)
+        )
+      );
+
+      if (index === -1) {
+        throw new Error(
+          `Circular references between modules: ${remaining.map((module) => module.name).join(", ")}. Use hasMany on one side instead.`
+        );
+      }
+
+      sorted.push(...remaining.splice(index, 1));
+    }
+
+    return sorted;
+  },
+};
+
+export default schemaHelper;
@@ -1,8 +1,8 @@
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import _lodash from 'lodash';
 import fileHelper from './file-helper.js';
+import languageHelper from './language-helper.js';
 import { getGlobalLogger as logger } from './global-logger-helper.js';
 
 
@@ -12,16 +12,36 @@ const __dirname = path.dirname(__filename);
 // Template cache to avoid recompiling the same templates
 const templateCache = new Map();
 
+// Built-in templates, shadowed file by file by the project templates
+const BUILT_IN_TEMPLATES_PATH = path.join(__dirname, '..', 'templates');
+
+// Project templates directory, relative to the project root (templatesPath of .sargen.json replaces it)
+const PROJECT_TEMPLATES_PATH = path.join('.sargen', 'templates');
+
+// Environment files created for every project
+const ENV_FILES = [
+  { name: '.env', nodeEnv: 'development' },
+  { name: '.env.test', nodeEnv: 'test' },
+  { name: '.env.production', nodeEnv: 'production' }
+];
+
 const templateHelper = {
   /**
-   * Gets the full path to a template file
+   * Gets the full path to a template file, a project template takes precedence over the built-in one
    * @param {string} templateName - Name/path of the template
+   * @param {string} projectPath - Root of the target project
    * @returns {string} Full path to the template file
    */
-  _getTemplatePath: (templateName) => {
+  _getTemplatePath: (templateName, projectPath) => {
+    const projectTemplatePath = path.join(templateHelper._getProjectTemplatesPath(projectPath), templateName);
+    if (fileHelper._exists(projectTemplatePath) && fileHelper._stat(projectTemplatePath).isFile()) {
+      logger().verbose(`Using project template: ${templateName}`);
+      return projectTemplatePath;
+    }
+
     // Handle both structure-specific and common templates
-    const templatePath = path.join(__dirname, '..', 'templates', templateName);
-    if (fs.existsSync(templatePath)) {
+    const templatePath = templateHelper._getBuiltInTemplatePath(templateName);
+    if (fileHelper._exists(templatePath)) {
       return templatePath;
     }
     
@@ -29,6 +49,65 @@ const templateHelper = {
     process.exit(1);
   },
 
+  /**
+   * Gets the project templates directory: templatesPath of .sargen.json or .sargen/templates,
+   * relative to the project root (not the working directory, which is the parent folder during init)
+   * @param {string} projectPath - Root of the target project
+   * @returns {string} Full path to the project templates directory (may not exist)
+   */
+  _getProjectTemplatesPath: (projectPath) => {
+    const metadataPath = path.join(projectPath, '.sargen.json');
+    let templatesPath = PROJECT_TEMPLATES_PATH;
+
+    if (fileHelper._exists(metadataPath)) {
+      try {
+        templatesPath = JSON.parse(fileHelper._read(metadataPath, 'utf8')).templatesPath || templatesPath;
+      } catch (error) {
+        // Invalid metadata is reported by the commands, built-in templates are used meanwhile
+      }
+    }
+
+    return path.resolve(projectPath, templatesPath);
+  },
+
+  /**
+   * Gets the full path to a built-in template, ignoring project templates
+   * @param {string} templateName - Name/path of the template
+   * @returns {string} Full path to the built-in template
+   */
+  _getBuiltInTemplatePath: (templateName) => {
+    return path.join(BUILT_IN_TEMPLATES_PATH, templateName);
+  },
+
+  /**
+   * Gets the built-in template files of a template or a template directory
+   * @param {string} templateName - Name/path of the template or directory (e.g., module/cruds)
+   * @returns {Array} Template names, empty when not found
+   */
+  _getBuiltInTemplates: (templateName) => {
+    const templatePath = templateHelper._getBuiltInTemplatePath(templateName);
+    if (!path.resolve(templatePath).startsWith(BUILT_IN_TEMPLATES_PATH) || !fileHelper._exists(templatePath)) {
+      return [];
+    }
+    if (fileHelper._stat(templatePath).isFile()) {
+      return [path.relative(BUILT_IN_TEMPLATES_PATH, templatePath)];
+    }
+
+    return fileHelper
+      ._readDir(templatePath)
+      .sort()
+      .flatMap((entry) => templateHelper._getBuiltInTemplates(path.join(templateName, entry)));
+  },
+
+  /**
+   * Finds built-in templates whose name contains the given text (e.g., crud.methods finds module/cruds/crud.methods.js)
+   * @param {string} text - Text to search
+   * @returns {Array} Template names
+   */
+  _findBuiltInTemplates: (text) => {
+    return templateHelper._getBuiltInTemplates('').filter((templateName) => templateName.includes(text));
+  },
+
   /**
    * Validates a name based on the following criteria:
    * - Maximum length of 20 characters
@@ -93,13 +172,7 @@ const templateHelper = {
   _createEnvFile: (projectPath, attributes) => {
     try {
       // Create multiple environment files
-      const envFiles = [
-        { name: '.env', nodeEnv: 'development' },
-        { name: '.env.test', nodeEnv: 'test' },
-        { name: '.env.production', nodeEnv: 'production' }
-      ];
-
-      envFiles.forEach(envFile => {
+      ENV_FILES.forEach(envFile => {
         let envContent = '';
         for (const [key, value] of Object.entries(attributes)) {
           if (key.toUpperCase() === 'NODE_ENV') {
@@ -118,7 +191,7 @@ const templateHelper = {
           envContent += 'ALLOWED_ORIGINS=["https://yourdomain.com","https://www.yourdomain.com"]\n';
         }
         
-        fs.writeFileSync(path.join(projectPath, envFile.name), envContent);
+        fileHelper._write(path.join(projectPath, envFile.name), envContent);
       });
 
       logger().success('Created multiple environment files (.env, .env.test, .env.production)');
@@ -128,6 +201,38 @@ const templateHelper = {
     }
   },
 
+  /**
+   * Adds or replaces keys in the existing environment files
+   * @param {string} projectPath - Path to the project
+   * @param {Function} getAttributes - Returns environment variables for the given NODE_ENV
+   */
+  _updateEnvFiles: (projectPath, getAttributes) => {
+    try {
+      ENV_FILES.forEach(envFile => {
+        const envPath = path.join(projectPath, envFile.name);
+        let envContent = fileHelper._exists(envPath) ? fileHelper._read(envPath, 'utf8') : '';
+
+        for (const [key, value] of Object.entries(getAttributes(envFile.nodeEnv))) {
+          const line = `${key.toUpperCase()}=${value}`;
+          const keyRegex = new RegExp(`^${key.toUpperCase()}=.*$`, 'm');
+
+          if (keyRegex.test(envContent)) {
+            envContent = envContent.replace(keyRegex, () => line);
+          } else {
+            envContent += `${envContent && !envContent.endsWith('\n') ? '\n' : ''}${line}\n`;
+          }
+        }
+
+        fileHelper._write(envPath, envContent);
+      });
+
+      logger().success('Updated environment files (.env, .env.test, .env.production)');
+    } catch (error) {
+      logger().error(`Error updating environment files: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Sets up template structure based on template metadata
    * @param {Object} template - Template metadata
@@ -189,10 +294,10 @@ const templateHelper = {
             : './testRoute';
           
           fileHelper._updateContentToFiles([{
-            path: path.join(template.projectPath, 'src/routes/index.js'),
+            path: languageHelper._getSourceFile(template.projectPath, path.join(template.projectPath, 'src/routes/index.js')),
             content: `router.use('/test', require('${testRouteImport}'));`,
             appendAt: 'before',
-            appendLine: 'module.exports = router;'
+            appendLine: `${languageHelper._getExportStatement(template.projectPath)} router;`
           }]);
 
           logger().info('Added test endpoint at /api/v1/test/test-api');
@@ -2,8 +2,8 @@ import { getGlobalLogger as logger } from "./global-logger-helper.js";
 import fileHelper from "./file-helper.js";
 import npmHelper from "./npm-helper.js";
 import dockerHelper from "./docker-helper.js";
+import languageHelper from "./language-helper.js";
 import path from "path";
-import fs from "fs";
 
 
 const utilConfiguration = {
@@ -165,6 +165,14 @@ const utilConfiguration = {
 };
 
 const utilHelper = {
+  /**
+   * Gets the names of the utils which can be generated
+   * @returns {Array} - Util names
+   */
+  _getUtilNames() {
+    return Object.keys(utilConfiguration);
+  },
+
   /**
    * Generate util configuration
    * @param {string} utilName - The name of the util
@@ -196,7 +204,7 @@ const utilHelper = {
    * @param {boolean} dockerFlag - The flag to add docker file
    * @param {string} cloudProvider - Cloud provider for fileupload (s3, gcp, or null)
    * @param {boolean} force - Whether to overwrite existing fileupload service file
-   * @returns {Object} - The util
+   * @returns {Array} - Files of the util, relative to the project
    */
   async _generateUtil(utilName, projectPath, structure, dockerFlag = false, cloudProvider = null, force = false) {
     try {
@@ -205,9 +213,9 @@ const utilHelper = {
 
       // Check if fileupload file already exists (only for fileupload util)
       if (utilName === 'fileupload') {
-        const fileUploadPath = path.join(projectPath, `${utilPath}/fileupload/fileUploadService.js`);
-        if (fs.existsSync(fileUploadPath) && !force) {
-          logger().error(`File upload service already exists at: ${utilPath}/fileupload/fileUploadService.js`);
+        const fileUploadFile = languageHelper._getSourceFile(projectPath, `${utilPath}/fileupload/fileUploadService.js`);
+        if (fileHelper._exists(path.join(projectPath, fileUploadFile)) && !force) {
+          logger().error(`File upload service already exists at: ${fileUploadFile}`);
           logger().error(`If you want to overwrite it, run the command with --force option.`);
           throw new Error('File upload service already exists. Use --force to overwrite.');
         }
@@ -253,7 +261,7 @@ const utilHelper = {
         return file;
       });
 
-      fileHelper._addDirsAndFiles(projectPath, [
+      const utilFiles = fileHelper._addDirsAndFiles(projectPath, [
         ...dirsToCreate,
         ...filesToCreate,
       ]);
@@ -272,6 +280,8 @@ const utilHelper = {
           logger().info(message);
         });
       }
+
+      return utilFiles;
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,143 @@
+import { getGlobalLogger as logger } from "./global-logger-helper.js";
+import config from "./config-helper.js";
+import cliHelper from "./command-helper.js";
+import dbHelper from "./database-helper.js";
+import middlewareHelper from "./middleware-helper.js";
+import utilHelper from "./util-helper.js";
+import languageHelper from "./language-helper.js";
+import moduleHelper from "./module-helper.js";
+
+// Storage of the fileupload util, local storage has no cloud provider
+const FILEUPLOAD_STORAGES = ["local", "aws", "gcp"];
+
+/**
+ * Wizard helper
+ * This helper asks the options of a new project on the terminal (sargen init without options)
+ */
+const wizardHelper = {
+  /**
+   * Asks the structure, language, module system, database, middlewares, utils, modules and git setup of a new project
+   * @param {string} projectName - Name of the project
+   * @returns {Promise<Object>} Project plan, see Builder._buildProject
+   */
+  async _askProjectPlan(projectName) {
+    logger().info(`Creating project "${projectName}", press enter to use the default answer.`);
+
+    const structure = await cliHelper._select(
+      "Project structure:",
+      Object.keys(config.initialDirsFiles),
+      "layered"
+    );
+    const language = await cliHelper._select("Language:", languageHelper._getLanguageNames(), "javascript");
+    const esm = language === "javascript" && (await cliHelper._confirm("Use ES modules (import/export)? (y/N) "));
+
+    const security = [];
+    for (const name of middlewareHelper._getSecurityMiddlewareNames()) {
+      if (await cliHelper._confirm(`Add ${name} security middleware? (y/N) `)) {
+        security.push(name);
+      }
+    }
+    const test = await cliHelper._confirm("Add test API endpoint? (y/N) ");
+
+    const orm = await cliHelper._select("Database ORM:", ["none", ...dbHelper._getSupportedOrms()], "none");
+    const adapter =
+      orm === "none" ? null : await cliHelper._select("Database adapter:", dbHelper._getSupportedAdapters(orm));
+
+    const middlewares = await cliHelper._multiSelect("Middlewares:", middlewareHelper._getMiddlewareNames());
+    const utilNames = await cliHelper._multiSelect("Utils:", utilHelper._getUtilNames());
+    const cloud = utilNames.includes("fileupload")
+      ? await cliHelper._select("File upload storage:", FILEUPLOAD_STORAGES, "local")
+      : "local";
+
+    // Database server and redis can run with Docker Compose
+    const dockerServices = [
+      orm !== "none" && !dbHelper._isServerlessAdapter(orm, adapter) && adapter,
+      utilNames.includes("redis") && "redis",
+    ].filter(Boolean);
+    const docker =
+      dockerServices.length > 0 &&
+      (await cliHelper._confirm(`Run ${dockerServices.join(" & ")} with Docker Compose? (y/N) `));
+
+    const modules = await this._askModules(orm !== "none");
+
+    const git = (await cliHelper._confirm("Initialize a git repository with an initial commit? (y/N) "))
+      ? {
+          remote:
+            (await cliHelper._prompt("Remote repository URL (empty to create a GitHub repository with gh): ")) ||
+            undefined,
+          push: await cliHelper._confirm("Push the initial commit? (Y/n) ", true),
+        }
+      : undefined;
+
+    return {
+      structure,
+      language,
+      esm,
+      security,
+      test,
+      dbConf: orm === "none" ? undefined : { orm, adapter, docker: docker && dockerServices.includes(adapter) },
+      middlewares,
+      utils: utilNames.map((name) => ({
+        name,
+        ...(name === "redis" && docker && { docker: true }),
+        ...(name === "fileupload" && cloud !== "local" && { cloud }),
+      })),
+      modules,
+      git,
+    };
+  },
+
+  /**
+   * Asks the modules to generate with their attributes (when a database is set up) and CRUD endpoints
+   * @param {boolean} hasDatabase - Whether a database is set up, modules have no attributes without it
+   * @returns {Promise<Object>} Modules by name as { crud, attributes }
+   */
+  async _askModules(hasDatabase) {
+    let moduleNames;
+    for (;;) {
+      moduleNames = (await cliHelper._prompt("Modules to generate (comma separated, e.g. users,posts, empty for none): "))
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+      try {
+        moduleNames.forEach((name) => moduleHelper._validateModuleName(name));
+        break;
+      } catch (error) {
+        // Invalid names are logged by the validation, ask again
+      }
+    }
+
+    const modules = {};
+    for (const name of moduleNames) {
+      const attributes = hasDatabase ? await this._askAttributes(name) : "";
+      modules[name] = {
+        crud: await cliHelper._confirm(`Generate CRUD endpoints for ${name}? (Y/n) `, true),
+        ...(attributes && { attributes }),
+      };
+    }
+    return modules;
+  },
+
+  /**
+   * Asks the model attributes of a module until they are valid
+   * @param {string} moduleName - Name of the module
+   * @returns {Promise<string>} Attributes in --model-attributes format, empty string for none
+   */
+  async _askAttributes(moduleName) {
+    for (;;) {
+      const attributes = await cliHelper._prompt(
+        `Attributes of ${moduleName} (e.g. name:string,email:string(120)!unique, empty for none): `
+      );
+      try {
+        if (attributes) {
+          moduleHelper._parseModelAttributes(attributes);
+        }
+        return attributes;
+      } catch (error) {
+        logger().warn(`Invalid attributes: ${error.message}`);
+      }
+    }
+  },
+};
+
+export default wizardHelper;
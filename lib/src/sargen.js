@@ -6,12 +6,20 @@ import templateHelper from "../helpers/template-helper.js";
 import sargenHelper from "../helpers/sargen-helper.js";
 import config from "../helpers/config-helper.js";
 import dbHelper from "../helpers/database-helper.js";
-import fs from "fs";
 import moduleHelper from "../helpers/module-helper.js";
 import cliHelper from "../helpers/command-helper.js";
 import middlewareHelper from "../helpers/middleware-helper.js";
 import utilHelper from "../helpers/util-helper.js";
 import gitHelper from "../helpers/git-helper.js";
+import schemaHelper from "../helpers/schema-helper.js";
+import openapiHelper from "../helpers/openapi-helper.js";
+import docsHelper from "../helpers/docs-helper.js";
+import postmanHelper from "../helpers/postman-helper.js";
+import fieldHelper from "../helpers/field-helper.js";
+import destroyHelper from "../helpers/destroy-helper.js";
+import wizardHelper from "../helpers/wizard-helper.js";
+import presetHelper from "../helpers/preset-helper.js";
+import languageHelper from "../helpers/language-helper.js";
 
 /**
  * Main builder class for creating Express.js projects
@@ -23,7 +31,7 @@ class Builder {
    */
   constructor(projectName) {
     this.projectName = projectName;
-    this.projectPath = path.join(process.cwd(), projectName);
+    this.projectPath = path.join(fileHelper._getWorkingDirectory(), projectName);
   }
 
   /**
@@ -48,6 +56,8 @@ class Builder {
    * @param {string} options.struct - Type of project structure to create
    * @param {boolean} options.test - Whether to add test endpoint
    * @param {string} options.security - Security middlewares configuration (helmet, cors, rateLimit)
+   * @param {string} [options.language] - Language of the generated code (javascript or typescript)
+   * @param {boolean} [options.esm] - Whether to generate ES modules (import/export) instead of CommonJS
    */
   _initializeProject(options) {
     try {
@@ -55,34 +65,58 @@ class Builder {
         struct: structType,
         test: addTest,
         security,
+        language = "javascript",
+        esm = false,
       } = options;
+      const typescript = language === "typescript";
+      if (esm && typescript) {
+        logger().error("ES module output is available for JavaScript projects only, TypeScript projects use import/export already.");
+        process.exit(1);
+      }
       // Validate structure type
       this._validateStructureType(structType);
 
       // Create project directory
       fileHelper._createProjectDirectory(this.projectName);
 
+      // Add .sargen.json file first, files are written in the language it records
+      sargenHelper._writeSargenMetadata({
+        projectName: this.projectName,
+        projectPath: this.projectPath,
+        structure: structType,
+        language,
+        moduleSystem: esm ? "esm" : "commonjs",
+        newApp: true,
+      });
+
       // Add security middlewares
       middlewareHelper._addSecurityMiddlewares(config, structType, security);
 
       // Create project structure (including files from templates)
-      fileHelper._addDirsAndFiles(
-        this.projectPath,
-        config.initialDirsFiles[structType]
-      );
+      fileHelper._addDirsAndFiles(this.projectPath, [
+        ...config.initialDirsFiles[structType],
+        ...(typescript ? config.typescript.files : []),
+        ...(esm ? config.esm.files : []),
+      ]);
 
       // Initialize npm project
       npmHelper._initializeNpm(this.projectPath);
+      if (esm) {
+        npmHelper._updatePackageJson(this.projectPath, "type", "module");
+      }
 
       // Install dependencies
-      npmHelper._addUpdateDependencies(
-        this.projectPath,
-        config.dependencies,
-        config.devDependencies
-      );
+      npmHelper._addUpdateDependencies(this.projectPath, config.dependencies, [
+        ...config.devDependencies,
+        ...(typescript ? config.typescript.devDependencies : []),
+      ]);
 
       // Update package.json scripts
-      npmHelper._updatePackageJson(this.projectPath, "scripts", config.scripts);
+      npmHelper._updatePackageJson(
+        this.projectPath,
+        "scripts",
+        typescript ? config.typescript.scripts : config.scripts
+      );
 
       // Create .env file
       if (config.envFile.default) {
@@ -104,14 +138,6 @@ class Builder {
         hasTest: addTest,
       });
 
-      // Add .sargen.json file
-      sargenHelper._writeSargenMetadata({
-        projectName: this.projectName,
-        projectPath: this.projectPath,
-        structure: structType,
-        newApp: true,
-      });
-
       // Add test endpoint if requested
       if (addTest) {
         templateHelper._setTemplateStructure({
@@ -126,7 +152,7 @@ class Builder {
 
 
       logger().success(
-        `Project "${this.projectName}" initialized successfully with ${structType} structure!`
+        `Project "${this.projectName}" initialized successfully with ${structType} structure${typescript ? " (TypeScript)" : esm ? " (ES modules)" : ""}!`
       );
       logger().info(
         `\nTo get started, Run:\n  cd ${this.projectName} && npm run dev`
@@ -142,6 +168,133 @@ class Builder {
       process.exit(1);
     }
   }
+
+  /**
+   * Asks the project options on the terminal and creates the project with them
+   */
+  async _initializeProjectWithWizard() {
+    // Checked before the questions, the project directory is created after them
+    if (fileHelper._exists(this.projectPath)) {
+      logger().error(`Directory "${this.projectName}" already exists.`);
+      process.exit(1);
+    }
+
+    const plan = await wizardHelper._askProjectPlan(this.projectName);
+    await this._buildProject(plan);
+  }
+
+  /**
+   * Creates a project from a preset, see presetHelper._loadPreset
+   * @param {string} preset - Path of a YAML/JSON preset file or name of a built-in preset
+   * @param {Object} [overrides] - Plan options given on the command line (structure, language, test, security)
+   */
+  async _initializeProjectFromPreset(preset, overrides = {}) {
+    let plan;
+    try {
+      if (fileHelper._exists(this.projectPath)) {
+        throw new Error(`Directory "${this.projectName}" already exists.`);
+      }
+      plan = { ...presetHelper._loadPreset(preset), ...overrides };
+    } catch (error) {
+      logger().error(`Error loading preset: ${error.message}`);
+      process.exit(1);
+    }
+
+    logger().info(`Creating project "${this.projectName}" from preset ${preset}`);
+    await this._buildProject(plan);
+  }
+
+  /**
+   * Creates a project and sets up its database, middlewares, utils, modules and git repository in one run
+   * @param {Object} plan - Project plan
+   * @param {string} plan.structure - Project structure type (layered or modular)
+   * @param {string} [plan.language] - Language of the generated code (javascript or typescript)
+   * @param {boolean} [plan.esm] - Whether to generate ES modules (import/export) instead of CommonJS
+   * @param {Array} [plan.security] - Security middlewares (e.g., rateLimit)
+   * @param {boolean} [plan.test] - Whether to add test endpoint
+   * @param {Object} [plan.dbConf] - Database as { orm, adapter, docker }, no database when not set
+   * @param {Array} [plan.middlewares] - Names of the middlewares
+   * @param {Array} [plan.utils] - Utils as { name, docker, cloud } (cloud: aws or gcp for fileupload)
+   * @param {Object} [plan.modules] - Modules by name as { crud, model, attributes, pagination }
+   * @param {Object} [plan.git] - Git setup as { remote, branch, message, public, description, push },
+   *   no repository when not set
+   */
+  async _buildProject(plan) {
+    try {
+      this._initializeProject({
+        struct: plan.structure || "layered",
+        test: plan.test,
+        security: plan.security || [],
+        language: plan.language,
+        esm: plan.esm,
+      });
+
+      // Generate reads .sargen.json of the working directory, it is created again after the database setup
+      fileHelper._changeDirectory(this.projectPath);
+      if (plan.dbConf) {
+        new Generate()._setupDatabaseConfiguration(plan.dbConf);
+      }
+
+      const generator = new Generate();
+      (plan.middlewares || []).forEach((middlewareName) => generator._generateMiddleware(middlewareName));
+      for (const util of plan.utils || []) {
+        await generator._generateUtilService(util.name, {
+          docker: util.docker,
+          cloudProvider: util.cloud === "aws" ? "s3" : util.cloud,
+        });
+      }
+      Object.entries(plan.modules || {}).forEach(([moduleName, module]) => {
+        generator._generateModule(moduleName, {
+          crud: module.crud,
+          model: module.model ?? !!plan.dbConf,
+          modelAttributes: module.attributes,
+          pagination: module.pagination,
+        });
+      });
+
+      // Committed last to include every generated file
+      if (plan.git) {
+        await generator._setupGitRepository({ branch: "main", ...plan.git });
+      }
+
+      this._printProjectSummary(plan);
+    } catch (error) {
+      logger().error(`Error building project: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Prints what was set up in the project and the next steps
+   * @param {Object} plan - Project plan, see _buildProject
+   */
+  _printProjectSummary(plan) {
+    const { dbConf, git } = plan;
+    const modules = Object.entries(plan.modules || {});
+    const list = (items) => (items.length > 0 ? items.join(", ") : "none");
+
+    logger().success(`Project "${this.projectName}" is ready!`);
+    logger().info("📋 Summary:");
+    logger().info(`   Structure: ${plan.structure || "layered"}${plan.security?.length ? ` (security: ${plan.security.join(", ")})` : ""}`);
+    logger().info(`   Language: ${plan.language || "javascript"}${plan.esm ? " (ES modules)" : ""}`);
+    logger().info(`   Database: ${dbConf ? `${dbConf.orm} & ${dbConf.adapter}${dbConf.docker ? " (Docker)" : ""}` : "none"}`);
+    logger().info(`   Middlewares: ${list(plan.middlewares || [])}`);
+    logger().info(
+      `   Utils: ${list((plan.utils || []).map((util) => `${util.name}${util.cloud ? ` (${util.cloud})` : util.docker ? " (Docker)" : ""}`))}`
+    );
+    logger().info(`   Modules: ${list(modules.map(([moduleName, module]) => `${moduleName}${module.crud ? " (CRUD)" : ""}`))}`);
+    logger().info(`   Git: ${git ? git.remote || "initialized" : "none"}`);
+
+    logger().info("📋 Next steps:");
+    logger().info(`   cd ${this.projectName}`);
+    if (dbConf?.docker || (plan.utils || []).some((util) => util.docker)) {
+      logger().info("   docker-compose -f docker/docker-compose.yml up -d");
+    }
+    if (dbConf && dbConf.orm !== "mongoose" && modules.some(([, module]) => module.attributes)) {
+      logger().info(`   sargen db:migrate${dbConf.orm === "prisma" ? " --name init" : ""}`);
+    }
+    logger().info("   npm run dev");
+  }
 }
 
 /**
@@ -186,46 +339,74 @@ class Generate {
   }
 
   /**
-   * Populates migration file with dynamic attributes
-   * @param {string} moduleName - Name of the module
-   * @param {Array} modelAttributes - Array of model attributes
+   * Gets the migrations directory path based on project structure
+   * @returns {string} Absolute path of the migrations directory
    */
-  _populateMigrationFile(moduleName, modelAttributes) {
-    try {
-      // Get migrations directory path
-      const migrationsPath = this.structure === "layered" 
-        ? path.join(this.projectPath, "src", "migrations")
-        : path.join(this.projectPath, "src", "common", "migrations");
-      
-      if (!fs.existsSync(migrationsPath)) {
-        logger().warn("Migrations directory not found");
-        return;
-      }
-
-      // Find the latest migration file for this module
-      const migrationFiles = fs.readdirSync(migrationsPath)
-        .filter(file => file.includes(`create-${moduleName}`) && file.endsWith('.js'))
-        .sort()
-        .reverse();
+  _getMigrationsPath() {
+    return this.structure === "layered"
+      ? path.join(this.projectPath, "src", "migrations")
+      : path.join(this.projectPath, "src", "common", "migrations");
+  }
 
-      if (migrationFiles.length === 0) {
-        logger().warn(`No migration file found for module ${moduleName}`);
-        return;
-      }
+  /**
+   * Gets the latest migration file with the given name (e.g., create-users)
+   * @param {string} migrationName - Name of the migration, without the timestamp
+   * @returns {string|null} Migration file path relative to the project, null when not found
+   */
+  _getLatestMigrationFile(migrationName) {
+    const migrationsPath = this._getMigrationsPath();
+    const [migrationFile] = fileHelper._exists(migrationsPath)
+      ? fileHelper._readDir(migrationsPath)
+          .filter(file => file.endsWith(`-${migrationName}.js`))
+          .sort()
+          .reverse()
+      : [];
+
+    return migrationFile ? path.relative(this.projectPath, path.join(migrationsPath, migrationFile)) : null;
+  }
 
-      const migrationFile = path.join(migrationsPath, migrationFiles[0]);
-      logger().verbose(`Populating migration file: ${migrationFiles[0]}`);
+  /**
+   * Generates migration for the junction table of a many-to-many association
+   * @param {string} moduleName - Name of the module
+   * @param {Object} association - belongsToMany association (see moduleHelper._getAssociations)
+   * @returns {string} Migration file path relative to the project
+   */
+  _generateJunctionMigration(moduleName, association) {
+    const foreignKey = (name, model) => ({
+      name,
+      type: "INTEGER",
+      allowNull: false,
+      isForeignKey: true,
+      references: {
+        model,
+        key: "id",
+      },
+      onDelete: "CASCADE",
+      onUpdate: "CASCADE",
+    });
 
-      // Generate migration content
-      const migrationContent = this._generateMigrationContent(moduleName, modelAttributes);
-      
-      // Write the migration file
-      fs.writeFileSync(migrationFile, migrationContent);
-      logger().verbose(`Migration populated with ${modelAttributes.length} attributes`);
+    const migrationFile = this._writeSequelizeMigration(
+      `create-${association.through}`,
+      this._generateMigrationContent(association.through, [
+        foreignKey(association.foreignKey, moduleName),
+        foreignKey(association.otherKey, association.model),
+      ])
+    );
+    logger().verbose(`Junction table migration generated: ${association.through}`);
+    return migrationFile;
+  }
 
-    } catch (error) {
-      logger().error(`Error populating migration: ${error.message}`);
-    }
+  /**
+   * Writes a Sequelize migration in the migrations directory (see dbHelper._writeSequelizeMigration)
+   * @param {string} migrationName - Name of the migration (e.g., create-users)
+   * @param {string} content - Migration file content
+   * @returns {string} Migration file path relative to the project
+   */
+  _writeSequelizeMigration(migrationName, content) {
+    const migrationsPath = this._getMigrationsPath();
+    const fileName = dbHelper._writeSequelizeMigration(migrationsPath, migrationName, content);
+    logger().success(`Created migration file: ${fileName}`);
+    return path.relative(this.projectPath, path.join(migrationsPath, fileName));
   }
 
   /**
@@ -236,32 +417,26 @@ class Generate {
    */
   _generateMigrationContent(moduleName, modelAttributes) {
     // Generate attributes string
-    const attributesString = modelAttributes.map(attr => {
-      let attrString = `      ${attr.name}: {
-        type: Sequelize.${attr.type},
-        allowNull: false`;
-      
-      // Add foreign key constraints if it's a foreign key
-      if (attr.isForeignKey) {
-        attrString += `,
-        references: {
-          model: '${attr.references.model}',
-          key: '${attr.references.key}'
-        },
-        onDelete: '${attr.onDelete}',
-        onUpdate: '${attr.onUpdate}'`;
-      }
-      
-      // Add enum values if it's an enum
-      if (attr.values) {
-        attrString += `,
-        values: [${attr.values.map(v => `'${v}'`).join(', ')}]`;
-      }
-      
-      attrString += `
-      }`;
-      return attrString;
-    }).join(',\n');
+    const attributesString = modelAttributes.map(attr => `      ${attr.name}: {
+${this._getMigrationColumnOptions(attr).replace(/^/gm, "        ")}
+      },
+`).join('');
+
+    // Indexes are added after the table is created
+    const indexesString = modelAttributes
+      .filter(attr => attr.index)
+      .map(attr => `
+    await queryInterface.addIndex('${moduleName}', ['${attr.name}']);`)
+      .join('');
+
+    // PostgreSQL keeps the enum types of a dropped table
+    const enumTypesString = this.adapter === "postgres"
+      ? modelAttributes
+          .filter(attr => attr.values)
+          .map(attr => `
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_${moduleName}_${attr.name}";');`)
+          .join('')
+      : '';
 
     return `'use strict';
 
@@ -274,8 +449,7 @@ module.exports = {
         primaryKey: true,
         type: Sequelize.INTEGER
       },
-${attributesString},
-      createdAt: {
+${attributesString}      createdAt: {
         allowNull: false,
         type: Sequelize.DATE
       },
@@ -283,15 +457,355 @@ ${attributesString},
         allowNull: false,
         type: Sequelize.DATE
       }
-    });
+    });${indexesString}
   },
 
   async down(queryInterface, Sequelize) {
-    await queryInterface.dropTable('${moduleName}');
+    await queryInterface.dropTable('${moduleName}');${enumTypesString}
+  }
+};`;
+  }
+
+  /**
+   * Gets Sequelize migration column options of an attribute (type, allowNull, unique, defaultValue and references)
+   * @param {Object} attr - Parsed attribute
+   * @returns {string} Column options, one per line without indentation
+   */
+  _getMigrationColumnOptions(attr) {
+    let optionsString = `type: Sequelize.${moduleHelper._getSequelizeType(attr)},
+allowNull: ${!!attr.allowNull}`;
+
+    if (attr.unique) {
+      optionsString += `,
+unique: true`;
+    }
+
+    if (attr.defaultValue !== undefined) {
+      const defaultValue = typeof attr.defaultValue === "string"
+        ? `'${attr.defaultValue.replace(/'/g, "\\'")}'`
+        : attr.defaultValue;
+      optionsString += `,
+defaultValue: ${defaultValue}`;
+    }
+
+    // Add foreign key constraints if it's a foreign key
+    if (attr.isForeignKey) {
+      optionsString += `,
+references: {
+  model: '${attr.references.model}',
+  key: '${attr.references.key}'
+},
+onDelete: '${attr.onDelete}',
+onUpdate: '${attr.onUpdate}'`;
+    }
+
+    return optionsString;
+  }
+
+  /**
+   * Generates TypeORM migration file for a module
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Array of model attributes
+   * @returns {string|undefined} Migration file path relative to the project
+   */
+  _generateTypeormMigration(moduleName, modelAttributes = []) {
+    try {
+      const migrationsPath = this._getMigrationsPath();
+      if (!fileHelper._exists(migrationsPath)) {
+        fileHelper._makeDir(migrationsPath);
+      }
+
+      // TypeORM reads the migration timestamp from the end of the class name
+      const timestamp = Date.now();
+      const className = `Create${moduleName.charAt(0).toUpperCase() + moduleName.slice(1)}${timestamp}`;
+      const fileName = `${timestamp}-create-${moduleName}.js`;
+
+      fileHelper._write(
+        path.join(migrationsPath, fileName),
+        this._generateTypeormMigrationContent(moduleName, className, modelAttributes)
+      );
+      logger().success(`Created migration file: ${fileName}`);
+      return path.relative(this.projectPath, path.join(migrationsPath, fileName));
+    } catch (error) {
+      logger().error(`Error generating migration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generates TypeORM migration file content
+   * @param {string} moduleName - Name of the module
+   * @param {string} className - Migration class name (ends with timestamp)
+   * @param {Array} modelAttributes - Array of model attributes
+   * @returns {string} Migration file content
+   */
+  _generateTypeormMigrationContent(moduleName, className, modelAttributes) {
+    const columnsString = modelAttributes.map(attr => `        {
+${this._getTypeormColumnOptions(attr).replace(/^/gm, "          ")}
+        },`).join('\n');
+
+    const foreignKeys = modelAttributes.filter(attr => attr.isForeignKey);
+    const foreignKeysString = foreignKeys.length > 0
+      ? `
+      foreignKeys: [
+${foreignKeys.map(attr => `        {
+          columnNames: ["${attr.name}"],
+          referencedTableName: "${attr.references.model}",
+          referencedColumnNames: ["${attr.references.key}"],
+          onDelete: "${attr.onDelete}",
+          onUpdate: "${attr.onUpdate}",
+        },`).join('\n')}
+      ],`
+      : '';
+
+    const indices = modelAttributes.filter(attr => attr.index);
+    const indicesString = indices.length > 0
+      ? `
+      indices: [
+${indices.map(attr => `        { columnNames: ["${attr.name}"] },`).join('\n')}
+      ],`
+      : '';
+
+    return `"use strict";
+const { Table } = require("typeorm");
+
+module.exports = class ${className} {
+  name = "${className}";
+
+  async up(queryRunner) {
+    await queryRunner.createTable(new Table({
+      name: "${moduleName}",
+      columns: [
+        {
+          name: "id",
+          type: "int",
+          isPrimary: true,
+          isGenerated: true,
+          generationStrategy: "increment",
+        },
+${columnsString ? columnsString + '\n' : ''}        {
+          name: "createdAt",
+          type: "timestamp",
+          default: "CURRENT_TIMESTAMP",
+        },
+        {
+          name: "updatedAt",
+          type: "timestamp",
+          default: "CURRENT_TIMESTAMP",
+        },
+      ],${foreignKeysString}${indicesString}
+    }), true);
+  }
+
+  async down(queryRunner) {
+    await queryRunner.dropTable("${moduleName}");
+  }
+};
+`;
+  }
+
+  /**
+   * Gets TypeORM migration column options of an attribute (name, type, isNullable, enum, length, precision, isUnique and default)
+   * @param {Object} attr - Parsed attribute
+   * @returns {string} Column options, one per line without indentation
+   */
+  _getTypeormColumnOptions(attr) {
+    const columnTypes = moduleHelper._ormDataTypeMapping.typeorm;
+    let optionsString = `name: "${attr.name}",
+type: "${columnTypes[attr.type]}",
+isNullable: ${!!attr.allowNull},`;
+
+    // Add enum values if it's an enum
+    if (attr.values) {
+      optionsString += `
+enum: [${attr.values.map(v => `"${v}"`).join(', ')}],`;
+    }
+
+    if (attr.length) {
+      optionsString += `
+length: "${attr.length}",`;
+    }
+
+    if (attr.precision) {
+      optionsString += `
+precision: ${attr.precision},
+scale: ${attr.scale},`;
+    }
+
+    if (attr.unique) {
+      optionsString += `
+isUnique: true,`;
+    }
+
+    // Migration defaults are SQL expressions, strings need quotes
+    if (attr.defaultValue !== undefined) {
+      const defaultValue = typeof attr.defaultValue === "string"
+        ? `'${attr.defaultValue.replace(/'/g, "''")}'`
+        : attr.defaultValue;
+      optionsString += `
+default: ${JSON.stringify(String(defaultValue))},`;
+    }
+
+    return optionsString;
+  }
+
+  /**
+   * Formats prisma/schema.prisma and regenerates Prisma client
+   */
+  _generatePrismaClient() {
+    try {
+      cliHelper._runCommandSync("npx prisma format", { cwd: this.projectPath });
+      cliHelper._runCommandSync("npx prisma generate", { cwd: this.projectPath });
+    } catch (error) {
+      logger().warn("⚠️  Could not generate Prisma client, run 'npx prisma generate' manually.");
+    }
+  }
+
+  /**
+   * Generates the migration adding columns to the table of a module (Sequelize or TypeORM)
+   * @param {string} moduleName - Name of the module
+   * @param {string} migrationName - Name of the migration (e.g., add-phone-score-to-users)
+   * @param {Array} modelAttributes - Array of model attributes of the new columns
+   */
+  _generateAddColumnsMigration(moduleName, migrationName, modelAttributes) {
+    try {
+      const migrationsPath = this._getMigrationsPath();
+
+      if (this.orm === "typeorm") {
+        if (!fileHelper._exists(migrationsPath)) {
+          fileHelper._makeDir(migrationsPath);
+        }
+
+        // TypeORM reads the migration timestamp from the end of the class name
+        const timestamp = Date.now();
+        const className = `Add${moduleName.charAt(0).toUpperCase() + moduleName.slice(1)}Fields${timestamp}`;
+        const fileName = `${timestamp}-${migrationName}.js`;
+
+        fileHelper._write(
+          path.join(migrationsPath, fileName),
+          this._generateTypeormAddColumnsMigrationContent(moduleName, className, modelAttributes)
+        );
+        logger().success(`Created migration file: ${fileName}`);
+        return;
+      }
+
+      this._writeSequelizeMigration(migrationName, this._generateAddColumnsMigrationContent(moduleName, modelAttributes));
+    } catch (error) {
+      logger().error(`Error generating migration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generates Sequelize migration file content adding columns to a table
+   * @param {string} moduleName - Name of the module
+   * @param {Array} modelAttributes - Array of model attributes of the new columns
+   * @returns {string} Migration file content
+   */
+  _generateAddColumnsMigrationContent(moduleName, modelAttributes) {
+    const upString = modelAttributes.map(attr => `
+    await queryInterface.addColumn('${moduleName}', '${attr.name}', {
+${this._getMigrationColumnOptions(attr).replace(/^/gm, "      ")}
+    });`).join('');
+
+    const indexesString = modelAttributes
+      .filter(attr => attr.index)
+      .map(attr => `
+    await queryInterface.addIndex('${moduleName}', ['${attr.name}']);`)
+      .join('');
+
+    // PostgreSQL keeps the enum type of a removed column
+    const downString = [...modelAttributes].reverse().map(attr => `
+    await queryInterface.removeColumn('${moduleName}', '${attr.name}');${attr.values && this.adapter === "postgres" ? `
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_${moduleName}_${attr.name}";');` : ''}`).join('');
+
+    return `'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {${upString}${indexesString}
+  },
+
+  async down(queryInterface, Sequelize) {${downString}
   }
 };`;
   }
 
+  /**
+   * Generates TypeORM migration file content adding columns to a table
+   * @param {string} moduleName - Name of the module
+   * @param {string} className - Migration class name (ends with timestamp)
+   * @param {Array} modelAttributes - Array of model attributes of the new columns
+   * @returns {string} Migration file content
+   */
+  _generateTypeormAddColumnsMigrationContent(moduleName, className, modelAttributes) {
+    const columnsString = modelAttributes.map(attr => `      new TableColumn({
+${this._getTypeormColumnOptions(attr).replace(/^/gm, "        ")}
+      }),`).join('\n');
+
+    const foreignKeys = modelAttributes.filter(attr => attr.isForeignKey);
+    const foreignKeysString = foreignKeys.map(attr => `
+    await queryRunner.createForeignKey("${moduleName}", new TableForeignKey({
+      columnNames: ["${attr.name}"],
+      referencedTableName: "${attr.references.model}",
+      referencedColumnNames: ["${attr.references.key}"],
+      onDelete: "${attr.onDelete}",
+      onUpdate: "${attr.onUpdate}",
+    }));`).join('');
+
+    const indicesString = modelAttributes
+      .filter(attr => attr.index)
+      .map(attr => `
+    await queryRunner.createIndex("${moduleName}", new TableIndex({ columnNames: ["${attr.name}"] }));`)
+      .join('');
+
+    // Foreign keys are dropped before their columns (MySQL refuses to drop referenced columns)
+    const dropForeignKeysString = foreignKeys.length > 0
+      ? `
+    const table = await queryRunner.getTable("${moduleName}");
+    await queryRunner.dropForeignKeys(
+      table,
+      table.foreignKeys.filter((foreignKey) =>
+        [${foreignKeys.map(attr => `"${attr.name}"`).join(', ')}].some((column) => foreignKey.columnNames.includes(column))
+      )
+    );`
+      : '';
+
+    const imports = [
+      "TableColumn",
+      foreignKeys.length > 0 && "TableForeignKey",
+      indicesString && "TableIndex",
+    ].filter(Boolean).join(', ');
+
+    return `"use strict";
+const { ${imports} } = require("typeorm");
+
+module.exports = class ${className} {
+  name = "${className}";
+
+  async up(queryRunner) {
+    await queryRunner.addColumns("${moduleName}", [
+${columnsString}
+    ]);${foreignKeysString}${indicesString}
+  }
+
+  async down(queryRunner) {${dropForeignKeysString}
+    await queryRunner.dropColumns("${moduleName}", [${[...modelAttributes].reverse().map(attr => `"${attr.name}"`).join(', ')}]);
+  }
+};
+`;
+  }
+
+  /**
+   * Gets the command to apply database migrations for the current ORM
+   * @param {string} moduleName - Name of the module
+   * @param {string} migrationName - Name of the Prisma migration (default: create-<module>)
+   * @returns {string} Migration command
+   */
+  _getMigrateCommand(moduleName, migrationName = `create-${moduleName}`) {
+    // Prisma creates the migration from schema changes, name it after the module
+    return this.orm === "prisma"
+      ? `sargen db:migrate --name ${migrationName}`
+      : "sargen db:migrate";
+  }
+
   /**
    * Generates a new module with controller, route, service and model
    * @param {string} moduleName - Name of the module to generate
@@ -301,40 +815,76 @@ ${attributesString},
       // Validate module name
       moduleHelper._validateModuleName(moduleName);
 
+      // Validate pagination mode of CRUD list endpoint
+      const pagination = options.pagination || "offset";
+      if (!["offset", "cursor"].includes(pagination)) {
+        throw new Error(`Invalid pagination mode "${pagination}", use offset or cursor`);
+      }
+
       // Parse model attributes if provided
       let modelAttributes = [];
-      if (options.modelAttributes) {
-        // Check if Sequelize ORM is set up
-        if (this.orm !== "sequelize") {
-          logger().warn("⚠️  --model-attributes option requires Sequelize ORM to be set up first.");
-          logger().warn("   Run 'sargen gen:db' command to configure Sequelize ORM and database.");
+      if (options.modelAttributes || options.schemaAttributes) {
+        // Check if a supported ORM is set up
+        if (!dbHelper._getSupportedOrms().includes(this.orm)) {
+          logger().warn("⚠️  --model-attributes option requires an ORM (Sequelize, TypeORM, Prisma or Mongoose) to be set up first.");
+          logger().warn("   Run 'sargen gen:db' command to configure ORM and database.");
           logger().warn("   Model will be generated without custom attributes.");
         } else {
-          // Check if models/index.js exists for dynamic queries
-          const modelsPath = this.structure === "layered" 
-            ? path.join(this.projectPath, "src", "models", "index.js")
-            : path.join(this.projectPath, "src", "common", "models", "index.js");
-          
-          if (!fs.existsSync(modelsPath)) {
+          // Check if models/index.js (TypeORM dataSource.js, Prisma client or Mongoose connection) exists for dynamic queries
+          const modelImport = moduleHelper._getModelImport(
+            this.projectPath,
+            this.structure,
+            this.orm
+          );
+
+          if (!modelImport) {
             logger().warn("⚠️  Database models not found. Dynamic queries will not work.");
             logger().warn("   Run 'sargen gen:db' command to set up database models first.");
             logger().warn("   Module will be generated with placeholder CRUD methods.");
             modelAttributes = []; // Clear attributes to use placeholder methods
           } else {
-            modelAttributes = moduleHelper._parseModelAttributes(options.modelAttributes);
+            // Attributes of --from-schema modules are already parsed from the schema file
+            modelAttributes =
+              options.schemaAttributes ||
+              moduleHelper._parseModelAttributes(options.modelAttributes);
             logger().verbose(`Parsed model attributes: ${JSON.stringify(modelAttributes)}`);
           }
         }
       }
 
+      // hasMany and belongsToMany have no column on the module table, they are Sequelize associations only
+      if (this.orm !== "sequelize" && modelAttributes.some((attr) => attr.isVirtual)) {
+        throw new Error("hasMany and belongsToMany relationships are supported for Sequelize only, use belongsTo(model) or ref(model) instead");
+      }
+      const associations =
+        this.orm === "sequelize" && options.model
+          ? moduleHelper._getAssociations(moduleName, modelAttributes)
+          : [];
+      modelAttributes = modelAttributes.filter((attr) => !attr.isVirtual);
+
       // Check if module already exists
       moduleHelper._validateModuleNotExists(
         this.structure,
         this.projectPath,
         moduleName,
-        !options.model
+        !options.model,
+        this.orm
       );
 
+      // Existing pagination service is not overwritten, it must support cursor pagination
+      const paginationServicePath = moduleHelper._getPaginationServicePath(this.structure);
+      if (
+        pagination === "cursor" &&
+        fileHelper._exists(path.join(this.projectPath, paginationServicePath)) &&
+        !fileHelper
+          ._read(path.join(this.projectPath, paginationServicePath), "utf8")
+          .includes("findWithCursor")
+      ) {
+        throw new Error(
+          `${paginationServicePath} has no cursor pagination (findWithCursor), delete it to generate the latest pagination service`
+        );
+      }
+
       // Get module configuration based on structure
       const moduleConfig = moduleHelper._getModuleConfig(
         this.structure,
@@ -343,22 +893,40 @@ ${attributesString},
         options.crud,
         !options.model,
         modelAttributes,
-        this.projectPath
+        this.projectPath,
+        associations,
+        pagination,
+        options.operations
       );
 
+      // Sequelize models of modular modules are required by common/models/index.js (templates/database/models.js),
+      // they stay CommonJS in ES module projects
+      if (
+        this.orm === "sequelize" &&
+        options.model &&
+        this.structure === "modular" &&
+        languageHelper._isEsm(this.projectPath)
+      ) {
+        const modelsDir = path.join(this.projectPath, "src", "modules", moduleName, "models");
+        fileHelper._makeDir(modelsDir);
+        languageHelper._markCommonJsDirectory(modelsDir);
+      }
+
       // Create directories and files using file helper
-      fileHelper._addDirsAndFiles(this.projectPath, [
+      const moduleFiles = fileHelper._addDirsAndFiles(this.projectPath, [
         ...moduleConfig.dirs,
         ...moduleConfig.files,
       ]);
 
       // Add module to routes index.js
-      let routeIndexPath =
+      let routeIndexPath = languageHelper._getSourceFile(
+        this.projectPath,
         this.structure === "layered"
           ? path.join(this.projectPath, "src", "routes", "index.js")
-          : path.join(this.projectPath, "src", "common", "routes", "index.js");
+          : path.join(this.projectPath, "src", "common", "routes", "index.js")
+      );
 
-      if (fs.existsSync(routeIndexPath)) {
+      if (fileHelper._exists(routeIndexPath)) {
         logger().verbose(`Adding ${moduleName} to routes index.js...`);
 
         // Fetch route file path
@@ -367,51 +935,99 @@ ${attributesString},
             ? `../routes/${moduleName}Route.js`
             : `../modules/${moduleName}/routes/${moduleName}Route.js`;
 
-        // Append content to route index.js
+        // Append content to route index.js (OpenAPI modules are mounted at the path of their operations)
         fileHelper._appendContent(routeIndexPath, {
-          content: `router.use("/${moduleName}", require("${routeFilePath}"));`,
+          content: `router.use("${options.mountPath || `/${moduleName}`}", require("${routeFilePath}"));`,
           appendAt: "before",
-          appendLine: "module.exports",
+          appendLine: languageHelper._getExportStatement(this.projectPath),
         });
       }
 
-        // Check to add migrations for model or not
-        if (["sequelize", "typeorm"].includes(this.orm) && options.model) {
+      // Prisma models are appended to prisma/schema.prisma, migrations are created by prisma migrate
+      if (this.orm === "prisma" && options.model) {
+        moduleHelper._appendPrismaModel(this.projectPath, moduleName, modelAttributes);
+        this._generatePrismaClient();
+      }
+
+      // Check to add migrations for model or not (skipped for Mongoose)
+      const migrationFiles = [];
+      if (["sequelize", "typeorm"].includes(this.orm) && options.model) {
         logger().verbose(`Generating migration file for ${moduleName}...`);
 
-        // Run migration command to generate migration file
-        let migrationFilePath =
-          this.structure === "layered"
-            ? "--migrations-path src/migrations"
-            : "--migrations-path src/common/migrations";
-        cliHelper._runCommandSync(
-          `npx sequelize-cli migration:generate --name create-${moduleName} ${migrationFilePath}`,
-          { cwd: this.projectPath }
+        if (this.orm === "typeorm") {
+          // TypeORM migrations are written directly with the table definition
+          migrationFiles.push(this._generateTypeormMigration(moduleName, modelAttributes));
+        } else {
+          // Junction tables of many-to-many associations are created after the table of the module
+          migrationFiles.push(
+            this._writeSequelizeMigration(
+              `create-${moduleName}`,
+              this._generateMigrationContent(moduleName, modelAttributes)
+            ),
+            ...associations
+              .filter((association) => association.type === "belongsToMany")
+              .map((association) => this._generateJunctionMigration(moduleName, association))
+          );
+        }
+      }
+
+      // Add opposite side of associations (TypeORM one-to-many relations) to related models
+      const typeormRelations =
+        this.orm === "typeorm" && options.model ? moduleHelper._getTypeormRelations(moduleName, modelAttributes) : [];
+      if (associations.length > 0 || typeormRelations.length > 0) {
+        // Recorded files of related modules which are unchanged before are recorded again afterwards
+        const relatedFiles = [...new Set([...associations, ...typeormRelations].map((association) => association.model))].map(
+          (relatedModule) => [
+            relatedModule,
+            sargenHelper._getUnchangedArtifactFiles(this.projectPath, "modules", relatedModule),
+          ]
         );
 
-        // Populate migration with dynamic attributes if provided
-        if (modelAttributes && modelAttributes.length > 0) {
-          this._populateMigrationFile(moduleName, modelAttributes);
-        }
+        moduleHelper._addReverseAssociations(
+          this.projectPath,
+          this.structure,
+          moduleName,
+          associations
+        );
+        moduleHelper._addTypeormInverseRelations(this.projectPath, this.structure, moduleName, typeormRelations);
+        relatedFiles.forEach(([relatedModule, files]) =>
+          sargenHelper._updateArtifactFiles(this.projectPath, "modules", relatedModule, files)
+        );
       }
 
+      // The pagination service is shared by CRUD modules, it is not recorded as a module file
+      sargenHelper._recordArtifact(this.projectPath, "modules", moduleName, {
+        options: {
+          crud: !!options.crud,
+          model: !!options.model,
+          ...(options.crud && { pagination }),
+          ...(modelAttributes.length > 0 && { attributes: modelAttributes.map((attr) => attr.name) }),
+        },
+        files: [
+          ...moduleFiles.filter((file) => file !== paginationServicePath),
+          ...migrationFiles.filter(Boolean),
+        ],
+      });
+
       logger().success(`Module '${moduleName}' generated successfully!`);
       
-      // Show migration guidance if model was generated with attributes
-      if (options.model && modelAttributes && modelAttributes.length > 0) {
+      // Show migration guidance if model was generated with attributes (Mongoose needs no migrations)
+      if (options.model && modelAttributes && modelAttributes.length > 0 && this.orm !== "mongoose") {
         logger().info("📋 Next steps for database migration:");
-        logger().info("   1. Go to src/ directory");
-        logger().info("   2. Run: npx sequelize-cli db:migrate");
-        logger().info("   Note: for modular structure, Run: npx sequelize-cli db:migrate --migrations-path common/migrations");
+        logger().info(`   Run: ${this._getMigrateCommand(moduleName)}`);
         logger().info("   This will create the table in your database with the defined attributes.");
       }
       
       // Show guidance for CRUD without model attributes
-      if (options.crud && (!modelAttributes || modelAttributes.length === 0)) {
+      if (options.crud && (!modelAttributes || modelAttributes.length === 0) && this.orm === "mongoose") {
+        logger().info("📋 Next steps for CRUD functionality:");
+        logger().info("   1. Manually update model schema with your document fields");
+        logger().info("   This will enable the generated CRUD operations to work with your database.");
+      } else if (options.crud && (!modelAttributes || modelAttributes.length === 0)) {
         logger().info("📋 Next steps for CRUD functionality:");
         logger().info("   1. Manually update migration files with your database schema");
         logger().info("   2. Manually update model files with your database attributes");
-        logger().info("   3. Run: npx sequelize-cli db:migrate");
+        logger().info(`   3. Run: ${this._getMigrateCommand(moduleName)}`);
         logger().info("   This will enable the generated CRUD operations to work with your database.");
       }
     } catch (error) {
@@ -421,20 +1037,291 @@ ${attributesString},
   }
 
   /**
-   * Generates a new middleware
-   * @param {string} middlewareName - Name of the middleware to generate
+   * Adds fields to the model, migration, DTO and list endpoint of an existing module
+   * @param {string} moduleName - Name of the module
+   * @param {string} attributesString - Fields in --model-attributes format (e.g., "phone:string?,score:integer")
    */
-  _generateMiddleware(middlewareName) {
+  _generateFields(moduleName, attributesString) {
     try {
-      // Validate middleware name
-      middlewareHelper._generateMiddleware(
-        middlewareName,
+      moduleHelper._validateModuleName(moduleName);
+
+      if (!dbHelper._getSupportedOrms().includes(this.orm)) {
+        throw new Error("gen:field requires an ORM, run 'sargen gen:db' command first");
+      }
+
+      const modelAttributes = moduleHelper._parseModelAttributes(attributesString);
+      if (modelAttributes.some((attr) => attr.association)) {
+        throw new Error("Relationships can't be added with gen:field, use ref(model) for foreign key columns");
+      }
+
+      const existingFields = fieldHelper._getExistingFields(
         this.projectPath,
-        this.structure
+        this.structure,
+        this.orm,
+        moduleName,
+        modelAttributes
       );
-    } catch (error) {
-      logger().error(`Error generating middleware: ${error.message}`);
-      process.exit(1);
+      if (!existingFields) {
+        throw new Error(`Model of module '${moduleName}' not found, generate it with 'sargen gen:module ${moduleName}' first`);
+      }
+      existingFields.forEach((attr) =>
+        logger().warn(`⚠️  Field '${attr.name}' already exists in ${moduleName} model, skipping.`)
+      );
+
+      const newAttributes = modelAttributes.filter((attr) => !existingFields.includes(attr));
+      if (newAttributes.length === 0) {
+        logger().warn("No new fields to add.");
+        return;
+      }
+      const fieldNames = newAttributes.map((attr) => attr.name);
+      const migrationName = `add-${fieldNames.join("-")}-to-${moduleName}`;
+      logger().verbose(`Parsed model attributes: ${JSON.stringify(newAttributes)}`);
+
+      // Recorded module files which are unchanged before the fields are added are recorded again afterwards
+      const unchangedFiles = sargenHelper._getUnchangedArtifactFiles(this.projectPath, "modules", moduleName);
+
+      if (fieldHelper._patchModel(this.projectPath, this.structure, this.orm, moduleName, newAttributes)) {
+        logger().success(`Added ${fieldNames.join(", ")} to ${moduleName} model`);
+      }
+
+      if (this.orm === "prisma") {
+        this._generatePrismaClient();
+      } else if (this.orm !== "mongoose") {
+        logger().verbose(`Generating migration file for ${moduleName}...`);
+        this._generateAddColumnsMigration(moduleName, migrationName, newAttributes);
+      }
+
+      if (fieldHelper._patchDto(this.projectPath, this.structure, this.orm, moduleName, newAttributes)) {
+        logger().success(`Added ${fieldNames.join(", ")} to ${moduleName} DTO`);
+      }
+
+      if (fieldHelper._patchService(this.projectPath, this.structure, this.orm, moduleName, newAttributes)) {
+        logger().verbose(`Added ${fieldNames.join(", ")} to ${moduleName} list endpoint fields`);
+      }
+
+      // Documentation is only refreshed when it was generated before
+      if (fileHelper._exists(path.join(this.projectPath, "openapi.json"))) {
+        docsHelper._generateDocs(this.projectPath, this.projectName, this.structure, this.orm);
+        logger().success("Updated openapi.json");
+      }
+
+      sargenHelper._updateArtifactFiles(this.projectPath, "modules", moduleName, unchangedFiles);
+
+      // New fields and their migration are recorded with the module
+      const recordedModule = sargenHelper._isSargenProject().modules?.[moduleName];
+      if (recordedModule) {
+        sargenHelper._recordArtifact(this.projectPath, "modules", moduleName, {
+          options: {
+            ...recordedModule.options,
+            attributes: [...(recordedModule.options?.attributes || []), ...fieldNames],
+          },
+          files: [this._getLatestMigrationFile(migrationName)].filter(Boolean),
+        });
+      }
+      logger().success(`Fields added to module '${moduleName}' successfully!`);
+
+      if (this.orm !== "mongoose") {
+        newAttributes
+          .filter((attr) => !attr.allowNull && attr.defaultValue === undefined)
+          .forEach((attr) =>
+            logger().warn(
+              `⚠️  '${attr.name}' is required without default value, the migration fails if ${moduleName} has rows.`
+            )
+          );
+        logger().info("📋 Next steps for database migration:");
+        logger().info(`   Run: ${this._getMigrateCommand(moduleName, migrationName)}`);
+      }
+    } catch (error) {
+      logger().error(`Error adding fields: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generates modules defined in a schema file (YAML or JSON) in dependency order
+   * @param {string} schemaFile - Path of the schema file (e.g., sargen.schema.yml)
+   * @param {string} moduleName - Generate only this module of the schema (optional)
+   * @param {Object} options - gen:module options, used when a schema module doesn't set crud, model or pagination
+   */
+  _generateModulesFromSchema(schemaFile, moduleName, options = {}) {
+    try {
+      if (options.modelAttributes) {
+        throw new Error("Use either --from-schema or --model-attributes");
+      }
+
+      if (!dbHelper._getSupportedOrms().includes(this.orm)) {
+        throw new Error("--from-schema requires an ORM, run 'sargen gen:db' command first");
+      }
+
+      const schemaPath = path.resolve(schemaFile);
+      const modules = schemaHelper._loadSchema(schemaPath, moduleName ? [moduleName] : []);
+
+      // Existing modules are skipped, so the schema can be extended and generated again
+      const newModules = modules.filter((module) => {
+        try {
+          moduleHelper._validateModuleNotExists(
+            this.structure,
+            this.projectPath,
+            module.name,
+            (module.options.model ?? options.model) === false,
+            this.orm
+          );
+          return true;
+        } catch (error) {
+          logger().warn(`⚠️  Skipping '${module.name}': ${error.message}`);
+          return false;
+        }
+      });
+
+      if (newModules.length === 0) {
+        logger().info(`No new modules to generate from ${path.basename(schemaPath)}`);
+        return;
+      }
+
+      logger().info(
+        `Generating ${newModules.length} module(s) from ${path.basename(schemaPath)}: ${newModules.map((module) => module.name).join(", ")}`
+      );
+
+      newModules.forEach((module) => {
+        this._generateModule(module.name, {
+          ...options,
+          crud: module.options.crud ?? options.crud,
+          model: module.options.model ?? options.model,
+          pagination: module.options.pagination ?? options.pagination,
+          schemaAttributes: module.attributes,
+        });
+      });
+    } catch (error) {
+      logger().error(`Error generating modules from schema: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generates modules from an OpenAPI 3 specification, one module per tag or resource with
+   * routes & controller stubs of its operations, DTOs of request bodies and models of component schemas
+   * @param {string} specFile - Path of the specification (e.g., api.yaml)
+   * @param {Object} options - gen:openapi options (model)
+   */
+  _generateModulesFromOpenapi(specFile, options = {}) {
+    try {
+      const specPath = path.resolve(specFile);
+      const hasOrm = dbHelper._getSupportedOrms().includes(this.orm);
+      const modules = openapiHelper._loadSpec(specPath, this.orm);
+
+      // Existing modules are skipped, so the specification can be extended and generated again
+      const newModules = modules.filter((module) => {
+        try {
+          moduleHelper._validateModuleNotExists(
+            this.structure,
+            this.projectPath,
+            module.name,
+            !(options.model && hasOrm && module.schemaName),
+            this.orm
+          );
+          return true;
+        } catch (error) {
+          logger().warn(`⚠️  Skipping '${module.name}': ${error.message}`);
+          return false;
+        }
+      });
+
+      if (newModules.length === 0) {
+        logger().info(`No new modules to generate from ${path.basename(specPath)}`);
+        return;
+      }
+
+      logger().info(
+        `Generating ${newModules.length} module(s) from ${path.basename(specPath)}: ${newModules.map((module) => module.name).join(", ")}`
+      );
+
+      newModules.forEach((module) => {
+        const model = Boolean(options.model && hasOrm && module.schemaName);
+        if (model) {
+          logger().verbose(`Generating ${module.name} model from component schema ${module.schemaName}...`);
+        }
+
+        // Modular app.js mounts module routes by module name
+        if (this.structure === "modular" && module.mountPath !== `/${module.name}`) {
+          logger().warn(
+            `⚠️  '${module.name}' routes are served at /api/v1/${module.name} (modular structure), specification paths start with ${module.mountPath}`
+          );
+        }
+
+        this._generateModule(module.name, {
+          model,
+          schemaAttributes: model ? module.attributes : undefined,
+          operations: module.operations,
+          mountPath: module.mountPath,
+        });
+      });
+
+      if (options.model && !hasOrm && newModules.some((module) => module.schemaName)) {
+        logger().info("📋 Models were not generated, run 'sargen gen:db' first to generate models from component schemas");
+      }
+
+      const hasRequestBodies = newModules.some((module) =>
+        module.operations.some((operation) => operation.dtoName)
+      );
+      if (hasRequestBodies && !middlewareHelper._getValidatorPaths(this.projectPath, this.structure)) {
+        logger().info("📋 DTOs were not generated, run 'sargen gen:middleware validator' first to validate request bodies");
+      }
+    } catch (error) {
+      logger().error(`Error generating modules from OpenAPI specification: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generates openapi.json from route files, DTOs and models, optionally served by Swagger UI at /api-docs
+   * @param {Object} options - gen:docs options (swagger)
+   */
+  _generateDocs(options = {}) {
+    try {
+      logger().info("Generating OpenAPI documentation...");
+      const { operations, added, removed } = docsHelper._generateDocs(
+        this.projectPath,
+        this.projectName,
+        this.structure,
+        this.orm
+      );
+
+      if (operations === 0) {
+        logger().warn("⚠️  No routes found, generate modules first with 'sargen gen:module'");
+      }
+      logger().success(
+        `openapi.json generated with ${operations} operation(s) (${added} added, ${removed} removed)`
+      );
+
+      if (options.swagger) {
+        npmHelper._addUpdateDependencies(this.projectPath, ["swagger-ui-express"]);
+        if (docsHelper._addSwaggerUi(this.projectPath)) {
+          logger().success("Swagger UI mounted in app.js");
+        }
+        logger().info("📋 API documentation is served at http://localhost:<PORT>/api-docs");
+      }
+    } catch (error) {
+      logger().error(`Error generating documentation: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generates a new middleware
+   * @param {string} middlewareName - Name of the middleware to generate
+   */
+  _generateMiddleware(middlewareName) {
+    try {
+      // Validate middleware name
+      const files = middlewareHelper._generateMiddleware(
+        middlewareName,
+        this.projectPath,
+        this.structure
+      );
+      sargenHelper._recordArtifact(this.projectPath, "middlewares", middlewareName, { files });
+    } catch (error) {
+      logger().error(`Error generating middleware: ${error.message}`);
+      process.exit(1);
     }
   }
 
@@ -448,7 +1335,7 @@ ${attributesString},
    */
   async _generateUtilService(utilName, options = {}) {
     try {
-      await utilHelper._generateUtil(
+      const files = await utilHelper._generateUtil(
         utilName,
         this.projectPath,
         this.structure,
@@ -456,6 +1343,13 @@ ${attributesString},
         options.cloudProvider,
         options.force
       );
+      sargenHelper._recordArtifact(this.projectPath, "utils", utilName, {
+        options: {
+          ...(options.docker && { docker: true }),
+          ...(options.cloudProvider && { cloud: options.cloudProvider }),
+        },
+        files,
+      });
     } catch (error) {
       logger().error(`Error generating util: ${error.message}`);
       process.exit(1);
@@ -476,13 +1370,66 @@ ${attributesString},
   }
 }
 
+/**
+ * Database class to run migrations and seeds of a sargen project
+ */
+class Database {
+  constructor() {
+    try {
+      // Validate sargen project
+      let metadata = sargenHelper._isSargenProject();
+      this.projectPath = metadata.projectPath;
+      this.structure = metadata.structure;
+      this.orm = metadata?.dbConf?.orm || "";
+      this.adapter = metadata?.dbConf?.adapter || "";
+    } catch (error) {
+      logger().error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Runs a database task using the ORM configured in .sargen.json
+   * @param {string} task - Database task (migrate, rollback, status, seed or reset)
+   * @param {Object} options - Command options
+   * @param {string} [options.env] - Environment to run against (default: NODE_ENV or development)
+   * @param {string} [options.steps] - Number of migrations to roll back
+   * @param {string} [options.name] - Migration name (Prisma)
+   */
+  _runTask(task, options = {}) {
+    try {
+      if (!this.orm) {
+        throw new Error("Database is not configured, run 'sargen gen:db' first");
+      }
+
+      const steps = parseInt(options.steps || 1);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("--steps must be a positive number");
+      }
+
+      dbHelper._runDatabaseTask(task, {
+        orm: this.orm,
+        adapter: this.adapter,
+        projectPath: this.projectPath,
+        structure: this.structure,
+        nodeEnv: options.env || process.env.NODE_ENV || "development",
+        steps,
+        name: options.name,
+      });
+    } catch (error) {
+      logger().error(`Error running db:${task}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
 /**
  * Setup class to handle sargen.json creation for existing projects
  */
 class Setup {
   constructor() {
-    this.projectName = path.basename(process.cwd());
-    this.projectPath = process.cwd();
+    this.projectName = path.basename(fileHelper._getWorkingDirectory());
+    this.projectPath = fileHelper._getWorkingDirectory();
   }
 
   /**
@@ -493,23 +1440,23 @@ class Setup {
     try {
       // Check for layered structure indicators
       const layeredIndicators = {
-        hasRoutesDir: fs.existsSync(
+        hasRoutesDir: fileHelper._exists(
           path.join(this.projectPath, "src", "routes")
         ),
-        hasControllersDir: fs.existsSync(
+        hasControllersDir: fileHelper._exists(
           path.join(this.projectPath, "src", "controllers")
         ),
-        hasServicesDir: fs.existsSync(
+        hasServicesDir: fileHelper._exists(
           path.join(this.projectPath, "src", "services")
         ),
       };
 
       // Check for modular structure indicators
       const modularIndicators = {
-        hasModulesDir: fs.existsSync(
+        hasModulesDir: fileHelper._exists(
           path.join(this.projectPath, "src", "modules")
         ),
-        hasCommonDir: fs.existsSync(
+        hasCommonDir: fileHelper._exists(
           path.join(this.projectPath, "src", "common")
         ),
       };
@@ -542,14 +1489,14 @@ class Setup {
   _validateNodeProject() {
     const packageJsonPath = path.join(this.projectPath, "package.json");
     
-    if (!fs.existsSync(packageJsonPath)) {
+    if (!fileHelper._exists(packageJsonPath)) {
       logger().error("No package.json found in the current directory.");
       logger().error("Please run this command from the root of your Node.js project.");
       process.exit(1);
     }
 
     try {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+      const packageJson = JSON.parse(fileHelper._read(packageJsonPath, "utf8"));
       
       // Check if it has basic Node.js project structure
       if (!packageJson.name) {
@@ -558,13 +1505,6 @@ class Setup {
         process.exit(1);
       }
 
-      // Check for ESModule compatibility
-      if (packageJson.type === "module") {
-        logger().error("SargenJS setup is not compatible with ESModule projects.");
-        logger().error("Please use a CommonJS project (without 'type: module' in package.json).");
-        process.exit(1);
-      }
-
       // Check for Express.js dependency
       const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
       if (!dependencies.express) {
@@ -585,12 +1525,12 @@ class Setup {
       }
 
       // Check for basic Express.js project structure
-      const hasAppFile = fs.existsSync(path.join(this.projectPath, "app.js")) || 
-                        fs.existsSync(path.join(this.projectPath, "server.js")) ||
-                        fs.existsSync(path.join(this.projectPath, "index.js"));
+      const hasAppFile = ["app", "server", "index"].some((name) =>
+        [".js", ".ts"].some((extension) => fileHelper._exists(path.join(this.projectPath, `${name}${extension}`)))
+      );
       
       if (!hasAppFile) {
-        logger().warn("No main application file found (app.js, server.js, or index.js).");
+        logger().warn("No main application file found (app, server or index .js/.ts).");
         logger().warn("SargenJS works best with standard Express.js project structure.");
       }
 
@@ -614,7 +1554,7 @@ class Setup {
 
       // Check if .sargen.json already exists
       const sargenPath = path.join(this.projectPath, ".sargen.json");
-      if (fs.existsSync(sargenPath)) {
+      if (fileHelper._exists(sargenPath)) {
         logger().error("A .sargen.json file already exists in this directory.");
         process.exit(1);
       }
@@ -626,9 +1566,25 @@ class Setup {
       // Fetch database configuration from package.json
       let dbConf = dbHelper._fetchDbConf();
 
+      // gen:* commands write TypeScript files in projects with a tsconfig.json
+      const language = fileHelper._exists(path.join(this.projectPath, "tsconfig.json")) ? "typescript" : "javascript";
+      logger().verbose(`Detected project language: ${language}`);
+
+      // gen:* commands write import/export in JavaScript projects with "type": "module"
+      const packageJson = JSON.parse(fileHelper._read(path.join(this.projectPath, "package.json"), "utf8"));
+      let moduleSystem = "commonjs";
+      if (packageJson.type === "module") {
+        if (language === "typescript") {
+          logger().warn("ES module TypeScript projects are not supported, files are generated for CommonJS output.");
+        } else {
+          moduleSystem = "esm";
+        }
+      }
+      logger().verbose(`Detected module system: ${moduleSystem}`);
+
       // Create .gitignore file if it doesn't exist
       const gitignorePath = path.join(this.projectPath, ".gitignore");
-      if (!fs.existsSync(gitignorePath)) {
+      if (!fileHelper._exists(gitignorePath)) {
         gitHelper._createGitignore(this.projectPath);
       }
 
@@ -639,6 +1595,8 @@ class Setup {
         structure: structure,
         newApp: false,
         dbConf,
+        language,
+        moduleSystem,
       });
 
       logger().success(
@@ -652,4 +1610,475 @@ class Setup {
   }
 }
 
-export { Builder, Generate, Setup };
+/**
+ * Export class to export the project API to other tools
+ */
+class Export {
+  constructor() {
+    try {
+      // Validate sargen project
+      let metadata = sargenHelper._isSargenProject();
+      this.projectName = metadata.projectName;
+      this.projectPath = metadata.projectPath;
+      this.structure = metadata.structure;
+      this.orm = metadata?.dbConf?.orm || "";
+    } catch (error) {
+      logger().error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Exports a Postman collection of the project routes and an environment with baseUrl
+   * (and a bearer token variable when the auth middleware exists)
+   * @param {Object} options - export:postman options
+   * @param {string} [options.output] - Output directory (default: project root)
+   */
+  _exportPostman(options = {}) {
+    try {
+      // Summaries and examples edited in openapi.json (sargen gen:docs) are used when it exists
+      const specPath = path.join(this.projectPath, "openapi.json");
+      const generatedSpec = docsHelper._buildSpec(this.projectPath, this.projectName, this.structure, this.orm);
+      const spec = fileHelper._exists(specPath)
+        ? docsHelper._mergeSpec(generatedSpec, JSON.parse(fileHelper._read(specPath, "utf8")))
+        : generatedSpec;
+      if (Object.keys(spec.paths).length === 0) {
+        throw new Error("No routes found, generate modules first with 'sargen gen:module'");
+      }
+
+      const authFile = middlewareHelper
+        ._fetchMiddlewareConfig("auth", this.structure)
+        .files.find((file) => file.name.endsWith("authMiddleware.js"));
+      const hasAuth = fileHelper._exists(
+        path.join(this.projectPath, languageHelper._getSourceFile(this.projectPath, authFile.name))
+      );
+
+      // Base URL uses the PORT of .env (app.js defaults to 3000)
+      const envPath = path.join(this.projectPath, ".env");
+      const port =
+        (fileHelper._exists(envPath) && fileHelper._read(envPath, "utf8").match(/^PORT=["']?(\d+)/m)?.[1]) || "3000";
+
+      const outputPath = path.resolve(this.projectPath, options.output || ".");
+      fileHelper._makeDir(outputPath);
+
+      const collectionPath = path.join(outputPath, `${this.projectName}.postman_collection.json`);
+      const environmentPath = path.join(outputPath, `${this.projectName}.postman_environment.json`);
+      fileHelper._write(
+        collectionPath,
+        `${JSON.stringify(postmanHelper._buildCollection(spec, this.projectName, hasAuth), null, 2)}\n`
+      );
+      fileHelper._write(
+        environmentPath,
+        `${JSON.stringify(
+          postmanHelper._buildEnvironment(this.projectName, `http://localhost:${port}/api/v1`, hasAuth),
+          null,
+          2
+        )}\n`
+      );
+
+      logger().success(`Postman collection exported: ${path.relative(fileHelper._getWorkingDirectory(), collectionPath) || collectionPath}`);
+      logger().success(`Postman environment exported: ${path.relative(fileHelper._getWorkingDirectory(), environmentPath) || environmentPath}`);
+      logger().info("📋 Import both files in Postman (or the collection in Insomnia) and select the environment");
+      if (hasAuth) {
+        logger().info("   Set the 'token' environment variable to a JWT, requests send it as Bearer token");
+      }
+    } catch (error) {
+      logger().error(`Error exporting Postman collection: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+/**
+ * Destroy class to remove generated artifacts from the project
+ */
+class Destroy {
+  constructor() {
+    try {
+      // Validate sargen project
+      let metadata = sargenHelper._isSargenProject();
+      this.projectName = metadata.projectName;
+      this.projectPath = metadata.projectPath;
+      this.structure = metadata.structure;
+      this.orm = metadata?.dbConf?.orm || "";
+      this.modules = metadata.modules || {};
+    } catch (error) {
+      logger().error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Removes a module generated by gen:module: its files, route registration, associations and Prisma model,
+   * optionally with a migration dropping its table. Changes are listed before they are applied
+   * @param {string} moduleName - Name of the module
+   * @param {Object} options - destroy options
+   * @param {boolean} [options.migration] - Generate a migration dropping the table
+   * @param {boolean} [options.dryRun] - Only list the changes
+   * @param {boolean} [options.force] - Skip confirmation
+   */
+  async _destroyModule(moduleName, options = {}) {
+    try {
+      moduleHelper._validateModuleName(moduleName);
+
+      const recordedModule = this.modules[moduleName];
+      const { changes, references } = destroyHelper._getModuleChanges(
+        this.projectPath,
+        this.structure,
+        this.orm,
+        moduleName,
+        Object.keys(recordedModule?.files || {})
+      );
+      if (!changes.some((change) => change.action === "remove")) {
+        throw new Error(`Module '${moduleName}' not found`);
+      }
+
+      // Files changed by hand since the module was generated are flagged
+      const modifiedFiles = recordedModule
+        ? sargenHelper
+            ._getArtifactFilesStatus(this.projectPath, recordedModule)
+            .filter(({ status }) => status === "modified")
+            .map(({ file }) => file)
+        : [];
+      changes
+        .filter(
+          (change) =>
+            change.action === "remove" &&
+            modifiedFiles.some((file) => file === change.file || file.startsWith(`${change.file}/`))
+        )
+        .forEach((change) => (change.detail = "modified since generated"));
+
+      const migrationsPath =
+        this.structure === "layered"
+          ? path.join(this.projectPath, "src", "migrations")
+          : path.join(this.projectPath, "src", "common", "migrations");
+      if (options.migration && ["sequelize", "typeorm"].includes(this.orm)) {
+        const junctionTables =
+          this.orm === "sequelize" ? destroyHelper._getJunctionTables(this.projectPath, this.structure, moduleName) : [];
+        const migrations = destroyHelper._getTableMigrations(migrationsPath, moduleName, junctionTables);
+        if (migrations.length === 0) {
+          logger().warn(`⚠️  No migration creating '${moduleName}' found, rolling back the drop migration won't restore the table.`);
+        }
+
+        changes.push({
+          action: "create",
+          file: `${path.relative(this.projectPath, migrationsPath)}/<timestamp>-drop-${moduleName}.js`,
+          apply: () => this._generateDropMigration(migrationsPath, moduleName, migrations, junctionTables),
+        });
+      }
+
+      // Documentation drops the routes of removed modules when regenerated
+      if (fileHelper._exists(path.join(this.projectPath, "openapi.json"))) {
+        changes.push({
+          action: "update",
+          file: "openapi.json",
+          detail: "routes",
+          apply: () => {
+            docsHelper._removeModule(this.projectPath, moduleName);
+            docsHelper._generateDocs(this.projectPath, this.projectName, this.structure, this.orm);
+          },
+        });
+      }
+
+      if (recordedModule) {
+        changes.push({
+          action: "update",
+          file: ".sargen.json",
+          detail: "modules",
+          apply: () => sargenHelper._removeArtifact(this.projectPath, "modules", moduleName),
+        });
+      }
+
+      logger().info(`Destroying module '${moduleName}':`);
+      changes.forEach((change) =>
+        logger().info(`   ${change.action.padEnd(6)} ${change.file}${change.detail ? ` (${change.detail})` : ""}`)
+      );
+      references.forEach((file) =>
+        logger().warn(`⚠️  ${file} still references '${moduleName}', remove its foreign keys/relations manually.`)
+      );
+
+      if (options.dryRun) {
+        logger().info("Dry run, no changes made.");
+        return;
+      }
+
+      if (!options.force) {
+        if (!process.stdin.isTTY) {
+          throw new Error("Confirmation required, run again with --force to destroy the module");
+        }
+        if (!(await cliHelper._confirm(`Destroy module '${moduleName}'? (y/N) `))) {
+          logger().warn("Aborted, no changes made.");
+          return;
+        }
+      }
+
+      changes.forEach((change) => change.apply());
+      logger().success(`Module '${moduleName}' destroyed successfully!`);
+
+      if (options.migration && ["sequelize", "typeorm"].includes(this.orm)) {
+        logger().info("📋 Next steps for database migration:");
+        logger().info("   Run: sargen db:migrate");
+        logger().info(`   This will drop the ${moduleName} table.`);
+      } else if (this.orm === "prisma") {
+        logger().info("📋 Next steps for database migration:");
+        logger().info(`   Run: sargen db:migrate --name drop-${moduleName}`);
+      } else if (["sequelize", "typeorm"].includes(this.orm)) {
+        logger().info(`📋 The ${moduleName} table is kept, run again with --migration to drop it.`);
+      } else if (this.orm === "mongoose") {
+        logger().info(`📋 The ${moduleName} collection is kept in the database.`);
+      }
+    } catch (error) {
+      logger().error(`Error destroying module: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generates the migration dropping the table of a module, rolling it back re-runs the migrations which created it
+   * @param {string} migrationsPath - Migrations directory
+   * @param {string} moduleName - Name of the module
+   * @param {Array} migrations - Migrations which created and altered the table
+   * @param {Array} [junctionTables] - Junction tables of Sequelize many-to-many associations, dropped first
+   */
+  _generateDropMigration(migrationsPath, moduleName, migrations, junctionTables = []) {
+    try {
+      if (this.orm === "typeorm") {
+        // TypeORM reads the migration timestamp from the end of the class name
+        const timestamp = Date.now();
+        const className = `Drop${moduleName.charAt(0).toUpperCase() + moduleName.slice(1)}${timestamp}`;
+        const fileName = `${timestamp}-drop-${moduleName}.js`;
+
+        fileHelper._write(
+          path.join(migrationsPath, fileName),
+          destroyHelper._getTypeormDropMigrationContent(moduleName, className, migrations)
+        );
+        logger().success(`Created migration file: ${fileName}`);
+        return;
+      }
+
+      const migrationFile = dbHelper._writeSequelizeMigration(
+        migrationsPath,
+        `drop-${moduleName}`,
+        destroyHelper._getDropMigrationContent(moduleName, migrations, junctionTables)
+      );
+      logger().success(`Created migration file: ${migrationFile}`);
+    } catch (error) {
+      logger().error(`Error generating migration: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Inventory class to list the artifacts generated in the project
+ */
+class Inventory {
+  constructor() {
+    try {
+      // Validate sargen project
+      this.metadata = sargenHelper._isSargenProject();
+      this.projectPath = this.metadata.projectPath;
+    } catch (error) {
+      logger().error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Lists the artifacts recorded in .sargen.json with the number of files changed since their generation
+   * @param {Object} options - list options
+   * @param {boolean} [options.json] - Print the artifacts as JSON
+   */
+  _listArtifacts(options = {}) {
+    try {
+      const artifacts = sargenHelper._getArtifacts(this.projectPath, this.metadata);
+      if (options.json) {
+        console.log(JSON.stringify(artifacts, null, 2));
+        return;
+      }
+
+      logger().info(this._getProjectSummary());
+      if (artifacts.length === 0) {
+        logger().info("No generated artifacts recorded in .sargen.json yet.");
+        return;
+      }
+
+      const nameWidth = Math.max(...artifacts.map((artifact) => artifact.name.length));
+      [...new Set(artifacts.map((artifact) => artifact.label))].forEach((label) => {
+        const typeArtifacts = artifacts.filter((artifact) => artifact.label === label);
+        logger().info(`${label.charAt(0).toUpperCase() + label.slice(1)}s (${typeArtifacts.length}):`);
+        typeArtifacts.forEach((artifact) => {
+          const details = [this._formatOptions(artifact.options), this._formatFilesStatus(artifact.files)];
+          logger().info(`   ${artifact.name.padEnd(nameWidth)}  ${details.filter(Boolean).join("  ")}`);
+        });
+      });
+    } catch (error) {
+      logger().error(`Error listing artifacts: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Shows the details of a recorded artifact (options, template version and status of each file),
+   * the project details when no name is given
+   * @param {string} [name] - Name of the artifact
+   * @param {Object} options - info options
+   * @param {boolean} [options.json] - Print the details as JSON
+   */
+  _showInfo(name, options = {}) {
+    try {
+      const artifacts = sargenHelper._getArtifacts(this.projectPath, this.metadata);
+      const sargenVersion = sargenHelper._getSargenVersion();
+
+      if (!name) {
+        if (options.json) {
+          console.log(JSON.stringify({ ...this.metadata, sargenVersion }, null, 2));
+          return;
+        }
+
+        logger().info(this._getProjectSummary());
+        logger().info(`   Path: ${this.projectPath}`);
+        logger().info(`   Created: ${this.metadata.createdAt || "unknown"}`);
+        logger().info(`   Sargen version: ${sargenVersion}`);
+        logger().info(`   Artifacts: ${artifacts.length}, run 'sargen list' to list them`);
+        return;
+      }
+
+      // A name can be recorded with several types (e.g., redis util and Docker service)
+      const matches = artifacts.filter((artifact) => artifact.name === name);
+      if (matches.length === 0) {
+        throw new Error(`'${name}' is not recorded in .sargen.json, run 'sargen list' to list the artifacts`);
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(matches.length === 1 ? matches[0] : matches, null, 2));
+        return;
+      }
+
+      matches.forEach((artifact) => {
+        logger().info(`${artifact.name} (${artifact.label})`);
+        logger().info(`   Options: ${this._formatOptions(artifact.options) || "none"}`);
+        logger().info(
+          `   Template version: ${artifact.templateVersion}${
+            artifact.templateVersion !== sargenVersion ? ` (installed sargen: ${sargenVersion})` : ""
+          }`
+        );
+        logger().info(`   Created: ${artifact.createdAt}`);
+        if (artifact.updatedAt) {
+          logger().info(`   Updated: ${artifact.updatedAt}`);
+        }
+        logger().info(`   Files: ${this._formatFilesStatus(artifact.files) || "none"}`);
+        artifact.files.forEach(({ file, status }) => logger().info(`      ${status.padEnd(9)}  ${file}`));
+      });
+    } catch (error) {
+      logger().error(`Error showing info: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Gets the summary line of the project: name, structure and database
+   * @returns {string} Project summary
+   */
+  _getProjectSummary() {
+    const { projectName, structure, dbConf } = this.metadata;
+    const database = dbConf?.orm ? `, ${dbConf.orm}${dbConf.adapter ? `/${dbConf.adapter}` : ""}` : "";
+    return `${projectName} (${structure}${database})`;
+  }
+
+  /**
+   * Formats recorded generation options (e.g., "crud, pagination: cursor")
+   * @param {Object} options - Generation options
+   * @returns {string} Formatted options, empty string when no option is set
+   */
+  _formatOptions(options = {}) {
+    return Object.entries(options)
+      .filter(([, value]) => value !== false && value !== undefined && value !== null)
+      .map(([key, value]) => (value === true ? key : `${key}: ${[].concat(value).join(", ")}`))
+      .join(", ");
+  }
+
+  /**
+   * Formats the number of files of an artifact with the modified & missing ones (e.g., "5 files, 1 modified")
+   * @param {Array} files - Files as { file, status }
+   * @returns {string} Formatted status, empty string when the artifact has no files
+   */
+  _formatFilesStatus(files) {
+    if (files.length === 0) {
+      return "";
+    }
+
+    const count = (status) => files.filter((file) => file.status === status).length;
+    return [
+      `${files.length} file${files.length === 1 ? "" : "s"}`,
+      ...["modified", "missing"].filter((status) => count(status) > 0).map((status) => `${count(status)} ${status}`),
+    ].join(", ");
+  }
+}
+
+/**
+ * Templates class to customize the templates of a sargen project
+ */
+class Templates {
+  constructor() {
+    try {
+      // Validate sargen project
+      sargenHelper._isSargenProject();
+      this.templatesPath = templateHelper._getProjectTemplatesPath(fileHelper._getWorkingDirectory());
+    } catch (error) {
+      logger().error(error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Copies a built-in template (or every template of a directory) to the project templates directory,
+   * the copies are used instead of the built-in templates by gen:* commands
+   * @param {string} name - Template path (e.g., module/cruds/crud.methods.js or module/cruds) or part of it
+   * @param {Object} options - templates:eject options
+   * @param {boolean} [options.force] - Overwrite templates already ejected
+   */
+  _ejectTemplate(name, options = {}) {
+    try {
+      const templateName = name.replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+      let templates = templateHelper._getBuiltInTemplates(templateName);
+      if (templates.length === 0) {
+        const matches = templateHelper._findBuiltInTemplates(templateName);
+        if (matches.length !== 1) {
+          throw new Error(
+            matches.length === 0
+              ? `Template not found: ${name}, use a path of lib/templates (e.g., module/cruds/crud.methods.js)`
+              : `Template name ${name} matches several templates, use one of: ${matches.join(", ")}`
+          );
+        }
+        templates = matches;
+      }
+
+      const relativePath = (file) => path.relative(fileHelper._getWorkingDirectory(), file);
+      let ejected = 0;
+      templates.forEach((template) => {
+        const targetPath = path.join(this.templatesPath, template);
+        if (fileHelper._exists(targetPath) && !options.force) {
+          logger().warn(`Skipped ${relativePath(targetPath)}: already ejected, use --force to overwrite it`);
+          return;
+        }
+
+        fileHelper._makeDir(path.dirname(targetPath));
+        fileHelper._copy(templateHelper._getBuiltInTemplatePath(template), targetPath);
+        logger().success(`Ejected template: ${relativePath(targetPath)}`);
+        ejected++;
+      });
+
+      if (ejected > 0) {
+        logger().info(
+          `Edit the ejected template${ejected > 1 ? "s" : ""} to customize generated files, template variables use lodash syntax (<%= moduleName %>)`
+        );
+        logger().info("Delete an ejected template to use the built-in one again");
+      }
+    } catch (error) {
+      logger().error(`Error ejecting template: ${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+export { Builder, Generate, Database, Setup, Export, Destroy, Inventory, Templates };
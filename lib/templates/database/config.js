@@ -0,0 +1,41 @@
+const path = require("path");
+
+// Load environment variables when used outside of app.js (i.e. sequelize-cli)
+// Development settings live in .env
+const environmentFile =
+  process.env.NODE_ENV && process.env.NODE_ENV !== "development"
+    ? ".env." + process.env.NODE_ENV
+    : ".env";
+
+require("dotenv").config({
+  path: path.resolve(__dirname, "<%= rootPath %>", environmentFile),
+});
+
+/**
+ * Database configuration
+ * Values are read from DB_* keys of .env, .env.test and .env.production files
+ */
+<% if (dialect === "sqlite") { %>const storage = path.resolve(
+  __dirname,
+  "<%= rootPath %>",
+  process.env.DB_STORAGE || "database/database_development.sqlite"
+);
+
+const dbConfig = {
+  dialect: "sqlite",
+  storage,
+  logging: false,
+};<% } else { %>const dbConfig = {
+  username: process.env.DB_USER,
+  password: process.env.DB_PASSWORD || null,
+  database: process.env.DB_NAME,
+  host: process.env.DB_HOST,
+  port: parseInt(process.env.DB_PORT) || <%= port %>,
+  dialect: "<%= dialect %>",
+};<% } %>
+
+module.exports = {
+  development: dbConfig,
+  test: dbConfig,
+  production: dbConfig,
+};
@@ -0,0 +1,34 @@
+const path = require("path");
+const { DataSource } = require("typeorm");
+
+// Load environment variables when used outside of app.js (i.e. TypeORM CLI)
+// Development settings live in .env
+const environmentFile =
+  process.env.NODE_ENV && process.env.NODE_ENV !== "development"
+    ? ".env." + process.env.NODE_ENV
+    : ".env";
+
+require("dotenv").config({
+  path: path.resolve(__dirname, "../..", environmentFile),
+});
+
+/**
+ * TypeORM Data Source
+ * Entities (EntitySchema) and migrations are loaded from their directories
+ */
+const AppDataSource = new DataSource({
+  type: "<%= type %>",
+  host: process.env.DB_HOST || "127.0.0.1",
+  port: parseInt(process.env.DB_PORT) || <%= port %>,
+  username: process.env.DB_USER || "root",
+  password: process.env.DB_PASSWORD || undefined,
+  database:
+    process.env.DB_NAME ||
+    "database_" + (process.env.NODE_ENV || "development"),
+  synchronize: false,
+  logging: false,
+  entities: [path.join(__dirname, "<%= entitiesPath %>")],
+  migrations: [path.join(__dirname, "<%= migrationsPath %>")],
+});
+
+module.exports = AppDataSource;
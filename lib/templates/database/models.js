@@ -0,0 +1,58 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Sequelize = require("sequelize");
+const basename = path.basename(__filename);
+const env = process.env.NODE_ENV || "development";
+const config = require(path.join(__dirname, "<%= configPath %>"))[env];
+const db = {};
+
+let sequelize;
+if (config.use_env_variable) {
+  sequelize = new Sequelize(process.env[config.use_env_variable], config);
+} else {
+  sequelize = new Sequelize(config.database, config.username, config.password, config);
+}
+
+/**
+ * Loads the models of a directory
+ * @param {string} modelsDir - Directory of the model files
+ */
+const loadModels = (modelsDir) => {
+  fs.readdirSync(modelsDir)
+    .filter(
+      (file) =>
+        file.indexOf(".") !== 0 &&
+        file !== basename &&
+        <% if (typescript) { %>[".js", ".ts"].includes(file.slice(-3)) &&
+        !file.endsWith(".d.ts") &&<% } else { %>file.slice(-3) === ".js" &&<% } %>
+        file.indexOf(".test.") === -1
+    )
+    .forEach((file) => {
+      const model = require(path.join(modelsDir, file))(sequelize, Sequelize.DataTypes);
+      db[model.name] = model;
+    });
+};
+
+loadModels(__dirname);
+<% if (modular) { %>
+// Models of the modules (src/modules/<module>/models)
+const modulesDir = path.join(__dirname, "..", "..", "modules");
+if (fs.existsSync(modulesDir)) {
+  fs.readdirSync(modulesDir)
+    .map((moduleName) => path.join(modulesDir, moduleName, "models"))
+    .filter((modelsDir) => fs.existsSync(modelsDir))
+    .forEach(loadModels);
+}
+<% } %>
+Object.keys(db).forEach((modelName) => {
+  if (db[modelName].associate) {
+    db[modelName].associate(db);
+  }
+});
+
+db.sequelize = sequelize;
+db.Sequelize = Sequelize;
+
+module.exports = db;
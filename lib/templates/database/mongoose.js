@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+/**
+ * Mongoose Connection
+ * Connection string is read from MONGODB_URI environment variable
+ * @returns {Promise<mongoose.Mongoose>} Mongoose instance once connected
+ */
+const connect = () => {
+  const uri =
+    process.env.MONGODB_URI ||
+    "<%= url %>/database_" + (process.env.NODE_ENV || "development");
+
+  return mongoose.connect(uri);
+};
+
+module.exports = { mongoose, connect };
@@ -0,0 +1,14 @@
+const { PrismaClient } = require("@prisma/client");
+
+// BigInt columns ("number" attributes) are not JSON serializable by default
+BigInt.prototype.toJSON = function () {
+  return this.toString();
+};
+
+/**
+ * Prisma Client
+ * Shared instance, run "npx prisma generate" after changing prisma/schema.prisma
+ */
+const prisma = new PrismaClient();
+
+module.exports = prisma;
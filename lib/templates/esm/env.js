@@ -0,0 +1,9 @@
+import dotenv from "dotenv";
+
+// Load environment variables dynamically based on NODE_ENV
+// Imported first by app.js, the modules it imports are evaluated after this one
+const environmentFile = process.env.NODE_ENV
+  ? ".env." + process.env.NODE_ENV
+  : ".env";
+
+dotenv.config({ path: environmentFile });
@@ -34,7 +34,7 @@ class ValidationService {
         if (fs.existsSync(dtoDir)) {
           this.scanForDTOs(dtoDir);
         }
-      } else if (item.isFile() && item.name.endsWith(".dto.js")) {
+      } else if (item.isFile() && item.name.endsWith(".dto" + path.extname(__filename))) {
         this.registerDTOFile(fullPath);
       }
     });
@@ -131,9 +131,9 @@ class ValidationService {
   }
 }
 
-valdiationService = new ValidationService();
+const validationService = new ValidationService();
 // bind the methods to the instance (preserving "this" context)
-valdiationService.validate = valdiationService.validate.bind(valdiationService);
-valdiationService.validateQuery =
-  valdiationService.validateQuery.bind(valdiationService);
-module.exports = valdiationService;
+validationService.validate = validationService.validate.bind(validationService);
+validationService.validateQuery =
+  validationService.validateQuery.bind(validationService);
+module.exports = validationService;
@@ -0,0 +1,140 @@
+import Validator from "fastest-validator";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+class ValidationService {
+  constructor() {
+    this.validator = new Validator();
+    this.compiledSchemas = new Map();
+  }
+
+  // Auto-register DTOs from <%= dtoPath %> and src/modules/*/dto
+  async autoRegisterDTOs() {
+    const projectRoot = process.cwd();
+    const dtoPaths = [path.join(projectRoot, "<%= dtoPath %>")];
+
+    for (const dtoPath of dtoPaths) {
+      if (fs.existsSync(dtoPath)) {
+        await this.scanForDTOs(dtoPath);
+      }
+    }
+  }
+
+  // Scan directory for DTO files
+  async scanForDTOs(dirPath) {
+    const items = fs.readdirSync(dirPath, { withFileTypes: true });
+
+    for (const item of items) {
+      const fullPath = path.join(dirPath, item.name);
+
+      if (item.isDirectory()) {
+        // Check for dto subdirectory in modules
+        const dtoDir = path.join(fullPath, "dto");
+        if (fs.existsSync(dtoDir)) {
+          await this.scanForDTOs(dtoDir);
+        }
+      } else if (item.isFile() && item.name.endsWith(".dto.js")) {
+        await this.registerDTOFile(fullPath);
+      }
+    }
+  }
+
+  // Register schemas from DTO file
+  async registerDTOFile(filePath) {
+    try {
+      const { default: dtoModule } = await import(pathToFileURL(filePath).href);
+
+      Object.entries(dtoModule).forEach(([schemaName, schema]) => {
+        // Check if schema name already exists
+        if (this.compiledSchemas.has(schemaName)) {
+          console.warn(
+            "Schema name '" +
+              schemaName +
+              "' already exists. Please use unique schema names across all DTO files."
+          );
+          return;
+        }
+
+        // Register schema with just the key name (no filename prefix)
+        this.registerSchema(schemaName, schema);
+      });
+    } catch (error) {
+      console.warn("Failed to register DTO file: " + filePath, error.message);
+    }
+  }
+
+  // Manual schema registration
+  registerSchema(name, schema) {
+    const compiled = this.validator.compile(schema);
+    this.compiledSchemas.set(name, compiled);
+    return compiled;
+  }
+
+  // Get compiled schema
+  getSchema(name) {
+    return this.compiledSchemas.get(name);
+  }
+
+  // Main validation middleware
+  validate(schemaName, options = {}) {
+    return (req, res, next) => {
+      const schema = this.getSchema(schemaName);
+      if (!schema) {
+        return res.status(500).json({
+          success: false,
+          message: "Validation schema '" + schemaName + "' not found",
+        });
+      }
+
+      req.body = req.body || {};
+      const result = schema(req.body, options);
+
+      if (result === true) {
+        req.validatedData = req.body;
+        next();
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: result,
+        });
+      }
+    };
+  }
+
+  // Validate query parameters
+  validateQuery(schemaName, options = {}) {
+    return (req, res, next) => {
+      const schema = this.getSchema(schemaName);
+      if (!schema) {
+        return res.status(500).json({
+          success: false,
+          message: "Validation schema '" + schemaName + "' not found",
+        });
+      }
+
+      req.params = { ...req.body };
+      const result = schema(req.params, options);
+
+      if (result === true) {
+        req.validatedQuery = req.params;
+        next();
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: "Query validation failed",
+          errors: result,
+        });
+      }
+    };
+  }
+}
+
+const validationService = new ValidationService();
+await validationService.autoRegisterDTOs();
+// bind the methods to the instance (preserving "this" context)
+validationService.validate = validationService.validate.bind(validationService);
+validationService.validateQuery =
+  validationService.validateQuery.bind(validationService);
+export default validationService;
@@ -60,14 +60,14 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Dynamically load all module routes
+// Dynamically load all module routes (same extension as this file, .js or .ts)
 const modulesPath = path.join(__dirname, "src/modules");
 fs.readdirSync(modulesPath).forEach((module) => {
   const routePath = path.join(
     modulesPath,
     module,
     "routes",
-    module + "Route.js"
+    module + "Route" + path.extname(__filename)
   );
   if (fs.existsSync(routePath)) {
     const moduleRoutes = require(routePath);
@@ -1,4 +1,9 @@
 router.get("/", <%= moduleName %>Controller.get<%= moduleNameCapitalized %>);
-router.post("/", <%= moduleName %>Controller.create<%= moduleNameCapitalized %>);
+router.get("/:id", <%= moduleName %>Controller.get<%= moduleNameCapitalized %>ById);
+<% if (validation) { %>router.post("/", validationService.validate("<%= moduleName %>_create_schema"), <%= moduleName %>Controller.create<%= moduleNameCapitalized %>);
+router.put("/:id", validationService.validate("<%= moduleName %>_update_schema"), <%= moduleName %>Controller.update<%= moduleNameCapitalized %>);
+router.patch("/:id", validationService.validate("<%= moduleName %>_update_schema"), <%= moduleName %>Controller.update<%= moduleNameCapitalized %>);
+<% } else { %>router.post("/", <%= moduleName %>Controller.create<%= moduleNameCapitalized %>);
 router.put("/:id", <%= moduleName %>Controller.update<%= moduleNameCapitalized %>);
-router.delete("/:id", <%= moduleName %>Controller.delete<%= moduleNameCapitalized %>);
\ No newline at end of file
+router.patch("/:id", <%= moduleName %>Controller.update<%= moduleNameCapitalized %>);
+<% } %>router.delete("/:id", <%= moduleName %>Controller.delete<%= moduleNameCapitalized %>);
\ No newline at end of file
@@ -1,11 +1,50 @@
+// Maps database errors to HTTP status codes
+_getErrorStatusCode: function (error) {
+    // Invalid list query parameters (filters, sort, fields) carry their own status code
+    if (error.statusCode) {
+        return error.statusCode;
+    }
+    // Unique constraint violations are conflicts, other validation & constraint errors are invalid data
+    if (error.name === "SequelizeUniqueConstraintError") {
+        return 409;
+    }
+    if (["SequelizeValidationError", "SequelizeForeignKeyConstraintError"].includes(error.name)) {
+        return 422;
+    }
+    return 500;
+},
+
+// Not found response
+_notFound: function () {
+    return {
+        success: false,
+        statusCode: 404,
+        message: "Record not found",
+    }
+},
+
+// Ids are integers, other values match no record
+_isValidId: function (id) {
+    return /^\d+$/.test(String(id));
+},
+
+// Associations requested via ?include=author,tags
+_getIncludes: function (query = {}) {
+    return String(query.include || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter((name) => <%= moduleName %>Model.associations[name]);
+},
+
 // Create <%= moduleName %> service
-create<%= moduleNameCapitalized %>: async function (data) {
+create<%= moduleNameCapitalized %>: async function (data<% if (dtoTypes) { %>: <%= dtoTypes.create %><% } %>) {
     try {
       <% if (modelAttributes && modelAttributes.length > 0) { %>
       // Create database record with model attributes
       const newRecord = await <%= moduleName %>Model.create(data);
       return {
         success: true,
+        statusCode: 201,
         message: "Created successfully",
         data: newRecord
       }
@@ -13,6 +52,7 @@ create<%= moduleNameCapitalized %>: async function (data) {
       // TODO: Add database logic here
       return {
         success: true,
+        statusCode: 201,
         message: "Created successfully",
         data: []
       }
@@ -20,6 +60,7 @@ create<%= moduleNameCapitalized %>: async function (data) {
     } catch (error) {
       return {
         success: false,
+        statusCode: this._getErrorStatusCode(error),
         message: error.message,
       }
     }
@@ -29,10 +70,16 @@ create<%= moduleNameCapitalized %>: async function (data) {
 get<%= moduleNameCapitalized %>: async function (req) {
     try {
         <% if (modelAttributes && modelAttributes.length > 0) { %>
-        // Get paginated records from the database
-        const result = await paginationService.findWithPagination(<%= moduleName %>Model, req);
+        // Get paginated records (with requested associations) from the database
+        const result = await paginationService.<%= pagination === "cursor" ? "findWithCursor" : "findWithPagination" %>(<%= moduleName %>Model, req, {
+            include: this._getIncludes(req.query),
+            // Whitelisted fields for filters, ?sort and ?fields, string fields for ?q search
+            fields: { <%= queryFields %> },
+            searchFields: [<%= searchFields %>],
+        });
         return {
             success: true,
+            statusCode: 200,
             message: "Retrieved successfully",
             data: result
         }
@@ -40,6 +87,7 @@ get<%= moduleNameCapitalized %>: async function (req) {
         // TODO: Add database logic here
         return {
             success: true,
+            statusCode: 200,
             message: "Retrieved successfully",
             data: []
         }
@@ -47,28 +95,84 @@ get<%= moduleNameCapitalized %>: async function (req) {
     } catch (error) {
         return {
             success: false,
+            statusCode: this._getErrorStatusCode(error),
             message: error.message,
         }
     }
 },
 
-// Update <%= moduleName %> service
-update<%= moduleNameCapitalized %>: async function (id, data) {
+// Get <%= moduleName %> by id service
+get<%= moduleNameCapitalized %>ById: async function (id, query = {}) {
     try {
         <% if (modelAttributes && modelAttributes.length > 0) { %>
-        // Update database record by id
-        await <%= moduleName %>Model.update(data, { where: { id: id } });
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Get database record by id
+        const record = await <%= moduleName %>Model.findByPk(id, { include: this._getIncludes(query) });
+        if (!record) {
+            return this._notFound();
+        }
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: record
+        }
         <% } else { %>
         // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: { id }
+        }
         <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Update <%= moduleName %> service
+update<%= moduleNameCapitalized %>: async function (id, data<% if (dtoTypes) { %>: <%= dtoTypes.update %><% } %>) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Find database record by id
+        const record = await <%= moduleName %>Model.findByPk(id);
+        if (!record) {
+            return this._notFound();
+        }
+
+        // Update database record and return the stored values
+        const updatedRecord = await record.update(data);
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: updatedRecord
+        }
+        <% } else { %>
+        // TODO: Add database logic here
         return {
             success: true,
+            statusCode: 200,
             message: "Updated successfully",
             data: { id, ...data }
         }
+        <% } %>
     } catch (error) {
         return {
             success: false,
+            statusCode: this._getErrorStatusCode(error),
             message: error.message,
         }
     }
@@ -78,19 +182,28 @@ update<%= moduleNameCapitalized %>: async function (id, data) {
 delete<%= moduleNameCapitalized %>: async function (id) {
     try {
         <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
         // Delete database record by id
-        await <%= moduleName %>Model.destroy({ where: { id: id } });
+        const deletedCount = await <%= moduleName %>Model.destroy({ where: { id: id } });
+        if (!deletedCount) {
+            return this._notFound();
+        }
         <% } else { %>
         // TODO: Add database logic here
         <% } %>
         return {
             success: true,
+            statusCode: 200,
             message: "Deleted successfully",
             data: { id }
         }
     } catch (error) {
         return {
             success: false,
+            statusCode: this._getErrorStatusCode(error),
             message: error.message,
         }
     }
@@ -0,0 +1,185 @@
+// Maps database errors to HTTP status codes
+_getErrorStatusCode: function (error) {
+    // Invalid list query parameters (filters, sort, fields) carry their own status code
+    if (error.statusCode) {
+        return error.statusCode;
+    }
+    // Duplicate key errors are conflicts, schema validation & cast errors are invalid data
+    if (error.code === 11000) {
+        return 409;
+    }
+    if (["ValidationError", "CastError"].includes(error.name)) {
+        return 422;
+    }
+    return 500;
+},
+
+// Not found response
+_notFound: function () {
+    return {
+        success: false,
+        statusCode: 404,
+        message: "Record not found",
+    }
+},
+
+// Create <%= moduleName %> service
+create<%= moduleNameCapitalized %>: async function (data<% if (dtoTypes) { %>: <%= dtoTypes.create %><% } %>) {
+    try {
+      <% if (modelAttributes && modelAttributes.length > 0) { %>
+      // Create database record with model attributes
+      const newRecord = await <%= moduleName %>Model.create(data);
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: newRecord
+      }
+      <% } else { %>
+      // TODO: Add database logic here
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: []
+      }
+      <% } %>
+    } catch (error) {
+      return {
+        success: false,
+        statusCode: this._getErrorStatusCode(error),
+        message: error.message,
+      }
+    }
+},
+  
+// Get <%= moduleName %> service
+get<%= moduleNameCapitalized %>: async function (req) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Get paginated records from the database
+        const result = await paginationService.<%= pagination === "cursor" ? "findWithCursor" : "findWithPagination" %>(<%= moduleName %>Model, req, {
+            // Whitelisted fields for filters, ?sort and ?fields, string fields for ?q search
+            fields: { <%= queryFields %> },
+            searchFields: [<%= searchFields %>],
+        });
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: result
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: []
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Get <%= moduleName %> by id service
+get<%= moduleNameCapitalized %>ById: async function (id, query = {}) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Get database record by id
+        const record = mongoose.isValidObjectId(id) ? await <%= moduleName %>Model.findById(id) : null;
+        if (!record) {
+            return this._notFound();
+        }
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: record
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: { id }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Update <%= moduleName %> service
+update<%= moduleNameCapitalized %>: async function (id, data<% if (dtoTypes) { %>: <%= dtoTypes.update %><% } %>) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Update database record by id and return the stored values
+        const updatedRecord = mongoose.isValidObjectId(id)
+            ? await <%= moduleName %>Model.findByIdAndUpdate(id, data, { new: true, runValidators: true })
+            : null;
+        if (!updatedRecord) {
+            return this._notFound();
+        }
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: updatedRecord
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: { id, ...data }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Delete <%= moduleName %> service
+delete<%= moduleNameCapitalized %>: async function (id) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Delete database record by id
+        const result = mongoose.isValidObjectId(id)
+            ? await <%= moduleName %>Model.deleteOne({ _id: id })
+            : { deletedCount: 0 };
+        if (!result.deletedCount) {
+            return this._notFound();
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        <% } %>
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Deleted successfully",
+            data: { id }
+        }
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
\ No newline at end of file
@@ -0,0 +1,219 @@
+// Maps database errors to HTTP status codes
+_getErrorStatusCode: function (error) {
+    // Invalid list query parameters (filters, sort, fields) carry their own status code
+    if (error.statusCode) {
+        return error.statusCode;
+    }
+    // Prisma error codes: P2002 unique constraint, P2003 foreign key, P2000 value too long
+    if (error.code === "P2002") {
+        return 409;
+    }
+    if (["P2000", "P2003", "P2011"].includes(error.code) || error.name === "PrismaClientValidationError") {
+        return 422;
+    }
+    return 500;
+},
+
+// Not found response
+_notFound: function () {
+    return {
+        success: false,
+        statusCode: 404,
+        message: "Record not found",
+    }
+},
+
+// Relations requested via ?include=author,posts
+_getIncludes: function (query = {}) {
+    const relations = Prisma.dmmf.datamodel.models
+        .find((model) => model.name === "<%= moduleName %>")
+        .fields.filter((field) => field.kind === "object")
+        .map((field) => field.name);
+    return Object.fromEntries(
+        String(query.include || "")
+            .split(",")
+            .map((name) => name.trim())
+            .filter((name) => relations.includes(name))
+            .map((name) => [name, true])
+    );
+},
+
+// Ids are integers, other values match no record
+_isValidId: function (id) {
+    return /^\d+$/.test(String(id));
+},
+
+// Create <%= moduleName %> service
+create<%= moduleNameCapitalized %>: async function (data<% if (dtoTypes) { %>: <%= dtoTypes.create %><% } %>) {
+    try {
+      <% if (modelAttributes && modelAttributes.length > 0) { %>
+      // Create database record with model attributes
+      const newRecord = await <%= moduleName %>Model.create({ data: data });
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: newRecord
+      }
+      <% } else { %>
+      // TODO: Add database logic here
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: []
+      }
+      <% } %>
+    } catch (error) {
+      return {
+        success: false,
+        statusCode: this._getErrorStatusCode(error),
+        message: error.message,
+      }
+    }
+},
+  
+// Get <%= moduleName %> service
+get<%= moduleNameCapitalized %>: async function (req) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Get paginated records from the database
+        const result = await paginationService.<%= pagination === "cursor" ? "findWithCursor" : "findWithPagination" %>(<%= moduleName %>Model, req, {
+            // Whitelisted fields for filters, ?sort and ?fields, string fields for ?q search
+            fields: { <%= queryFields %> },
+            searchFields: [<%= searchFields %>],
+        });
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: result
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: []
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Get <%= moduleName %> by id service
+get<%= moduleNameCapitalized %>ById: async function (id, query = {}) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Get database record (with requested relations) by id
+        const record = await <%= moduleName %>Model.findUnique({
+            where: { id: Number(id) },
+            include: this._getIncludes(query),
+        });
+        if (!record) {
+            return this._notFound();
+        }
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: record
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: { id }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Update <%= moduleName %> service
+update<%= moduleNameCapitalized %>: async function (id, data<% if (dtoTypes) { %>: <%= dtoTypes.update %><% } %>) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Find database record by id
+        const record = await <%= moduleName %>Model.findUnique({ where: { id: Number(id) } });
+        if (!record) {
+            return this._notFound();
+        }
+
+        // Update database record and return the stored values
+        const updatedRecord = await <%= moduleName %>Model.update({ where: { id: Number(id) }, data: data });
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: updatedRecord
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: { id, ...data }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Delete <%= moduleName %> service
+delete<%= moduleNameCapitalized %>: async function (id) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Delete database record by id
+        const result = await <%= moduleName %>Model.deleteMany({ where: { id: Number(id) } });
+        if (!result.count) {
+            return this._notFound();
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        <% } %>
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Deleted successfully",
+            data: { id }
+        }
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
\ No newline at end of file
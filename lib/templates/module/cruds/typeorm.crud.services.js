@@ -0,0 +1,218 @@
+// Maps database errors to HTTP status codes
+_getErrorStatusCode: function (error) {
+    // Invalid list query parameters (filters, sort, fields) carry their own status code
+    if (error.statusCode) {
+        return error.statusCode;
+    }
+    // Driver error codes (MySQL & PostgreSQL): duplicates are conflicts, constraint violations are invalid data
+    const code = error.driverError?.code || error.code;
+    if (["ER_DUP_ENTRY", "23505"].includes(code)) {
+        return 409;
+    }
+    const invalidDataCodes = [
+        "ER_NO_REFERENCED_ROW_2", "ER_BAD_NULL_ERROR", "ER_DATA_TOO_LONG", "WARN_DATA_TRUNCATED",
+        "23503", "23502", "22001", "22P02",
+    ];
+    if (invalidDataCodes.includes(code)) {
+        return 422;
+    }
+    return 500;
+},
+
+// Not found response
+_notFound: function () {
+    return {
+        success: false,
+        statusCode: 404,
+        message: "Record not found",
+    }
+},
+
+// Relations requested via ?include=author,posts
+_getRelations: function (query = {}) {
+    const relations = <%= moduleName %>Model.metadata.relations.map((relation) => relation.propertyName);
+    return String(query.include || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter((name) => relations.includes(name));
+},
+
+// Ids are integers, other values match no record
+_isValidId: function (id) {
+    return /^\d+$/.test(String(id));
+},
+
+// Create <%= moduleName %> service
+create<%= moduleNameCapitalized %>: async function (data<% if (dtoTypes) { %>: <%= dtoTypes.create %><% } %>) {
+    try {
+      <% if (modelAttributes && modelAttributes.length > 0) { %>
+      // Create database record with model attributes
+      const newRecord = await <%= moduleName %>Model.save(<%= moduleName %>Model.create(data));
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: newRecord
+      }
+      <% } else { %>
+      // TODO: Add database logic here
+      return {
+        success: true,
+        statusCode: 201,
+        message: "Created successfully",
+        data: []
+      }
+      <% } %>
+    } catch (error) {
+      return {
+        success: false,
+        statusCode: this._getErrorStatusCode(error),
+        message: error.message,
+      }
+    }
+},
+  
+// Get <%= moduleName %> service
+get<%= moduleNameCapitalized %>: async function (req) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        // Get paginated records from the database
+        const result = await paginationService.<%= pagination === "cursor" ? "findWithCursor" : "findWithPagination" %>(<%= moduleName %>Model, req, {
+            // Whitelisted fields for filters, ?sort and ?fields, string fields for ?q search
+            fields: { <%= queryFields %> },
+            searchFields: [<%= searchFields %>],
+        });
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: result
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: []
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Get <%= moduleName %> by id service
+get<%= moduleNameCapitalized %>ById: async function (id, query = {}) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Get database record (with requested relations) by id
+        const record = await <%= moduleName %>Model.findOne({
+            where: { id: Number(id) },
+            relations: this._getRelations(query),
+        });
+        if (!record) {
+            return this._notFound();
+        }
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: record
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Retrieved successfully",
+            data: { id }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Update <%= moduleName %> service
+update<%= moduleNameCapitalized %>: async function (id, data<% if (dtoTypes) { %>: <%= dtoTypes.update %><% } %>) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Find database record by id
+        const record = await <%= moduleName %>Model.findOneBy({ id: Number(id) });
+        if (!record) {
+            return this._notFound();
+        }
+
+        // Update database record and return the stored values
+        const updatedRecord = await <%= moduleName %>Model.save(<%= moduleName %>Model.merge(record, data));
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: updatedRecord
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Updated successfully",
+            data: { id, ...data }
+        }
+        <% } %>
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
+
+// Delete <%= moduleName %> service
+delete<%= moduleNameCapitalized %>: async function (id) {
+    try {
+        <% if (modelAttributes && modelAttributes.length > 0) { %>
+        if (!this._isValidId(id)) {
+            return this._notFound();
+        }
+
+        // Delete database record by id
+        const result = await <%= moduleName %>Model.delete({ id: Number(id) });
+        if (!result.affected) {
+            return this._notFound();
+        }
+        <% } else { %>
+        // TODO: Add database logic here
+        <% } %>
+        return {
+            success: true,
+            statusCode: 200,
+            message: "Deleted successfully",
+            data: { id }
+        }
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: this._getErrorStatusCode(error),
+            message: error.message,
+        }
+    }
+},
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * <%= moduleNameCapitalized %> DTO
+ * Validation schemas (fastest-validator) generated from <%= source %>, unknown fields are removed
+ */
+module.exports = {<% schemas.forEach((schema) => { %>
+  <%= schema.name %>: {
+    $$strict: "remove",
+<%= schema.rules %>
+  },<% }); %>
+};
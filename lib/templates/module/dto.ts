@@ -0,0 +1,15 @@
+/**
+ * <%= moduleNameCapitalized %> DTO
+ * <% if (fields) { %>Request body types<% } %><% if (fields && schemas.length > 0) { %> and <% } %><% if (schemas.length > 0) { %>validation schemas (fastest-validator)<% } %> generated from <%= source %><% if (schemas.length > 0) { %>, unknown fields are removed<% } %>
+ */<% if (fields) { %>
+export interface <%= moduleNameCapitalized %>CreateDto {
+<%= fields %>
+}
+
+export type <%= moduleNameCapitalized %>UpdateDto = Partial<<%= moduleNameCapitalized %>CreateDto>;
+<% } %><% schemas.forEach((schema) => { %>
+export const <%= schema.name %> = {
+  $$strict: "remove",
+<%= schema.rules.replace(/^ {4}/gm, "  ") %>
+};
+<% }); %>
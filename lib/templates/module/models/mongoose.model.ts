@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+/**
+ * <%= moduleName %> Model
+ * Mongoose schema, createdAt & updatedAt are managed by timestamps option
+ */
+const <%= moduleName %>Schema = new mongoose.Schema(
+  {
+    // fields of the document
+    <% if (modelAttributes && modelAttributes.length > 0) { %>
+    <% modelAttributes.forEach((attr, index) => { %>
+    <%= attr.name %>: {
+      type: <%= attr.isForeignKey ? "mongoose.Schema.Types.ObjectId" : ormDataTypes[attr.type] %>,<% if (attr.isForeignKey) { %>
+      ref: "<%= attr.references.model %>",<% } %><% if (attr.values) { %>
+      enum: [<%= attr.values.map(v => `"${v}"`).join(', ') %>],<% } %><% if (attr.length) { %>
+      maxlength: <%= attr.length %>,<% } %>
+      required: <%= !attr.allowNull %>,<% if (attr.unique) { %>
+      unique: true,<% } %><% if (attr.index) { %>
+      index: true,<% } %><% if (attr.defaultValue !== undefined) { %>
+      default: <%= JSON.stringify(attr.defaultValue) %>,<% } %>
+    },
+    <% }); %>
+    <% } else { %>
+    // No custom attributes defined
+    <% } %>
+  },
+  {
+    timestamps: true,
+    collection: "<%= moduleName %>",
+  }
+);
+
+// Documents are typed by the schema
+export = (mongoose.models.<%= moduleName %> ||
+  mongoose.model("<%= moduleName %>", <%= moduleName %>Schema)) as mongoose.Model<
+  mongoose.InferSchemaType<typeof <%= moduleName %>Schema>
+>;
@@ -8,7 +8,8 @@ module.exports = (sequelize, DataTypes) => {
      * The `models/index` file will call this method automatically.
      */
     static associate(models) {
-      // define association here
+      // define association here<% (associations || []).forEach((association) => { %>
+      <%= association %><% }); %>
     }
   }
   <%= moduleName %>.init(
@@ -17,8 +18,10 @@ module.exports = (sequelize, DataTypes) => {
       <% if (modelAttributes && modelAttributes.length > 0) { %>
       <% modelAttributes.forEach((attr, index) => { %>
       <%= attr.name %>: {
-        type: DataTypes.<%= attr.type %><% if (attr.values) { %>(<%= attr.values.map(v => `'${v}'`).join(', ') %>)<% } %>,
-        allowNull: false<% if (attr.isForeignKey) { %>,
+        type: DataTypes.<%= attr.type %><% if (attr.values) { %>(<%= attr.values.map(v => `'${v}'`).join(', ') %>)<% } else if (attr.length) { %>(<%= attr.length %>)<% } else if (attr.precision) { %>(<%= attr.precision %>, <%= attr.scale %>)<% } %>,
+        allowNull: <%= !!attr.allowNull %><% if (attr.unique) { %>,
+        unique: true<% } %><% if (attr.defaultValue !== undefined) { %>,
+        defaultValue: <%= JSON.stringify(attr.defaultValue) %><% } %><% if (attr.isForeignKey) { %>,
         references: {
           model: '<%= attr.references.model %>',
           key: '<%= attr.references.key %>'
@@ -34,7 +37,10 @@ module.exports = (sequelize, DataTypes) => {
     {
       sequelize,
       modelName: "<%= moduleName %>",
-      tableName: "<%= moduleName %>",
+      tableName: "<%= moduleName %>",<% if (modelAttributes && modelAttributes.some((attr) => attr.index)) { %>
+      indexes: [<% modelAttributes.filter((attr) => attr.index).forEach((attr) => { %>
+        { fields: ["<%= attr.name %>"] },<% }); %>
+      ],<% } %>
     }
   );
   return <%= moduleName %>;
@@ -1,3 +1,59 @@
+"use strict";
+const { EntitySchema } = require("typeorm");
+
 /**
- * <%= moduleName %> Model
- */
\ No newline at end of file
+ * <%= moduleName %> Entity
+ * Loaded automatically by the TypeORM DataSource (src/config/dataSource.js)
+ */
+module.exports = new EntitySchema({
+  name: "<%= moduleName %>",
+  tableName: "<%= moduleName %>",
+  columns: {
+    id: {
+      type: "int",
+      primary: true,
+      generated: "increment",
+    },
+    // columns of the table
+    <% if (modelAttributes && modelAttributes.length > 0) { %>
+    <% modelAttributes.forEach((attr) => { %>
+    <%= attr.name %>: {
+      type: "<%= ormDataTypes[attr.type] %>",<% if (attr.values) { %>
+      enum: [<%= attr.values.map(v => `"${v}"`).join(', ') %>],<% } %><% if (attr.length) { %>
+      length: <%= attr.length %>,<% } %><% if (attr.precision) { %>
+      precision: <%= attr.precision %>,
+      scale: <%= attr.scale %>,<% } %>
+      nullable: <%= !!attr.allowNull %>,<% if (attr.unique) { %>
+      unique: true,<% } %><% if (attr.defaultValue !== undefined) { %>
+      default: <%= JSON.stringify(attr.defaultValue) %>,<% } %>
+    },
+    <% }); %>
+    <% } else { %>
+    // No custom attributes defined
+    <% } %>
+    createdAt: {
+      type: "timestamp",
+      createDate: true,
+    },
+    updatedAt: {
+      type: "timestamp",
+      updateDate: true,
+    },
+  },
+  indices: [
+    <% modelAttributes.filter((attr) => attr.index).forEach((attr) => { %>
+    { columns: ["<%= attr.name %>"] },
+    <% }); %>
+  ],
+  relations: {
+    <% modelAttributes.filter((attr) => attr.isForeignKey && /_id$/.test(attr.name)).forEach((attr) => { %>
+    <%= attr.name.replace(/_id$/, "") %>: {
+      type: "many-to-one",
+      target: "<%= attr.references.model %>",
+      joinColumn: { name: "<%= attr.name %>" },
+      onDelete: "<%= attr.onDelete %>",
+      onUpdate: "<%= attr.onUpdate %>",
+    },
+    <% }); %>
+  },
+});
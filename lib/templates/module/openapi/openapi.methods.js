@@ -0,0 +1,11 @@
+<% operations.forEach((operation, index) => { %><% if (index > 0) { %>
+
+  <% } %>// <%= operation.summary %> (<%= operation.method.toUpperCase() %> <%= operation.apiPath %>)
+  <%= operation.handler %>: async function (req, res) {
+    try {
+      // TODO: implement <%= operation.handler %> with <%= moduleName %>Service
+      res.status(501).json({ message: "Not implemented" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },<% }); %>
\ No newline at end of file
@@ -0,0 +1,2 @@
+<% operations.forEach((operation, index) => { %><% if (index > 0) { %>
+<% } %>router.<%= operation.method %>("<%= operation.path %>", <% if (validation && operation.dtoName) { %>validationService.validate("<%= operation.dtoName %>"), <% } %><%= moduleName %>Controller.<%= operation.handler %>);<% }); %>
\ No newline at end of file
@@ -0,0 +1,442 @@
+/**
+ * Pagination Service
+ * Provides offset & cursor pagination, filtering, sorting, search and field selection for database queries (Prisma)
+ */
+const PER_PAGE = parseInt(process.env.PER_PAGE) || 10;
+const DEFAULT_PAGE = parseInt(process.env.DEFAULT_PAGE) || 1;
+const MAX_PER_PAGE = parseInt(process.env.MAX_PER_PAGE) || 100;
+
+// Query parameters which are never treated as filters
+const RESERVED_PARAMS = ["page", "limit", "sort", "q", "fields", "include", "cursor", "count"];
+
+// Filter operators, i.e. ?price[gte]=10
+const OPERATORS = {
+  eq: "equals",
+  ne: "not",
+  gt: "gt",
+  gte: "gte",
+  lt: "lt",
+  lte: "lte",
+  in: "in",
+};
+
+class PaginationService {
+  /**
+   * Find records with pagination
+   * @param {Object} delegate - Prisma model delegate (i.e. prisma.users)
+   * @param {Object} req - Express request object
+   * @param {Object} options - Additional options
+   * @param {Object} options.where - Where clause for filtering
+   * @param {Object} options.orderBy - Default order clause when ?sort is not given
+   * @param {Object} options.fields - Whitelisted fields with their types for filters, ?sort and ?fields (i.e. { price: "number" })
+   * @param {Array} options.searchFields - String fields searched by ?q
+   * @returns {Object} Paginated result with metadata
+   */
+  async findWithPagination(delegate, req = { query: {} }, options = {}) {
+    try {
+      this.validateDelegate(delegate, req);
+
+      // Validate and parse pagination parameters
+      const { page, pageSize, offset } = this.parsePagination(req.query);
+
+      const sort = this.parseSort(req.query, options.fields || {});
+      const selected = this.parseFields(req.query, options.fields || {});
+
+      const where = this.buildWhere(req.query, options);
+      const [count, rows] = await Promise.all([
+        delegate.count({ where }),
+        delegate.findMany({
+          where,
+          ...(selected && { select: this.buildSelect(selected) }),
+          take: pageSize,
+          skip: offset,
+          orderBy: sort
+            ? sort.map(({ field, direction }) => ({ [field]: direction }))
+            : options.orderBy || { createdAt: "desc" },
+        }),
+      ]);
+
+      return {
+        totalCounts: count,
+        totalPages: Math.ceil(count / pageSize),
+        currentPage: page,
+        pageLimit: pageSize,
+        items: rows,
+      };
+    } catch (error) {
+      console.error("Error fetching paginated items:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find records with cursor (keyset) pagination, newest first by (createdAt, id)
+   * Pages are requested with ?cursor=<nextCursor|prevCursor>, total count only with ?count=true
+   * @param {Object} delegate - Prisma model delegate (i.e. prisma.users)
+   * @param {Object} req - Express request object
+   * @param {Object} options - Additional options (where, fields & searchFields as in findWithPagination)
+   * @returns {Object} Page with nextCursor, prevCursor and metadata
+   */
+  async findWithCursor(delegate, req = { query: {} }, options = {}) {
+    try {
+      this.validateDelegate(delegate, req);
+
+      if (req.query.sort) {
+        throw this.badRequest("Sorting is not supported with cursor pagination");
+      }
+
+      const { pageSize } = this.parsePagination(req.query);
+      const cursor = this.decodeCursor(req.query.cursor);
+      const selected = this.parseFields(req.query, options.fields || {});
+      const where = this.buildWhere(req.query, options);
+
+      // Previous pages are fetched in ascending order from the cursor
+      const isPrev = cursor?.direction === "prev";
+      const operator = isPrev ? "gt" : "lt";
+      const direction = isPrev ? "asc" : "desc";
+      const keyset = cursor
+        ? {
+            OR: [
+              { createdAt: { [operator]: cursor.createdAt } },
+              { createdAt: cursor.createdAt, id: { [operator]: cursor.id } },
+            ],
+          }
+        : {};
+
+      // One extra record tells if there are more records after the page
+      const [rows, count] = await Promise.all([
+        delegate.findMany({
+          where: { AND: [where, keyset] },
+          ...(selected && {
+            select: this.buildSelect([...selected, "createdAt"]),
+          }),
+          take: pageSize + 1,
+          orderBy: [{ createdAt: direction }, { id: direction }],
+        }),
+        this.parseCount(req.query) ? delegate.count({ where }) : null,
+      ]);
+
+      return {
+        ...(count !== null && { totalCounts: count }),
+        ...this.buildCursorPage(rows, pageSize, cursor),
+      };
+    } catch (error) {
+      console.error("Error fetching paginated items:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate model delegate and request
+   * @param {Object} delegate - Prisma model delegate
+   * @param {Object} req - Express request object
+   */
+  validateDelegate(delegate, req) {
+    if (!delegate) {
+      throw new Error("Model delegate is required for pagination");
+    }
+
+    if (
+      typeof delegate.findMany !== "function" ||
+      typeof delegate.count !== "function"
+    ) {
+      throw new Error(
+        "Model delegate must have findMany and count methods (Prisma client required)"
+      );
+    }
+
+    if (!req.query) {
+      throw new Error("Request object must have valid query property");
+    }
+  }
+
+  /**
+   * Build where clause from options.where, whitelisted filters and ?q search over string fields
+   * @param {Object} query - Request query
+   * @param {Object} options - Pagination options
+   * @returns {Object} Where clause
+   */
+  buildWhere(query, options) {
+    const searchFields = options.searchFields || [];
+
+    const conditions = [];
+    this.parseFilters(query, options.fields || {}).forEach(({ field, operator, value }) => {
+      conditions.push({
+        [field]: { [OPERATORS[operator]]: value },
+      });
+    });
+    const search = this.parseSearch(query);
+    if (search && searchFields.length > 0) {
+      conditions.push({
+        OR: searchFields.map((field) => ({ [field]: { contains: search } })),
+      });
+    }
+
+    return { AND: [options.where || {}, ...conditions] };
+  }
+
+  /**
+   * Build select clause from selected fields
+   * @param {Array} fields - Selected fields
+   * @returns {Object} Select clause
+   */
+  buildSelect(fields) {
+    return Object.fromEntries(fields.map((field) => [field, true]));
+  }
+
+  /**
+   * Parse page and limit, limit is capped to MAX_PER_PAGE
+   * @param {Object} query - Request query
+   * @returns {Object} Page, page size and offset
+   */
+  parsePagination(query) {
+    const page = Math.max(parseInt(query.page) || DEFAULT_PAGE, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(query.limit) || PER_PAGE, 1),
+      MAX_PER_PAGE
+    );
+
+    return { page, pageSize, offset: (page - 1) * pageSize };
+  }
+
+  /**
+   * Parse whitelisted filters, i.e. ?status=active, ?price[gte]=10, ?status[in]=draft,published
+   * @param {Object} query - Request query
+   * @param {Object} fields - Whitelisted fields with their types
+   * @returns {Array} Filters as { field, operator, value }
+   */
+  parseFilters(query, fields) {
+    const filters = [];
+
+    for (const [key, rawValue] of Object.entries(query)) {
+      // Operators are nested objects with extended query parser, plain "price[gte]" keys otherwise
+      const match = key.match(/^(\w+)(?:\[(\w+)\])?$/);
+      if (!match || RESERVED_PARAMS.includes(match[1]) || !fields[match[1]]) {
+        continue;
+      }
+
+      const field = match[1];
+      let operations;
+      if (match[2]) {
+        operations = { [match[2]]: rawValue };
+      } else if (Array.isArray(rawValue)) {
+        operations = { in: rawValue.join(",") };
+      } else if (rawValue && typeof rawValue === "object") {
+        operations = rawValue;
+      } else {
+        operations = { eq: rawValue };
+      }
+
+      for (const [operator, value] of Object.entries(operations)) {
+        if (!OPERATORS[operator]) {
+          throw this.badRequest(`Unsupported operator '${operator}' for '${field}'`);
+        }
+
+        filters.push({
+          field,
+          operator,
+          value:
+            operator === "in"
+              ? String(value).split(",").map((item) => this.castValue(field, item, fields[field]))
+              : this.castValue(field, value, fields[field]),
+        });
+      }
+    }
+
+    return filters;
+  }
+
+  /**
+   * Parse ?sort=-price,title into whitelisted fields with direction
+   * @param {Object} query - Request query
+   * @param {Object} fields - Whitelisted fields with their types
+   * @returns {Array|null} Sort as { field, direction }, null when not given
+   */
+  parseSort(query, fields) {
+    if (!query.sort) {
+      return null;
+    }
+
+    const sort = String(query.sort)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map((item) => ({
+        field: item.replace(/^[-+]/, ""),
+        direction: item.startsWith("-") ? "desc" : "asc",
+      }));
+
+    const invalid = sort.find(({ field }) => !fields[field]);
+    if (invalid) {
+      throw this.badRequest(`Sorting by '${invalid.field}' is not allowed`);
+    }
+
+    return sort.length > 0 ? sort : null;
+  }
+
+  /**
+   * Parse ?q search term
+   * @param {Object} query - Request query
+   * @returns {String|null} Search term
+   */
+  parseSearch(query) {
+    const search = typeof query.q === "string" ? query.q.trim() : "";
+    return search || null;
+  }
+
+  /**
+   * Parse ?fields=id,title into whitelisted fields, id is always selected
+   * @param {Object} query - Request query
+   * @param {Object} fields - Whitelisted fields with their types
+   * @returns {Array|null} Selected fields, null when not given
+   */
+  parseFields(query, fields) {
+    if (!query.fields) {
+      return null;
+    }
+
+    const selected = String(query.fields)
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+
+    const invalid = selected.find((field) => !fields[field]);
+    if (invalid) {
+      throw this.badRequest(`Field '${invalid}' is not allowed`);
+    }
+
+    return [...new Set(["id", ...selected])];
+  }
+
+  /**
+   * Check if ?count=true is requested, cursor pagination skips the count query otherwise
+   * @param {Object} query - Request query
+   * @returns {Boolean} Whether total count is requested
+   */
+  parseCount(query) {
+    return ["true", "1"].includes(String(query.count));
+  }
+
+  /**
+   * Encode opaque cursor from (createdAt, id) of a record
+   * @param {Object} record - First or last record of the page
+   * @param {String} direction - "next" or "prev"
+   * @returns {String} Base64url encoded cursor
+   */
+  encodeCursor(record, direction) {
+    const cursor = {
+      createdAt: new Date(record.createdAt).toISOString(),
+      id: record.id,
+      direction,
+    };
+
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+  }
+
+  /**
+   * Decode opaque cursor from ?cursor
+   * @param {String} token - Base64url encoded cursor
+   * @returns {Object|null} Cursor as { createdAt, id, direction }, null when not given
+   */
+  decodeCursor(token) {
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const cursor = JSON.parse(
+        Buffer.from(String(token), "base64url").toString("utf8")
+      );
+      const createdAt = new Date(cursor.createdAt);
+      if (
+        isNaN(createdAt.getTime()) ||
+        cursor.id === undefined ||
+        !["next", "prev"].includes(cursor.direction)
+      ) {
+        throw new Error("Invalid cursor");
+      }
+
+      return { createdAt, id: cursor.id, direction: cursor.direction };
+    } catch (error) {
+      throw this.badRequest("Invalid cursor");
+    }
+  }
+
+  /**
+   * Build cursor page from records fetched with one extra record
+   * @param {Array} rows - Records ordered by (createdAt, id), ascending for previous pages
+   * @param {Number} pageSize - Page size
+   * @param {Object|null} cursor - Decoded cursor
+   * @returns {Object} Page with nextCursor/prevCursor and items ordered newest first
+   */
+  buildCursorPage(rows, pageSize, cursor) {
+    const isPrev = cursor?.direction === "prev";
+    const hasMore = rows.length > pageSize;
+    const items = rows.slice(0, pageSize);
+    if (isPrev) {
+      items.reverse();
+    }
+
+    // Coming back from a previous page means there is always a next one
+    const hasNext = isPrev || hasMore;
+    const hasPrev = isPrev ? hasMore : Boolean(cursor);
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      pageLimit: pageSize,
+      nextCursor: hasNext && last ? this.encodeCursor(last, "next") : null,
+      prevCursor: hasPrev && first ? this.encodeCursor(first, "prev") : null,
+      items,
+    };
+  }
+
+  /**
+   * Cast query string value to the field type
+   * @param {String} field - Field name
+   * @param {String} value - Query string value
+   * @param {String} type - Field type (string, number, boolean or date)
+   * @returns {*} Casted value
+   */
+  castValue(field, value, type) {
+    if (typeof value !== "string") {
+      throw this.badRequest(`Invalid value for '${field}'`);
+    }
+
+    if (type === "number") {
+      const number = Number(value);
+      if (value.trim() === "" || !Number.isFinite(number)) {
+        throw this.badRequest(`'${field}' must be a number`);
+      }
+      return number;
+    }
+
+    if (type === "boolean") {
+      if (!["true", "false", "1", "0"].includes(value)) {
+        throw this.badRequest(`'${field}' must be a boolean`);
+      }
+      return value === "true" || value === "1";
+    }
+
+    if (type === "date") {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw this.badRequest(`'${field}' must be a valid date`);
+      }
+      return date;
+    }
+
+    return value;
+  }
+
+  /**
+   * Create bad request error for invalid query parameters
+   * @param {String} message - Error message
+   * @returns {Error} Error with 400 status code
+   */
+  badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+  }
+}
+
+module.exports = new PaginationService();
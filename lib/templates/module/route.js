@@ -2,7 +2,8 @@
  * <%= moduleNameCapitalized %> Routes
  */
 <%= controllerImport%>
-
+<% if (validationImport) { %><%= validationImport %>
+<% } %>
 const express = require('express');
 const router = express.Router();
 
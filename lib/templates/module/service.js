@@ -1,11 +1,16 @@
 /**
  * <%= moduleNameCapitalized %> Service
  */
-<%= modelImport %><% if (modelImport) { %>
-const <%= moduleName %>Model = db.<%= moduleName %>;<% } %><% if (modelAttributes && modelAttributes.length > 0) { %>
-const paginationService = require("<%= paginationServicePath %>");<% } %>
+<%= modelImport %><% if (modelImport && orm === "typeorm") { %>
+const <%= moduleName %>Model = AppDataSource.getRepository("<%= moduleName %>");<% } else if (modelImport && orm === "prisma") { %>
+const <%= moduleName %>Model = prisma.<%= moduleName %>;<% if (crudServices && modelAttributes && modelAttributes.length > 0) { %>
+const { Prisma } = require("@prisma/client");<% } %><% } else if (modelImport && orm !== "mongoose") { %>
+const <%= moduleName %>Model = db.<%= moduleName %>;<% } else if (modelImport && crudServices) { %>
+const mongoose = require("mongoose");<% } %><% if (crudServices && modelAttributes && modelAttributes.length > 0) { %>
+const paginationService = require("<%= paginationServicePath %>");<% } %><% if (dtoTypesImport) { %>
+<%= dtoTypesImport %><% } %>
 
 module.exports = {
   // Add your service methods here
   <%= crudServices %>
-}; 
\ No newline at end of file
+};  
\ No newline at end of file
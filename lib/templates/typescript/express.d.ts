@@ -0,0 +1,16 @@
+/**
+ * Express request properties set by the generated middlewares
+ * (auth sets req.user, validator sets req.validatedData & req.validatedQuery)
+ */
+declare global {
+  namespace Express {
+    interface Request {
+      // Decoded JWT payload
+      user?: any;
+      validatedData?: Record<string, any>;
+      validatedQuery?: Record<string, any>;
+    }
+  }
+}
+
+export {};
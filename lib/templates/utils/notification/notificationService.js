@@ -103,7 +103,7 @@ class NotificationService {
         data: data,
       };
 
-      const response = await admin.messaging().sendMulticast(message);
+      const response = await admin.messaging().sendEachForMulticast(message);
       console.log('Successfully sent multicast message:', response);
       
       return {
@@ -6,7 +6,7 @@ class RedisClient {
     if (!RedisClient.instance) {
       this.client = new Redis({
         host: process.env.REDIS_HOST || "localhost",
-        port: process.env.REDIS_PORT || 6379,
+        port: Number(process.env.REDIS_PORT) || 6379,
         retryStrategy(times) {
           const delay = Math.min(times * 50, 2000);
           return delay;
@@ -148,10 +148,13 @@ module.exports = {
         const cachedData = await cacheService.get(key);
         if (cachedData) return res.status(200).json(cachedData);
 
-        res.sendResponse = res.json;
-        res.json = async (body) => {
-          await cacheService.set(key, body);
-          res.sendResponse(body);
+        // Cache the body sent by the route, the response doesn't wait for redis
+        const sendResponse = res.json.bind(res);
+        res.json = (body) => {
+          cacheService
+            .set(key, body)
+            .catch((error) => console.error("Error caching response in redis", error.message));
+          return sendResponse(body);
         };
 
         next();